@@ -0,0 +1,2 @@
+ALTER TABLE bookmarks
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT now();
@@ -0,0 +1,8 @@
+ALTER TABLE bookmarks
+  ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', regexp_replace(url, '[^[:alnum:]]+', ' ', 'g')), 'C')
+  ) STORED;
+
+CREATE INDEX bookmarks_search_vector_idx ON bookmarks USING GIN (search_vector);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS bookmarks_search_vector_idx;
+
+ALTER TABLE bookmarks DROP COLUMN IF EXISTS search_vector;
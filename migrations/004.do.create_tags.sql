@@ -0,0 +1,14 @@
+CREATE TABLE tags (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	name TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX tags_name_lower_idx ON tags (lower(name));
+
+CREATE TABLE bookmark_tags (
+	bookmark_id INTEGER NOT NULL REFERENCES bookmarks(id) ON DELETE CASCADE,
+	tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+	PRIMARY KEY (bookmark_id, tag_id)
+);
+
+CREATE INDEX bookmark_tags_tag_id_idx ON bookmark_tags (tag_id);
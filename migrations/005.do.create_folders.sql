@@ -0,0 +1,12 @@
+CREATE TABLE folders (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	name TEXT NOT NULL,
+	parent_id INTEGER REFERENCES folders(id) ON DELETE CASCADE
+);
+
+CREATE INDEX folders_parent_id_idx ON folders (parent_id);
+
+ALTER TABLE bookmarks
+  ADD COLUMN folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL;
+
+CREATE INDEX bookmarks_folder_id_idx ON bookmarks (folder_id);
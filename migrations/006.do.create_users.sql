@@ -0,0 +1,11 @@
+CREATE TABLE users (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	username TEXT NOT NULL UNIQUE,
+	password TEXT NOT NULL,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE bookmarks
+  ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX bookmarks_user_id_idx ON bookmarks (user_id);
@@ -0,0 +1,3 @@
+ALTER TABLE bookmarks DROP COLUMN IF EXISTS user_id;
+
+DROP TABLE IF EXISTS users;
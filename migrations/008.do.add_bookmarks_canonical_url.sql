@@ -0,0 +1,5 @@
+-- Filled in by the application: the server backfills existing rows with
+-- canonicalizeUrl when it starts
+ALTER TABLE bookmarks ADD COLUMN canonical_url TEXT;
+
+CREATE INDEX bookmarks_canonical_url_idx ON bookmarks (canonical_url);
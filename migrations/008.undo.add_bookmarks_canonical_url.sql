@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS bookmarks_canonical_url_idx;
+
+ALTER TABLE bookmarks DROP COLUMN IF EXISTS canonical_url;
@@ -0,0 +1,14 @@
+CREATE TYPE link_status AS ENUM ('ok', 'redirected', 'broken');
+
+CREATE TABLE link_checks (
+	bookmark_id INTEGER PRIMARY KEY REFERENCES bookmarks(id) ON DELETE CASCADE,
+	status link_status NOT NULL,
+	status_code INTEGER,
+	redirect_url TEXT,
+	response_time_ms INTEGER,
+	error TEXT,
+	last_checked_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX link_checks_status_idx ON link_checks (status);
+CREATE INDEX link_checks_last_checked_at_idx ON link_checks (last_checked_at);
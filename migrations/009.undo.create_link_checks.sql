@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS link_checks;
+
+DROP TYPE IF EXISTS link_status;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS bookmarks_deleted_at_idx;
+
+ALTER TABLE bookmarks DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,16 @@
+CREATE TYPE revision_action AS ENUM ('create', 'update', 'delete', 'restore', 'revert');
+
+CREATE TABLE bookmark_revisions (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	bookmark_id INTEGER NOT NULL REFERENCES bookmarks(id) ON DELETE CASCADE,
+	action revision_action NOT NULL,
+	actor_type TEXT NOT NULL,
+	actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+	actor_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+	changed_fields TEXT[] NOT NULL,
+	old_values JSONB NOT NULL,
+	new_values JSONB NOT NULL,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX bookmark_revisions_bookmark_id_idx ON bookmark_revisions (bookmark_id, id);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS bookmark_revisions;
+
+DROP TYPE IF EXISTS revision_action;
@@ -0,0 +1,36 @@
+CREATE TABLE bookmark_events (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	type TEXT NOT NULL,
+	bookmark_id INTEGER NOT NULL,
+	user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+	payload JSONB NOT NULL,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE webhooks (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+	url TEXT NOT NULL,
+	events TEXT[] NOT NULL,
+	secret TEXT NOT NULL,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TYPE webhook_delivery_status AS ENUM ('pending', 'delivered', 'failed');
+
+CREATE TABLE webhook_deliveries (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+	event_id INTEGER NOT NULL REFERENCES bookmark_events(id) ON DELETE CASCADE,
+	status webhook_delivery_status NOT NULL DEFAULT 'pending',
+	attempts INTEGER NOT NULL DEFAULT 0,
+	next_attempt_at TIMESTAMPTZ DEFAULT now(),
+	last_attempt_at TIMESTAMPTZ,
+	response_status INTEGER,
+	error TEXT,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id);
+CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+	WHERE status = 'pending';
@@ -0,0 +1,18 @@
+CREATE TABLE share_links (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	prefix TEXT NOT NULL,
+	token_hash TEXT NOT NULL UNIQUE,
+	user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+	bookmark_id INTEGER REFERENCES bookmarks(id) ON DELETE CASCADE,
+	tag TEXT,
+	folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+	view_count INTEGER NOT NULL DEFAULT 0,
+	last_viewed_at TIMESTAMPTZ,
+	expires_at TIMESTAMPTZ,
+	revoked_at TIMESTAMPTZ,
+	created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+	-- A link shares either one bookmark or the bookmarks with a tag and/or in a folder
+	CHECK ((bookmark_id IS NOT NULL) <> (tag IS NOT NULL OR folder_id IS NOT NULL))
+);
+
+CREATE INDEX share_links_user_id_idx ON share_links (user_id);
@@ -0,0 +1,3 @@
+ALTER TABLE bookmarks
+	ADD COLUMN visit_count INTEGER NOT NULL DEFAULT 0,
+	ADD COLUMN last_visited_at TIMESTAMPTZ;
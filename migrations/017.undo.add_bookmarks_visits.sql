@@ -0,0 +1,3 @@
+ALTER TABLE bookmarks
+	DROP COLUMN IF EXISTS visit_count,
+	DROP COLUMN IF EXISTS last_visited_at;
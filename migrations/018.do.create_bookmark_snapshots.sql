@@ -0,0 +1,14 @@
+CREATE TABLE bookmark_snapshots (
+	id INTEGER PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+	bookmark_id INTEGER NOT NULL REFERENCES bookmarks(id) ON DELETE CASCADE,
+	url TEXT NOT NULL,
+	title TEXT,
+	-- The article text, gzipped
+	content BYTEA NOT NULL,
+	content_length INTEGER NOT NULL,
+	search_vector tsvector NOT NULL,
+	captured_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX bookmark_snapshots_bookmark_id_idx ON bookmark_snapshots (bookmark_id, id);
+CREATE INDEX bookmark_snapshots_search_vector_idx ON bookmark_snapshots USING GIN (search_vector);
@@ -0,0 +1,16 @@
+ALTER TABLE folders
+	ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX folders_user_id_idx ON folders (user_id);
+
+-- A folder whose bookmarks all belong to one user becomes theirs; the rest
+-- stay with the API token
+UPDATE folders SET user_id = owners.user_id
+FROM (
+	SELECT folder_id, min(user_id) AS user_id
+	FROM bookmarks
+	WHERE folder_id IS NOT NULL
+	GROUP BY folder_id
+	HAVING count(DISTINCT user_id) = 1 AND count(user_id) = count(*)
+) AS owners
+WHERE folders.id = owners.folder_id;
@@ -0,0 +1,39 @@
+ALTER TABLE tags
+	ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+DROP INDEX tags_name_lower_idx;
+
+-- Each tag goes to the owner of its bookmarks; a tag used by several owners
+-- goes to one of them and the others get their own copy. Unused tags stay
+-- with the API token.
+CREATE TEMPORARY TABLE tag_owners AS
+	SELECT DISTINCT bookmark_tags.tag_id, bookmarks.user_id
+	FROM bookmark_tags
+	JOIN bookmarks ON bookmarks.id = bookmark_tags.bookmark_id;
+
+UPDATE tags SET user_id = owners.user_id
+FROM (
+	SELECT DISTINCT ON (tag_id) tag_id, user_id
+	FROM tag_owners
+	ORDER BY tag_id, user_id NULLS FIRST
+) AS owners
+WHERE tags.id = owners.tag_id;
+
+INSERT INTO tags (name, user_id)
+	SELECT tags.name, tag_owners.user_id
+	FROM tag_owners
+	JOIN tags ON tags.id = tag_owners.tag_id
+	WHERE tag_owners.user_id IS DISTINCT FROM tags.user_id;
+
+UPDATE bookmark_tags SET tag_id = copies.id
+FROM bookmarks, tags AS originals, tags AS copies
+WHERE bookmarks.id = bookmark_tags.bookmark_id
+	AND originals.id = bookmark_tags.tag_id
+	AND bookmarks.user_id IS DISTINCT FROM originals.user_id
+	AND copies.user_id IS NOT DISTINCT FROM bookmarks.user_id
+	AND lower(copies.name) = lower(originals.name);
+
+DROP TABLE tag_owners;
+
+-- The API token's tags, which have no user, are unique among themselves too
+CREATE UNIQUE INDEX tags_user_id_name_lower_idx ON tags (COALESCE(user_id, 0), lower(name));
@@ -0,0 +1,19 @@
+-- Copies of a tag fold back into the one with the lowest id
+UPDATE bookmark_tags SET tag_id = firsts.id
+FROM tags, (
+	SELECT DISTINCT ON (lower(name)) id, lower(name) AS name
+	FROM tags
+	ORDER BY lower(name), id
+) AS firsts
+WHERE tags.id = bookmark_tags.tag_id
+	AND lower(tags.name) = firsts.name
+	AND tags.id <> firsts.id;
+
+DELETE FROM tags
+WHERE id NOT IN (SELECT DISTINCT ON (lower(name)) id FROM tags ORDER BY lower(name), id);
+
+DROP INDEX tags_user_id_name_lower_idx;
+
+CREATE UNIQUE INDEX tags_name_lower_idx ON tags (lower(name));
+
+ALTER TABLE tags DROP COLUMN user_id;
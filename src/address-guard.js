@@ -0,0 +1,94 @@
+/* eslint-disable strict */
+const dns = require('dns');
+const net = require('net');
+const { ALLOW_PRIVATE_ADDRESSES } = require('./config');
+
+const ADDRESS_NOT_ALLOWED = 'Address is not allowed';
+
+// Loopback, private, link-local, shared, reserved and multicast ranges.
+// BlockList matches IPv4 addresses against IPv6 rules too, hence one list
+// per family.
+const makeBlockList = (type, ranges) => {
+  const blockList = new net.BlockList();
+  ranges.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, type));
+  return blockList;
+};
+
+const PRIVATE_RANGES = {
+  4: makeBlockList('ipv4', [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+  ]),
+  // IPv4-mapped and NAT64 addresses are refused rather than unwrapped
+  6: makeBlockList('ipv6', [
+    ['::', 127],
+    ['::ffff:0:0', 96],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+  ]),
+};
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES[family].check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A `lookup` for http.request that refuses hostnames resolving to a private
+// address. Checking the address actually connected to, rather than the URL,
+// also covers redirects and DNS answers that change between lookups.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(ADDRESS_NOT_ALLOWED));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const getHost = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Options to pass to http.request for `url`; throws for a URL naming a
+// private address outright, which never reaches `lookup`
+function getRequestGuard(url, { allowPrivateAddresses = ALLOW_PRIVATE_ADDRESSES } = {}) {
+  if (allowPrivateAddresses) return {};
+
+  if (isPrivateAddress(getHost(url))) {
+    throw new Error(ADDRESS_NOT_ALLOWED);
+  }
+  return { lookup: lookupPublicAddress };
+}
+
+// Resolves to false when `url` names or resolves to a private address, for
+// checking URLs before they are saved. Hosts that do not resolve yet pass;
+// requests check again when they are made.
+function isPublicUrl(url, { allowPrivateAddresses = ALLOW_PRIVATE_ADDRESSES } = {}) {
+  if (allowPrivateAddresses) return Promise.resolve(true);
+
+  const host = getHost(url);
+  if (net.isIP(host)) return Promise.resolve(!isPrivateAddress(host));
+
+  return new Promise(resolve => {
+    lookupPublicAddress(host, {}, error => resolve(!error || error.message !== ADDRESS_NOT_ALLOWED));
+  });
+}
+
+module.exports = {
+  ADDRESS_NOT_ALLOWED,
+  isPrivateAddress,
+  getRequestGuard,
+  isPublicUrl
+};
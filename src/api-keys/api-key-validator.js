@@ -0,0 +1,67 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+const { SCOPES } = require('../requireScope');
+
+const NO_ERRORS = null;
+
+const VALID_SCOPES = Object.values(SCOPES);
+const MAX_NAME_LENGTH = 100;
+
+const API_KEY_SCHEMA = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_NAME_LENGTH,
+    description: `a non-empty string of at most ${MAX_NAME_LENGTH} characters`
+  },
+  scopes: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: VALID_SCOPES },
+    description: `a non-empty array of ${VALID_SCOPES.join(', ')}`
+  },
+  expires_at: {
+    type: 'string',
+    nullable: true,
+    format: 'date-time',
+    description: 'a timestamp in the future'
+  },
+};
+
+function getApiKeyValidationError({ name, scopes, expires_at }) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    logger.error(`Invalid api key name ${name} supplied`);
+    return {
+      error: {
+        message: `'name' must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`
+      }
+    };
+  }
+
+  if (!Array.isArray(scopes) || !scopes.length ||
+        !scopes.every(scope => VALID_SCOPES.includes(scope))) {
+    logger.error(`Invalid scopes ${scopes} supplied`);
+    return {
+      error: {
+        message: `'scopes' must be a non-empty array of ${VALID_SCOPES.join(', ')}`
+      }
+    };
+  }
+
+  if (expires_at !== undefined && expires_at !== null &&
+        (typeof expires_at !== 'string' || !(new Date(expires_at) > new Date()))) {
+    logger.error(`Invalid expires_at ${expires_at} supplied`);
+    return {
+      error: {
+        message: '\'expires_at\' must be a timestamp in the future'
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+module.exports = {
+  API_KEY_SCHEMA,
+  getApiKeyValidationError
+};
@@ -0,0 +1,111 @@
+/* eslint-disable strict */
+const path = require('path');
+const express = require('express');
+const xss = require('xss');
+const ApiKeysService = require('./api-keys-service');
+const logger = require('../logger');
+const { getApiKeyValidationError } = require('./api-key-validator');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { hasScope } = require('../requireScope');
+const {
+  ValidationError,
+  toValidationError,
+  ForbiddenError,
+  NotFoundError
+} = require('../errors');
+
+const apiKeysRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeApiKey = apiKey => ({
+  id: apiKey.id,
+  name: xss(apiKey.name),
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  user_id: apiKey.user_id,
+  expires_at: apiKey.expires_at,
+  last_used_at: apiKey.last_used_at,
+  revoked_at: apiKey.revoked_at,
+  created_at: apiKey.created_at,
+});
+
+apiKeysRouter
+  .route('/')
+  .get((req, res, next) => {
+    ApiKeysService.getAllKeys(req.app.get('db'), req.auth.user_id)
+      .then(apiKeys => {
+        res.json(apiKeys.map(serializeApiKey));
+      })
+      .catch(next);
+  })
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { name, scopes, expires_at = null } = req.body;
+
+    for (const [field, value] of Object.entries({ name, scopes })) {
+      if (value === undefined) {
+        logger.error(`${field} is required`);
+        return next(new ValidationError(`'${field}' is required`));
+      }
+    }
+
+    const error = getApiKeyValidationError({ name, scopes, expires_at });
+
+    if (error) return next(toValidationError(error));
+
+    // A key can do no more than the credential that created it
+    const missingScope = scopes.find(scope => !hasScope(req.auth, scope));
+    if (missingScope) {
+      return next(new ForbiddenError(`Cannot create a key with the '${missingScope}' scope`));
+    }
+
+    const key = ApiKeysService.generateKey();
+    const newKey = {
+      name: name.trim(),
+      prefix: key.slice(0, 12),
+      key_hash: ApiKeysService.hashKey(key),
+      scopes: [...new Set(scopes)],
+      user_id: req.auth.user_id,
+      expires_at,
+    };
+
+    ApiKeysService.insertKey(req.app.get('db'), newKey)
+      .then(apiKey => {
+        logger.info(`API key with id ${apiKey.id} created.`);
+        // The plain key is only ever returned here; only its hash is stored
+        res
+          .status(201)
+          .location(path.posix.join(req.originalUrl, `/${apiKey.id}`))
+          .json({ ...serializeApiKey(apiKey), key });
+      })
+      .catch(next);
+  });
+
+apiKeysRouter
+  .route('/:key_id')
+  .all((req, res, next) => {
+    const { key_id } = req.params;
+    ApiKeysService.getById(req.app.get('db'), key_id, req.auth.user_id)
+      .then(apiKey => {
+        if (!apiKey) {
+          logger.error(`API key with id ${key_id} not found.`);
+          throw new NotFoundError('API Key Not Found');
+        }
+        res.apiKey = apiKey;
+        next();
+      })
+      .catch(next);
+  })
+  .get((req, res) => {
+    res.json(serializeApiKey(res.apiKey));
+  })
+  .delete((req, res, next) => {
+    const { key_id } = req.params;
+    ApiKeysService.revokeKey(req.app.get('db'), key_id)
+      .then(() => {
+        logger.info(`API key with id ${key_id} revoked`);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+module.exports = apiKeysRouter;
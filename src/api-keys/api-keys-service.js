@@ -0,0 +1,64 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'bmk_';
+
+const ApiKeysService = {
+  isApiKey(token) {
+    return token.startsWith(KEY_PREFIX);
+  },
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  },
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  },
+  getAllKeys(knex, userId) {
+    const query = knex.from('api_keys').select('*').orderBy('id');
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query;
+  },
+  getById(knex, id, userId) {
+    const query = knex.from('api_keys').select('*').where('id', id);
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query.first();
+  },
+  getActiveKeyByHash(knex, keyHash) {
+    return knex
+      .from('api_keys')
+      .select('*')
+      .where('key_hash', keyHash)
+      .whereNull('revoked_at')
+      .where(builder => builder
+        .whereNull('expires_at')
+        .orWhere('expires_at', '>', knex.fn.now())
+      )
+      .first();
+  },
+  insertKey(knex, newKey) {
+    return knex
+      .insert(newKey)
+      .into('api_keys')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  touchKey(knex, id) {
+    return knex('api_keys')
+      .where({ id })
+      .update({ last_used_at: knex.fn.now() });
+  },
+  revokeKey(knex, id) {
+    return knex('api_keys')
+      .where({ id })
+      .whereNull('revoked_at')
+      .update({ revoked_at: knex.fn.now() });
+  }
+};
+
+module.exports = ApiKeysService;
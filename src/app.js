@@ -6,29 +6,83 @@ const express = require('express');
 const morgan = require('morgan');
 const cors = require('cors');
 const helmet = require('helmet');
-const { NODE_ENV } = require('./config');
+const { NODE_ENV, TRUST_PROXY, RATE_LIMITS } = require('./config');
 const bookmarksRouter = require('./bookmarks/bookmarks-router');
+const goRouter = require('./bookmarks/go-router');
+const tagsRouter = require('./tags/tags-router');
+const foldersRouter = require('./folders/folders-router');
+const usersRouter = require('./users/users-router');
+const authRouter = require('./auth/auth-router');
+const apiKeysRouter = require('./api-keys/api-keys-router');
+const trashRouter = require('./trash/trash-router');
+const webhooksRouter = require('./webhooks/webhooks-router');
+const openapiRouter = require('./openapi/openapi-router');
+const sharesRouter = require('./shares/shares-router');
+const publicShareRouter = require('./shares/public-share-router');
 const validateBearerToken = require('./validateBearerToken');
-const errorHandler = require('./error-handler');
+const { requireKeyManagement, requireReadWriteScope } = require('./requireScope');
+const assignRequestId = require('./request-id');
+const { errorHandler } = require('./error-handler');
+const { NotFoundError } = require('./errors');
+const { fetchPage } = require('./metadata/fetch-page');
+const { rateLimit, rateLimitReadsAndWrites } = require('./rate-limit/rate-limit');
+const { requireDatabase } = require('./storage/require-database');
 
 const app = express();
 
+// Swappable so tests and deployments can control how pages are fetched
+app.set('fetchPage', fetchPage);
+// Needed for rate limiting by client IP behind a load balancer
+app.set('trust proxy', TRUST_PROXY);
+
 const morganOption = (NODE_ENV === 'production')
   ? 'tiny'
   : 'common';
 
+app.use(assignRequestId);
 app.use(morgan(morganOption));
 app.use(helmet());
-app.use(cors());
+app.use(cors({
+  exposedHeaders: [
+    'ETag',
+    'Link',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After',
+    'X-Request-Id',
+    'X-Total-Count'
+  ]
+}));
+
+app.use('/api', openapiRouter);
+app.use('/api/users', requireDatabase, rateLimit('auth', RATE_LIMITS.auth), usersRouter);
+app.use('/api/auth', requireDatabase, rateLimit('auth', RATE_LIMITS.auth), authRouter);
+// Share links are public; their tokens are the only credential
+app.use('/s', requireDatabase, rateLimit('share', RATE_LIMITS.read), publicShareRouter);
 
+// Limited by IP first, so guessing credentials is limited too
+app.use(rateLimit('client', RATE_LIMITS.client));
 app.use(validateBearerToken);
+app.use(rateLimitReadsAndWrites(RATE_LIMITS));
 
-app.use('/api/bookmarks', bookmarksRouter);
+app.use('/api/bookmarks', requireReadWriteScope, bookmarksRouter);
+app.use('/go', requireReadWriteScope, goRouter);
+app.use('/api/tags', requireDatabase, requireReadWriteScope, tagsRouter);
+app.use('/api/folders', requireDatabase, requireReadWriteScope, foldersRouter);
+app.use('/api/trash', requireDatabase, requireReadWriteScope, trashRouter);
+app.use('/api/webhooks', requireDatabase, requireReadWriteScope, webhooksRouter);
+app.use('/api/shares', requireDatabase, requireReadWriteScope, sharesRouter);
+app.use('/api/keys', requireDatabase, requireKeyManagement, apiKeysRouter);
 
 app.get('/', (req, res) => {
   res.send('Hello, world!');
 });
 
+app.use((req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+});
+
 app.use(errorHandler);
 
 module.exports = app;
\ No newline at end of file
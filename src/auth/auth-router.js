@@ -0,0 +1,47 @@
+/* eslint-disable strict */
+const express = require('express');
+const AuthService = require('./auth-service');
+const logger = require('../logger');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { ValidationError, UnauthorizedError } = require('../errors');
+
+const authRouter = express.Router();
+const bodyParser = express.json();
+
+authRouter
+  .route('/login')
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { username, password } = req.body;
+    const loginUser = { username, password };
+
+    for (const [field, value] of Object.entries(loginUser)) {
+      if (!value) {
+        logger.error(`${field} is required`);
+        return next(new ValidationError(`'${field}' is required`));
+      }
+    }
+
+    const knexInstance = req.app.get('db');
+    const loginFailed = () => {
+      logger.error(`Failed login for username ${username}`);
+      return new UnauthorizedError('Incorrect username or password');
+    };
+
+    AuthService.getUserWithUsername(knexInstance, String(username))
+      .then(user => {
+        if (!user) throw loginFailed();
+
+        return AuthService.comparePasswords(String(password), user.password)
+          .then(passwordsMatch => {
+            if (!passwordsMatch) throw loginFailed();
+
+            logger.info(`User with id ${user.id} logged in.`);
+            res.json({
+              authToken: AuthService.createJwt(user.username, { user_id: user.id }),
+            });
+          });
+      })
+      .catch(next);
+  });
+
+module.exports = authRouter;
@@ -0,0 +1,30 @@
+/* eslint-disable strict */
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, JWT_EXPIRY } = require('../config');
+
+const AuthService = {
+  getUserWithUsername(knex, username) {
+    return knex('users').where({ username }).first();
+  },
+  getUserById(knex, id) {
+    return knex('users').where({ id }).first();
+  },
+  comparePasswords(password, hash) {
+    return bcrypt.compare(password, hash);
+  },
+  createJwt(subject, payload) {
+    return jwt.sign(payload, JWT_SECRET, {
+      subject,
+      expiresIn: JWT_EXPIRY,
+      algorithm: 'HS256',
+    });
+  },
+  verifyJwt(token) {
+    return jwt.verify(token, JWT_SECRET, {
+      algorithms: ['HS256'],
+    });
+  }
+};
+
+module.exports = AuthService;
@@ -0,0 +1,33 @@
+/* eslint-disable strict */
+const { canonicalizeUrl } = require('./canonical-url');
+
+const BATCH_SIZE = 500;
+
+// Fills in the canonical_url of bookmarks saved before there was one, with
+// the same canonicalizeUrl that inserts and updates use. Resolves to the
+// number of bookmarks updated.
+function backfillCanonicalUrls(db, { batchSize = BATCH_SIZE } = {}) {
+  let updated = 0;
+
+  function backfillAfter(afterId) {
+    return db('bookmarks')
+      .select('id', 'url')
+      .whereNull('canonical_url')
+      .where('id', '>', afterId)
+      .orderBy('id')
+      .limit(batchSize)
+      .then(rows => Promise.all(rows.map(row => db('bookmarks')
+        .where('id', row.id)
+        .update({ canonical_url: canonicalizeUrl(row.url) })
+      ))
+        .then(() => {
+          updated += rows.length;
+          if (rows.length < batchSize) return updated;
+          return backfillAfter(rows[rows.length - 1].id);
+        }));
+  }
+
+  return backfillAfter(0);
+}
+
+module.exports = { backfillCanonicalUrls };
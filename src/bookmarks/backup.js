@@ -0,0 +1,137 @@
+/* eslint-disable strict */
+const { BOOKMARK_SCHEMA } = require('./bookmark-validator');
+const { FOLDER_SCHEMA } = require('../folders/folder-validator');
+const { toObjectSchema } = require('../schema');
+
+// JSON backups keep everything needed to restore bookmarks as they were,
+// timestamps included; their ids tie bookmarks to folders. Bump the version
+// whenever the shape changes and keep restoring the older ones.
+const BACKUP_FORMAT = 'bookmarks-backup';
+// Version 2 added visit counts; version 1 backups restore without them
+const BACKUP_VERSION = 2;
+
+const BACKUP_FOLDER_SCHEMA = {
+  id: {
+    type: 'integer',
+    minimum: 1,
+    description: 'a folder id'
+  },
+  ...FOLDER_SCHEMA,
+};
+
+const BACKUP_FOLDER_REQUIRED_FIELDS = ['id', 'name'];
+
+const BACKUP_BOOKMARK_SCHEMA = {
+  id: {
+    type: 'integer',
+    minimum: 1,
+    description: 'a bookmark id'
+  },
+  ...BOOKMARK_SCHEMA,
+  created_at: {
+    type: 'string',
+    format: 'date-time',
+    description: 'a timestamp'
+  },
+  metadata: {
+    type: 'object',
+    nullable: true,
+    description: 'an object or null'
+  },
+  visit_count: {
+    type: 'integer',
+    minimum: 0,
+    description: 'a number of visits'
+  },
+  last_visited_at: {
+    type: 'string',
+    nullable: true,
+    format: 'date-time',
+    description: 'a timestamp or null'
+  },
+};
+
+const BACKUP_BOOKMARK_REQUIRED_FIELDS = ['id', 'title', 'url', 'rating'];
+
+const BACKUP_SCHEMA = {
+  format: {
+    type: 'string',
+    enum: [BACKUP_FORMAT],
+    description: `'${BACKUP_FORMAT}'`
+  },
+  version: {
+    type: 'integer',
+    minimum: 1,
+    maximum: BACKUP_VERSION,
+    description: `a backup version from 1 to ${BACKUP_VERSION}`
+  },
+  exported_at: {
+    type: 'string',
+    format: 'date-time',
+    description: 'a timestamp'
+  },
+  folders: {
+    type: 'array',
+    items: toObjectSchema(BACKUP_FOLDER_SCHEMA, { required: BACKUP_FOLDER_REQUIRED_FIELDS }),
+    description: 'an array of folders'
+  },
+  bookmarks: {
+    type: 'array',
+    items: toObjectSchema(BACKUP_BOOKMARK_SCHEMA, { required: BACKUP_BOOKMARK_REQUIRED_FIELDS }),
+    description: 'an array of bookmarks'
+  },
+};
+
+const BACKUP_REQUIRED_FIELDS = ['format', 'version', 'folders', 'bookmarks'];
+
+const toBackupFolder = folder => ({
+  id: folder.id,
+  name: folder.name,
+  parent_id: folder.parent_id,
+});
+
+const toBackupBookmark = bookmark => ({
+  id: bookmark.id,
+  title: bookmark.title,
+  url: bookmark.url,
+  description: bookmark.description,
+  rating: Number(bookmark.rating),
+  tags: bookmark.tags,
+  folder_id: bookmark.folder_id,
+  created_at: bookmark.created_at,
+  metadata: bookmark.metadata,
+  visit_count: bookmark.visit_count,
+  last_visited_at: bookmark.last_visited_at,
+});
+
+// Writes the backup as one JSON document, a batch of bookmarks at a time
+function createBackupWriter(folders) {
+  let first = true;
+  return {
+    start: () => {
+      const header = JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported_at: new Date(),
+        folders: folders.map(toBackupFolder),
+      });
+      return `${header.slice(0, -1)},"bookmarks":[`;
+    },
+    batch: bookmarks => bookmarks.map(bookmark => {
+      const separator = first ? '\n' : ',\n';
+      first = false;
+      return separator + JSON.stringify(toBackupBookmark(bookmark));
+    }).join(''),
+    end: () => '\n]}\n',
+  };
+}
+
+module.exports = {
+  BACKUP_FOLDER_SCHEMA,
+  BACKUP_FOLDER_REQUIRED_FIELDS,
+  BACKUP_BOOKMARK_SCHEMA,
+  BACKUP_BOOKMARK_REQUIRED_FIELDS,
+  BACKUP_SCHEMA,
+  BACKUP_REQUIRED_FIELDS,
+  createBackupWriter
+};
@@ -0,0 +1,84 @@
+/* eslint-disable strict */
+const xss = require('xss');
+
+const serializeHealth = health => health && ({
+  status: health.status,
+  status_code: health.status_code,
+  redirect_url: health.redirect_url,
+  response_time_ms: health.response_time_ms,
+  error: health.error,
+  last_checked_at: new Date(health.last_checked_at),
+});
+
+const xssOrNull = value => (value ? xss(value) : null);
+
+const serializeMetadata = metadata => metadata && ({
+  title: xssOrNull(metadata.title),
+  description: xssOrNull(metadata.description),
+  favicon_url: xssOrNull(metadata.favicon_url),
+  canonical_url: xssOrNull(metadata.canonical_url),
+  image_url: xssOrNull(metadata.image_url),
+  fetched_at: new Date(metadata.fetched_at),
+});
+
+const serializeBookmark = bookmark => ({
+  id: bookmark.id,
+  title: xss(bookmark.title),
+  url: bookmark.url,
+  description: xss(bookmark.description),
+  rating: Number(bookmark.rating),
+  tags: (bookmark.tags || []).map(tag => xss(tag)),
+  folder_id: bookmark.folder_id || null,
+  visit_count: bookmark.visit_count,
+  last_visited_at: bookmark.last_visited_at,
+  health: serializeHealth(bookmark.health),
+  metadata: serializeMetadata(bookmark.metadata),
+});
+
+const serializeSearchResult = bookmark => ({
+  ...serializeBookmark(bookmark),
+  snippet: xss(bookmark.snippet),
+});
+
+const serializeRevisionValues = values => {
+  const serialized = { ...values };
+  for (const field of ['title', 'description']) {
+    if (typeof serialized[field] === 'string') {
+      serialized[field] = xss(serialized[field]);
+    }
+  }
+  if (Array.isArray(serialized.tags)) {
+    serialized.tags = serialized.tags.map(tag => xss(tag));
+  }
+  return serialized;
+};
+
+const serializeRevision = revision => ({
+  id: revision.id,
+  action: revision.action,
+  actor: {
+    type: revision.actor_type,
+    user_id: revision.actor_user_id,
+    key_id: revision.actor_key_id,
+  },
+  changed_fields: revision.changed_fields,
+  old_values: serializeRevisionValues(revision.old_values),
+  new_values: serializeRevisionValues(revision.new_values),
+  created_at: revision.created_at,
+});
+
+const serializeSnapshot = snapshot => ({
+  id: snapshot.id,
+  bookmark_id: snapshot.bookmark_id,
+  url: snapshot.url,
+  title: xssOrNull(snapshot.title),
+  text: xss(snapshot.text),
+  captured_at: snapshot.captured_at,
+});
+
+module.exports = {
+  serializeBookmark,
+  serializeSearchResult,
+  serializeRevision,
+  serializeSnapshot
+};
@@ -1,33 +1,316 @@
 /* eslint-disable strict */
-const { isWebUri } = require('valid-url');
 const logger = require('../logger');
+const { buildTsQuery } = require('./search-query');
+const { getTagListValidationError } = require('../tags/tag-validator');
+const { fieldError, makeFieldsError, getSchemaValidationError } = require('../schema');
+const FoldersService = require('../folders/folders-service');
 
 const NO_ERRORS = null;
 
-function getBookmarkValidationError({ url, rating }) {
-  if (rating &&
-        (!Number.isInteger(rating) || rating < 0 || rating > 5)) {
-    logger.error(`Invalid rating ${rating} supplied`);
+const MAX_LIMIT = 100;
+const REQUIRED_FIELDS = ['title', 'url', 'rating'];
+const MAX_TITLE_LENGTH = 500;
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const SORTABLE_FIELDS = ['title', 'rating', 'created_at', 'popular'];
+const SORT_ORDERS = ['asc', 'desc'];
+const TAG_MODES = ['any', 'all'];
+const LINK_STATUSES = ['ok', 'redirected', 'broken', 'unchecked'];
+const BULK_MODES = ['atomic', 'best_effort'];
+const MAX_BULK_OPERATIONS = 1000;
+const EXPORT_FORMATS = ['html', 'json', 'csv', 'md'];
+
+const BOOKMARK_SCHEMA = {
+  title: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_TITLE_LENGTH,
+    description: 'a string'
+  },
+  url: {
+    type: 'string',
+    maxLength: MAX_URL_LENGTH,
+    format: 'uri',
+    description: 'a valid URL'
+  },
+  description: {
+    type: 'string',
+    nullable: true,
+    maxLength: MAX_DESCRIPTION_LENGTH,
+    description: 'a string or null'
+  },
+  // Ratings are stored as the star_rating enum, which runs from '1' to '5'
+  rating: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 5,
+    description: 'a number between 1 and 5'
+  },
+  tags: {
+    type: 'array',
+    description: 'an array of tag names',
+    validate: tags => {
+      const error = getTagListValidationError(tags);
+      return error && error.error.message;
+    }
+  },
+  folder_id: {
+    type: 'integer',
+    nullable: true,
+    minimum: 1,
+    description: 'a folder id or null'
+  },
+};
+
+const BOOKMARK_FIELDS = Object.keys(BOOKMARK_SCHEMA);
+
+const BOOKMARK_MERGE_SCHEMA = {
+  target_id: {
+    type: 'integer',
+    description: 'a bookmark id'
+  },
+  source_ids: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'integer' },
+    description: 'a non-empty array of bookmark ids other than \'target_id\''
+  },
+};
+
+// Operations are checked one by one, so that each gets its own result
+const BULK_SCHEMA = {
+  operations: {
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_BULK_OPERATIONS,
+    items: { type: 'object' },
+    description: `an array of 1 to ${MAX_BULK_OPERATIONS} operations`
+  },
+  mode: {
+    type: 'string',
+    enum: BULK_MODES,
+    description: `one of ${BULK_MODES.join(', ')}`
+  },
+};
+
+// A bookmark completed from its page only needs a url up front
+function getNewBookmarkValidationError(newBookmark, { required = REQUIRED_FIELDS } = {}) {
+  return getSchemaValidationError(newBookmark, BOOKMARK_SCHEMA, { required });
+}
+
+function getBookmarkUpdateValidationError(bookmarkToUpdate) {
+  const error = getSchemaValidationError(bookmarkToUpdate, BOOKMARK_SCHEMA);
+
+  if (error) return error;
+
+  if (!BOOKMARK_FIELDS.some(field => bookmarkToUpdate[field] !== undefined)) {
+    return makeFieldsError([fieldError(
+      null,
+      'empty',
+      'Request body must contain either \'title\', \'url\', \'description\', \'rating\', \'tags\', or \'folder_id\''
+    )]);
+  }
+
+  return NO_ERRORS;
+}
+
+// `findFolder` looks the folder up wherever folders are kept
+function getMissingFolderError(findFolder, folderId) {
+  if (!folderId) return Promise.resolve(NO_ERRORS);
+  return findFolder(folderId)
+    .then(folder => {
+      if (folder) return NO_ERRORS;
+      logger.error(`Folder with id ${folderId} not found.`);
+      return makeFieldsError([fieldError(
+        'folder_id',
+        'not_found',
+        '\'folder_id\' must reference an existing folder'
+      )]);
+    });
+}
+
+function getFolderReferenceError(knex, folderId, userId) {
+  return getMissingFolderError(id => FoldersService.getById(knex, id, userId), folderId);
+}
+
+function isIntegerString(value) {
+  return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+function getPaginationError({ limit, offset }) {
+  if (limit !== undefined &&
+        (!isIntegerString(limit) || Number(limit) < 1 || Number(limit) > MAX_LIMIT)) {
+    logger.error(`Invalid limit ${limit} supplied`);
     return {
       error: {
-        message: '\'rating\' must be a number between 0 and 5'
-      }      
+        message: `'limit' must be a number between 1 and ${MAX_LIMIT}`
+      }
     };
   }
 
-  if (url && !isWebUri(url)) {
-    logger.error(`Invalid url ${url} supplied`);
+  if (offset !== undefined && !isIntegerString(offset)) {
+    logger.error(`Invalid offset ${offset} supplied`);
     return {
       error: {
-        message: '\'url\' must be a valid URL'
-      }      
+        message: '\'offset\' must be a number greater than or equal to 0'
+      }
     };
   }
 
   return NO_ERRORS;
+}
+
+function getListQueryValidationError(query) {
+  const {
+    sort, order, min_rating, max_rating, host, tag, tag_mode, folder_id, status, stale
+  } = query;
+
+  const paginationError = getPaginationError(query);
+
+  if (paginationError) return paginationError;
+
+  if (sort !== undefined && !SORTABLE_FIELDS.includes(sort)) {
+    logger.error(`Invalid sort ${sort} supplied`);
+    return {
+      error: {
+        message: `'sort' must be one of ${SORTABLE_FIELDS.join(', ')}`
+      }
+    };
+  }
+
+  if (order !== undefined && !SORT_ORDERS.includes(order)) {
+    logger.error(`Invalid order ${order} supplied`);
+    return {
+      error: {
+        message: `'order' must be one of ${SORT_ORDERS.join(', ')}`
+      }
+    };
+  }
+
+  for (const [field, value] of [['min_rating', min_rating], ['max_rating', max_rating]]) {
+    if (value !== undefined &&
+          (!isIntegerString(value) || Number(value) < 1 || Number(value) > 5)) {
+      logger.error(`Invalid ${field} ${value} supplied`);
+      return {
+        error: {
+          message: `'${field}' must be a number between 1 and 5`
+        }
+      };
+    }
+  }
+
+  if (min_rating !== undefined && max_rating !== undefined &&
+        Number(min_rating) > Number(max_rating)) {
+    logger.error(`Invalid rating range ${min_rating}-${max_rating} supplied`);
+    return {
+      error: {
+        message: '\'min_rating\' must not be greater than \'max_rating\''
+      }
+    };
+  }
+
+  if (host !== undefined && (typeof host !== 'string' || !host.trim())) {
+    logger.error(`Invalid host ${host} supplied`);
+    return {
+      error: {
+        message: '\'host\' must be a non-empty string'
+      }
+    };
+  }
+
+  if (tag !== undefined) {
+    const tagError = getTagListValidationError([].concat(tag), 'tag');
+    if (tagError) return tagError;
+  }
+
+  if (folder_id !== undefined && (!isIntegerString(folder_id) || Number(folder_id) < 1)) {
+    logger.error(`Invalid folder_id ${folder_id} supplied`);
+    return {
+      error: {
+        message: '\'folder_id\' must be a folder id'
+      }
+    };
+  }
+
+  if (tag_mode !== undefined && !TAG_MODES.includes(tag_mode)) {
+    logger.error(`Invalid tag_mode ${tag_mode} supplied`);
+    return {
+      error: {
+        message: `'tag_mode' must be one of ${TAG_MODES.join(', ')}`
+      }
+    };
+  }
+
+  if (status !== undefined && !LINK_STATUSES.includes(status)) {
+    logger.error(`Invalid status ${status} supplied`);
+    return {
+      error: {
+        message: `'status' must be one of ${LINK_STATUSES.join(', ')}`
+      }
+    };
+  }
+
+  if (stale !== undefined && (!isIntegerString(stale) || Number(stale) < 1)) {
+    logger.error(`Invalid stale ${stale} supplied`);
+    return {
+      error: {
+        message: '\'stale\' must be a number of days'
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+function getLastEventIdError(lastEventId) {
+  if (lastEventId !== undefined && !isIntegerString(lastEventId)) {
+    logger.error(`Invalid Last-Event-ID ${lastEventId} supplied`);
+    return {
+      error: {
+        message: '\'Last-Event-ID\' must be an event id'
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+function getSearchQueryValidationError(query) {
+  const { q } = query;
+
+  if (typeof q !== 'string' || !buildTsQuery(q)) {
+    logger.error(`Invalid search query ${q} supplied`);
+    return {
+      error: {
+        message: '\'q\' must contain at least one word to search for'
+      }
+    };
+  }
 
+  return getPaginationError(query);
 }
 
 module.exports = {
-  getBookmarkValidationError
-};
\ No newline at end of file
+  MAX_LIMIT,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  EXPORT_FORMATS,
+  SORTABLE_FIELDS,
+  SORT_ORDERS,
+  TAG_MODES,
+  LINK_STATUSES,
+  BOOKMARK_SCHEMA,
+  BOOKMARK_FIELDS,
+  BOOKMARK_MERGE_SCHEMA,
+  BULK_SCHEMA,
+  getPaginationError,
+  getNewBookmarkValidationError,
+  getBookmarkUpdateValidationError,
+  getFolderReferenceError,
+  getMissingFolderError,
+  getListQueryValidationError,
+  getSearchQueryValidationError,
+  getLastEventIdError
+};
@@ -0,0 +1,168 @@
+/* eslint-disable strict */
+const BookmarksService = require('./bookmarks-service');
+const logger = require('../logger');
+const {
+  getNewBookmarkValidationError,
+  getBookmarkUpdateValidationError,
+  getFolderReferenceError
+} = require('./bookmark-validator');
+const { normalizeTagNames } = require('../tags/tag-validator');
+const { getErrorCode } = require('../errors');
+
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+// Thrown inside the transaction to roll an atomic batch back
+class BulkOperationFailed extends Error {}
+
+const pickBookmarkFields = ({ title, url, description, rating, tags, folder_id }) => (
+  { title, url, description, rating, tags, folder_id }
+);
+
+const normalizeTags = bookmark => (
+  bookmark.tags ? { ...bookmark, tags: normalizeTagNames(bookmark.tags) } : bookmark
+);
+
+const failure = (status, message) => ({
+  status,
+  error: { code: getErrorCode(status), message }
+});
+const invalid = ({ error }) => ({ status: 400, error });
+
+function getOperationShapeError(operation) {
+  if (!operation || !BULK_OPERATIONS.includes(operation.op)) {
+    return failure(400, `'op' must be one of ${BULK_OPERATIONS.join(', ')}`);
+  }
+  if (operation.op !== 'create' && !Number.isInteger(operation.id)) {
+    return failure(400, '\'id\' must be a bookmark id');
+  }
+  if (operation.op !== 'delete' &&
+        (typeof operation.bookmark !== 'object' || operation.bookmark === null)) {
+    return failure(400, '\'bookmark\' must be an object');
+  }
+  return null;
+}
+
+function createBookmark(knex, { bookmark }, { user_id: userId, allow_duplicate, actor }) {
+  const error = getNewBookmarkValidationError(bookmark);
+  if (error) return Promise.resolve(invalid(error));
+
+  const newBookmark = pickBookmarkFields(bookmark);
+
+  return Promise.all([
+    getFolderReferenceError(knex, newBookmark.folder_id, userId),
+    allow_duplicate ? null : BookmarksService.findDuplicate(knex, newBookmark.url, userId)
+  ])
+    .then(([folderError, duplicate]) => {
+      if (folderError) return invalid(folderError);
+      if (duplicate) {
+        return {
+          status: 409,
+          error: {
+            code: getErrorCode(409),
+            message: 'A bookmark with this URL already exists',
+            bookmark_id: duplicate.id
+          }
+        };
+      }
+
+      return BookmarksService.insertBookmark(knex, {
+        ...normalizeTags(newBookmark),
+        user_id: userId
+      }, { actor })
+        .then(created => ({ status: 201, id: created.id, bookmark: created }));
+    });
+}
+
+function updateBookmark(knex, { id, bookmark }, { user_id: userId, actor }) {
+  const error = getBookmarkUpdateValidationError(bookmark);
+  if (error) return Promise.resolve(invalid(error));
+
+  const bookmarkToUpdate = pickBookmarkFields(bookmark);
+
+  return Promise.all([
+    BookmarksService.getById(knex, id, userId),
+    getFolderReferenceError(knex, bookmarkToUpdate.folder_id, userId)
+  ])
+    .then(([existing, folderError]) => {
+      if (!existing) return failure(404, 'Bookmark Not Found');
+      if (folderError) return invalid(folderError);
+
+      return BookmarksService.updateBookmark(knex, id, normalizeTags(bookmarkToUpdate), { actor })
+        .then(() => BookmarksService.getById(knex, id))
+        .then(updated => ({ status: 200, bookmark: updated }));
+    });
+}
+
+function deleteBookmark(knex, { id }, { user_id: userId, actor }) {
+  return BookmarksService.getById(knex, id, userId)
+    .then(existing => {
+      if (!existing) return failure(404, 'Bookmark Not Found');
+
+      return BookmarksService.deleteBookmark(knex, id, { actor })
+        .then(() => ({ status: 204 }));
+    });
+}
+
+const HANDLERS = {
+  create: createBookmark,
+  update: updateBookmark,
+  delete: deleteBookmark,
+};
+
+function runOperation(knex, operation, options) {
+  const shapeError = getOperationShapeError(operation);
+  if (shapeError) return Promise.resolve(shapeError);
+  return HANDLERS[operation.op](knex, operation, options);
+}
+
+const BookmarksBulkService = {
+  // Atomic batches stop at the first failure and roll everything back; best
+  // effort batches run each operation in its own savepoint and keep going.
+  runOperations(knex, operations, { atomic, ...options }) {
+    const results = [];
+
+    const run = trx => operations.reduce((promise, operation, index) => promise.then(() => {
+      const describe = result => ({
+        index,
+        op: operation && operation.op,
+        id: operation && operation.id,
+        ...result
+      });
+
+      if (atomic) {
+        return runOperation(trx, operation, options)
+          .then(result => {
+            results.push(describe(result));
+            if (result.error) throw new BulkOperationFailed();
+          });
+      }
+
+      return trx.transaction(savepoint => runOperation(savepoint, operation, options)
+        .then(result => {
+          if (result.error) throw result;
+          return result;
+        }))
+        .catch(error => {
+          if (error instanceof Error) {
+            logger.error(`Bulk operation ${index} failed: ${error.message}`);
+            return failure(500, 'server error');
+          }
+          return error;
+        })
+        .then(result => {
+          results.push(describe(result));
+        });
+    }), Promise.resolve());
+
+    return knex.transaction(run)
+      .then(() => ({ committed: true, results }))
+      .catch(error => {
+        if (error instanceof BulkOperationFailed) {
+          return { committed: false, results };
+        }
+        throw error;
+      });
+  }
+};
+
+module.exports = BookmarksBulkService;
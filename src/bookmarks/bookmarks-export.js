@@ -0,0 +1,57 @@
+/* eslint-disable strict */
+const BookmarksService = require('./bookmarks-service');
+const FoldersService = require('../folders/folders-service');
+const { createBackupWriter } = require('./backup');
+const { createCsvWriter } = require('./csv');
+const { createMarkdownWriter } = require('./markdown');
+const { getFolderPaths } = require('./folder-paths');
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Formats written a batch of bookmarks at a time rather than all at once
+const EXPORTERS = {
+  json: {
+    type: 'application/json',
+    filename: 'bookmarks.json',
+    createWriter: folders => createBackupWriter(folders),
+  },
+  csv: {
+    type: 'text/csv',
+    filename: 'bookmarks.csv',
+    createWriter: folders => createCsvWriter(getFolderPaths(folders)),
+  },
+  md: {
+    type: 'text/markdown',
+    filename: 'bookmarks.md',
+    createWriter: folders => createMarkdownWriter(getFolderPaths(folders)),
+  },
+};
+
+function eachBatch(knex, filters, handle, after) {
+  return BookmarksService
+    .getBookmarksAfter(knex, after, { filters, limit: EXPORT_BATCH_SIZE })
+    .then(bookmarks => {
+      if (!bookmarks.length) return;
+      return Promise.resolve(handle(bookmarks)).then(() => {
+        if (bookmarks.length < EXPORT_BATCH_SIZE) return;
+        return eachBatch(knex, filters, handle, bookmarks[bookmarks.length - 1]);
+      });
+    });
+}
+
+// Passes the export to `write` in chunks, waiting on any promise it returns
+// before fetching the next batch
+function exportBookmarks(knex, format, filters, write) {
+  return FoldersService.getAllFolders(knex, filters.user_id)
+    .then(folders => {
+      const writer = EXPORTERS[format].createWriter(folders);
+      return Promise.resolve(write(writer.start()))
+        .then(() => eachBatch(knex, filters, bookmarks => write(writer.batch(bookmarks))))
+        .then(() => write(writer.end()));
+    });
+}
+
+module.exports = {
+  EXPORTERS,
+  exportBookmarks
+};
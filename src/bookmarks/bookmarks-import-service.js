@@ -0,0 +1,205 @@
+/* eslint-disable strict */
+const BookmarksService = require('./bookmarks-service');
+const FoldersService = require('../folders/folders-service');
+const { getNewBookmarkValidationError } = require('./bookmark-validator');
+const { normalizeTagNames } = require('../tags/tag-validator');
+const { canonicalizeUrl } = require('./canonical-url');
+const { fieldError, getSchemaErrors, makeFieldsError } = require('../schema');
+const {
+  BACKUP_FOLDER_SCHEMA,
+  BACKUP_FOLDER_REQUIRED_FIELDS,
+  BACKUP_BOOKMARK_SCHEMA,
+  BACKUP_BOOKMARK_REQUIRED_FIELDS
+} = require('./backup');
+const { ValidationError } = require('../errors');
+
+const folderKey = folderPath => JSON.stringify(folderPath);
+
+function createFolders(knex, folderPaths, userId) {
+  const folderIds = new Map([[folderKey([]), null]]);
+  return folderPaths
+    .reduce((promise, folderPath) => promise.then(() => {
+      const key = folderKey(folderPath);
+      if (folderIds.has(key)) return;
+      const parentId = folderIds.get(folderKey(folderPath.slice(0, -1)));
+      return FoldersService
+        .findOrCreateFolder(knex, folderPath[folderPath.length - 1], parentId, userId)
+        .then(folder => folderIds.set(key, folder.id));
+    }), Promise.resolve())
+    .then(() => folderIds);
+}
+
+function getEntryFieldErrors(newBookmark, createdAt) {
+  const error = getNewBookmarkValidationError(newBookmark);
+  const fields = error ? error.error.fields : [];
+  if (createdAt && Number.isNaN(createdAt.getTime())) {
+    fields.push(fieldError('created_at', 'invalid_format', '\'created_at\' must be a timestamp'));
+  }
+  return fields;
+}
+
+const toEntryError = (index, entry, fields) => ({
+  index,
+  ...(entry.row ? { row: entry.row } : {}),
+  url: entry.url,
+  message: fields.map(field => field.message).join('; '),
+  fields,
+});
+
+// Orders backup folders parents first. Every parent has to be in the backup
+// too, which also rules out cycles.
+function sortBackupFolders(folders) {
+  const errors = [];
+  folders.forEach((folder, index) => {
+    getSchemaErrors(folder, BACKUP_FOLDER_SCHEMA, { required: BACKUP_FOLDER_REQUIRED_FIELDS })
+      .forEach(error => errors.push({ ...error, field: `folders[${index}].${error.field}` }));
+  });
+  if (errors.length) return { errors };
+
+  const sorted = [];
+  const placed = new Set();
+  let remaining = folders;
+  while (remaining.length) {
+    const ready = remaining.filter(folder => !folder.parent_id || placed.has(folder.parent_id));
+    if (!ready.length) break;
+    ready.forEach(folder => {
+      sorted.push(folder);
+      placed.add(folder.id);
+    });
+    remaining = remaining.filter(folder => !ready.includes(folder));
+  }
+
+  return {
+    folders: sorted,
+    errors: remaining.map(folder => fieldError(
+      `folders[${folders.indexOf(folder)}].parent_id`,
+      'not_found',
+      `'folders[${folders.indexOf(folder)}].parent_id' must be the id of another folder in the backup`
+    )),
+  };
+}
+
+// Restores a backup folder under a new id, or reuses the owner's folder of
+// the same name in the same place. `folderIds` maps backup ids to restored
+// ids.
+function restoreFolder(knex, folder, folderIds, userId) {
+  const parentId = folder.parent_id ? folderIds.get(folder.parent_id) : null;
+  return FoldersService.findOrCreateFolder(knex, folder.name.trim(), parentId, userId)
+    .then(restored => folderIds.set(folder.id, restored.id));
+}
+
+const BookmarksImportService = {
+  // Imports parsed bookmarks in one transaction, skipping URLs the owner has
+  // already saved (compared in canonical form) and reporting invalid entries.
+  importBookmarks(knex, { folders, bookmarks }, { user_id, rating, actor }) {
+    const report = { created: 0, skipped: 0, invalid: 0, errors: [] };
+
+    return knex.transaction(trx => {
+      return Promise.all([
+        createFolders(trx, folders, user_id),
+        BookmarksService.getExistingCanonicalUrls(trx, bookmarks.map(entry => entry.url), user_id)
+      ])
+        .then(([folderIds, existingUrls]) => bookmarks
+          .reduce((promise, entry, index) => promise.then(() => {
+            const newBookmark = {
+              title: entry.title || entry.url,
+              url: entry.url,
+              description: entry.description,
+              rating: entry.rating === undefined ? rating : entry.rating,
+              tags: entry.tags,
+            };
+
+            const fields = getEntryFieldErrors(newBookmark, entry.created_at);
+            if (fields.length) {
+              report.invalid++;
+              report.errors.push(toEntryError(index, entry, fields));
+              return;
+            }
+
+            const canonicalUrl = canonicalizeUrl(entry.url);
+            if (existingUrls.has(canonicalUrl)) {
+              report.skipped++;
+              return;
+            }
+            existingUrls.add(canonicalUrl);
+
+            return BookmarksService.insertBookmark(trx, {
+              ...newBookmark,
+              tags: normalizeTagNames(newBookmark.tags),
+              folder_id: folderIds.get(folderKey(entry.folderPath)),
+              created_at: entry.created_at,
+              user_id,
+            }, { actor })
+              .then(() => {
+                report.created++;
+              });
+          }), Promise.resolve())
+        );
+    })
+      .then(() => report);
+  },
+  // Restores a JSON backup in one transaction, keeping its timestamps. Ids
+  // in the backup only tie bookmarks to folders: everything is restored
+  // under new ids, skipping URLs the owner has already saved. A backup whose
+  // folders do not form a tree is rejected whole.
+  restoreBackup(knex, backup, { user_id, actor }) {
+    const report = { created: 0, skipped: 0, invalid: 0, errors: [] };
+    const { folders, errors } = sortBackupFolders(backup.folders);
+    if (errors.length) {
+      const { error } = makeFieldsError(errors);
+      return Promise.reject(new ValidationError(error.message, error.fields));
+    }
+    const folderIds = new Map();
+
+    return knex.transaction(trx => {
+      return folders
+        .reduce(
+          (promise, folder) => promise.then(() => restoreFolder(trx, folder, folderIds, user_id)),
+          Promise.resolve()
+        )
+        .then(() => BookmarksService.getExistingCanonicalUrls(
+          trx,
+          backup.bookmarks.map(entry => entry.url),
+          user_id
+        ))
+        .then(existingUrls => backup.bookmarks.reduce((promise, entry, index) => promise.then(() => {
+          const fields = getSchemaErrors(entry, BACKUP_BOOKMARK_SCHEMA, {
+            required: BACKUP_BOOKMARK_REQUIRED_FIELDS
+          });
+          if (entry.folder_id && !folderIds.has(entry.folder_id)) {
+            fields.push(fieldError(
+              'folder_id',
+              'not_found',
+              '\'folder_id\' must be the id of a folder in the backup'
+            ));
+          }
+          if (fields.length) {
+            report.invalid++;
+            report.errors.push(toEntryError(index, entry, fields));
+            return;
+          }
+
+          const canonicalUrl = canonicalizeUrl(entry.url);
+          if (existingUrls.has(canonicalUrl)) {
+            report.skipped++;
+            return;
+          }
+          existingUrls.add(canonicalUrl);
+
+          const { id, ...restored } = entry;
+          return BookmarksService.insertBookmark(trx, {
+            ...restored,
+            tags: entry.tags && normalizeTagNames(entry.tags),
+            folder_id: entry.folder_id ? folderIds.get(entry.folder_id) : null,
+            user_id,
+          }, { actor })
+            .then(() => {
+              report.created++;
+            });
+        }), Promise.resolve()));
+    })
+      .then(() => report);
+  }
+};
+
+module.exports = BookmarksImportService;
@@ -2,121 +2,739 @@
 /* eslint-disable strict */
 const path = require('path');
 const express = require('express');
-const xss = require('xss');
 const { isWebUri } = require('valid-url');
+const xss = require('xss');
 const BookmarksService = require('./bookmarks-service');
 const logger = require('../logger');
-const { getBookmarkValidationError } = require('./bookmark-validator');
+const {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  EXPORT_FORMATS,
+  getPaginationError,
+  getNewBookmarkValidationError,
+  getBookmarkUpdateValidationError,
+  getFolderReferenceError,
+  getMissingFolderError,
+  getListQueryValidationError,
+  getSearchQueryValidationError,
+  getLastEventIdError
+} = require('./bookmark-validator');
+const { buildTsQuery } = require('./search-query');
+const { normalizeTagNames } = require('../tags/tag-validator');
+const FoldersService = require('../folders/folders-service');
+const BookmarksImportService = require('./bookmarks-import-service');
+const BookmarksBulkService = require('./bookmarks-bulk-service');
+const { parseNetscapeBookmarks, renderNetscapeBookmarks } = require('./netscape');
+const { IMPORTED_COLUMNS, parseCsvBookmarks } = require('./csv');
+const { parseMarkdownBookmarks } = require('./markdown');
+const { EXPORTERS, exportBookmarks } = require('./bookmarks-export');
+const { extractMetadata } = require('../metadata/extract-metadata');
+const {
+  serializeBookmark,
+  serializeSearchResult,
+  serializeRevision,
+  serializeSnapshot
+} = require('./bookmark-serializer');
+const RevisionsService = require('../revisions/revisions-service');
+const SnapshotsService = require('../snapshots/snapshots-service');
+const { captureSnapshot } = require('../snapshots/capture-snapshot');
+const EventsService = require('../events/events-service');
+const { getBookmarkEtag, etagListMatches } = require('./etag');
+const { getPageOptions, setPaginationHeaders } = require('../pagination');
+const {
+  ValidationError,
+  toValidationError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  BulkFailedError,
+  ServiceUnavailableError
+} = require('../errors');
 const { updateBookmark } = require('./bookmarks-service');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { requireDatabase } = require('../storage/require-database');
 
 const bookmarksRouter = express.Router();
 const bodyParser = express.json();
+const bulkBodyParser = express.json({ limit: '5mb' });
+const importTextBodyParser = express.text({
+  type: ['text/html', 'text/csv', 'text/markdown'],
+  limit: '10mb'
+});
+const importJsonBodyParser = express.json({ limit: '10mb' });
+
+const IMPORT_PARSERS = {
+  'text/html': body => parseNetscapeBookmarks(body),
+  'text/csv': (body, columns) => parseCsvBookmarks(body, columns),
+  'text/markdown': body => parseMarkdownBookmarks(body),
+};
+
+const DEFAULT_RATING = 3;
+const REVERTIBLE_ACTIONS = ['update', 'revert'];
+const STREAM_REPLAY_PAGE_SIZE = 1000;
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Resolves once `res` can take more, so a slow client holds the export up
+// rather than the export piling up in memory
+function writeChunk(res, chunk) {
+  if (res.destroyed) return Promise.reject(new Error('Client closed the connection'));
+  if (!chunk || res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+const formatStreamEvent = event =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`;
 
-const serializeBookmark = bookmark => ({
-  id: bookmark.id,
-  title: xss(bookmark.title),
-  url: bookmark.url,
-  description: xss(bookmark.description),
-  rating: Number(bookmark.rating),
+const getListOptions = (query, userId) => ({
+  filters: {
+    user_id: userId,
+    min_rating: query.min_rating && Number(query.min_rating),
+    max_rating: query.max_rating && Number(query.max_rating),
+    host: query.host && query.host.trim(),
+    tags: query.tag && normalizeTagNames([].concat(query.tag)),
+    tag_mode: query.tag_mode || 'all',
+    folder_id: query.folder_id && Number(query.folder_id),
+    status: query.status,
+    stale: query.stale && Number(query.stale),
+  },
+  sort: query.sort,
+  // The most visited come first unless asked otherwise
+  order: query.order || (query.sort === 'popular' ? 'desc' : undefined),
+  ...getPageOptions(query),
 });
 
+// Fills in whatever the client left out from the page's own metadata. A
+// page that cannot be fetched leaves the bookmark as it was.
+function completeFromPage(fetchPage, bookmark) {
+  if (bookmark.title) return Promise.resolve(bookmark);
+
+  return fetchPage(bookmark.url)
+    .then(page => {
+      const metadata = { ...extractMetadata(page.html, page.url), fetched_at: new Date() };
+      return {
+        ...bookmark,
+        title: metadata.title && metadata.title.slice(0, MAX_TITLE_LENGTH),
+        description: bookmark.description === undefined
+          ? metadata.description && metadata.description.slice(0, MAX_DESCRIPTION_LENGTH)
+          : bookmark.description,
+        rating: bookmark.rating === undefined ? DEFAULT_RATING : bookmark.rating,
+        metadata,
+      };
+    })
+    .catch(error => {
+      logger.error(`Could not fetch metadata for ${bookmark.url}: ${error.message}`);
+      return bookmark;
+    });
+}
+
+const findBookmark = (req, res, next) => {
+  const { bookmark_id } = req.params;
+  req.app.get('bookmarkStorage').getById(bookmark_id, req.auth.user_id)
+    .then(bookmark => {
+      if (!bookmark) {
+        logger.error(`Bookmark with id ${bookmark_id} not found.`);
+        throw new NotFoundError('Bookmark Not Found');
+      }
+      res.bookmark = bookmark;
+      next();
+    })
+    .catch(next);
+};
+
+const preconditionFailed = bookmarkId => {
+  logger.error(`Bookmark with id ${bookmarkId} does not match If-Match.`);
+  return new PreconditionFailedError('Bookmark has been modified since it was last fetched');
+};
+
+// Remembers the version If-Match asked for so the write can be made
+// conditional on it, closing the gap between this check and the update.
+const checkIfMatch = (req, res, next) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch === undefined) return next();
+
+  if (!etagListMatches(ifMatch, getBookmarkEtag(res.bookmark))) {
+    return next(preconditionFailed(req.params.bookmark_id));
+  }
+  if (ifMatch.trim() !== '*') {
+    res.expectedVersion = res.bookmark.version;
+  }
+  next();
+};
+
 bookmarksRouter
   .route('/')
   .get((req, res, next) => {
-    BookmarksService.getAllBookmarks(req.app.get('db'))
-      .then(bookmarks => {
+    const error = getListQueryValidationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const options = getListOptions(req.query, req.auth.user_id);
+    const storage = req.app.get('bookmarkStorage');
+
+    Promise.all([
+      storage.getAllBookmarks(options),
+      storage.countBookmarks(options.filters)
+    ])
+      .then(([bookmarks, total]) => {
+        setPaginationHeaders(req, res, options, total);
         res.json(bookmarks.map(serializeBookmark));
       })
       .catch(next);
   })
-  .post(bodyParser, (req, res, next) => {
-    const { title, url, description, rating } = req.body;
-    const newBookmark = { title, url, description, rating };
-
-    for (const field of ['title', 'url', 'rating']) {
-      if (!newBookmark[field]) {
-        logger.error(`${field} is required`);
-        return res.status(400).send({ 
-          error: { message: `'${field}' is required` }
-        });
-      }
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    // A bookmark posted with a url but no title is completed from the page
+    const fromPage = req.body.title === undefined && req.body.url;
+    const error = getNewBookmarkValidationError(
+      req.body,
+      fromPage ? { required: ['url'] } : undefined
+    );
+
+    if (error) return next(toValidationError(error));
+
+    const { title, url, description, rating, tags, folder_id } = req.body;
+    const newBookmark = { title, url, description, rating, tags, folder_id };
+
+    if (tags) {
+      newBookmark.tags = normalizeTagNames(tags);
     }
 
-    const error = getBookmarkValidationError(newBookmark);
-    
-    if (error) return res.status(400).send(error);
+    const storage = req.app.get('bookmarkStorage');
 
-    BookmarksService.insertBookmark(
-      req.app.get('db'),
-      newBookmark
-    )
-      .then(bookmark => {
-        logger.info(`Bookmark with id ${bookmark.id} created.`);
-        res
-          .status(201)
-          .location(path.posix.join(req.originalUrl, `/${bookmark.id}`))
-          .json(serializeBookmark(bookmark));
+    const duplicateLookup = req.query.allow_duplicate === 'true'
+      ? Promise.resolve(null)
+      : storage.findDuplicate(url, req.auth.user_id);
+
+    Promise.all([
+      getMissingFolderError(id => storage.getFolderById(id, req.auth.user_id), folder_id),
+      duplicateLookup
+    ])
+      .then(([folderError, duplicate]) => {
+        if (folderError) throw toValidationError(folderError);
+
+        if (duplicate) {
+          logger.error(`Bookmark with url ${url} already exists with id ${duplicate.id}.`);
+          throw new ConflictError('A bookmark with this URL already exists', {
+            bookmark_id: duplicate.id
+          });
+        }
+
+        return completeFromPage(req.app.get('fetchPage'), newBookmark)
+          .then(completedBookmark => {
+            const titleError = getNewBookmarkValidationError(
+              { title: completedBookmark.title || undefined },
+              { required: ['title'] }
+            );
+
+            if (titleError) throw toValidationError(titleError);
+
+            return storage.insertBookmark({
+              ...completedBookmark,
+              user_id: req.auth.user_id
+            }, { actor: req.auth })
+              .then(bookmark => {
+                logger.info(`Bookmark with id ${bookmark.id} created.`);
+                res
+                  .status(201)
+                  .location(path.posix.join(req.originalUrl, `/${bookmark.id}`))
+                  .json(serializeBookmark(bookmark));
+              });
+          });
       })
       .catch(next);
   });
 
 bookmarksRouter
-  .route('/:bookmark_id')
-  .all((req, res, next) => {
-    const { bookmark_id } = req.params;
-    BookmarksService.getById(req.app.get('db'), bookmark_id)
-      .then(bookmark => {
-        if (!bookmark) {
-          logger.error(`Bookmark with id ${bookmark_id} not found.`);
-          return res.status(404).json({ 
-            error: { message: 'Bookmark Not Found' } 
+  .route('/search')
+  .all(requireDatabase)
+  .get((req, res, next) => {
+    const error = getSearchQueryValidationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const tsquery = buildTsQuery(req.query.q);
+    const options = {
+      filters: { user_id: req.auth.user_id },
+      ...getPageOptions(req.query),
+    };
+    const knexInstance = req.app.get('db');
+
+    Promise.all([
+      BookmarksService.searchBookmarks(knexInstance, tsquery, options),
+      BookmarksService.countSearchResults(knexInstance, tsquery, options.filters)
+    ])
+      .then(([bookmarks, total]) => {
+        setPaginationHeaders(req, res, options, total);
+        res.json(bookmarks.map(serializeSearchResult));
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/duplicates')
+  .all(requireDatabase)
+  .get((req, res, next) => {
+    BookmarksService.getDuplicateClusters(req.app.get('db'), req.auth.user_id)
+      .then(clusters => {
+        res.json(clusters.map(cluster => ({
+          canonical_url: cluster.canonical_url,
+          bookmarks: cluster.bookmarks.map(serializeBookmark),
+        })));
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/stats')
+  .all(requireDatabase)
+  .get((req, res, next) => {
+    BookmarksService.getStats(req.app.get('db'), req.auth.user_id)
+      .then(stats => {
+        res.json({
+          ...stats,
+          tags: stats.tags.map(tag => ({ ...tag, name: xss(tag.name) })),
+        });
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/duplicates/merge')
+  .all(requireDatabase)
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { target_id, source_ids } = req.body;
+
+    if (!Number.isInteger(target_id)) {
+      logger.error(`Invalid target_id ${target_id} supplied`);
+      return next(new ValidationError('\'target_id\' must be a bookmark id'));
+    }
+
+    if (!Array.isArray(source_ids) || !source_ids.length ||
+          !source_ids.every(Number.isInteger) || source_ids.includes(target_id)) {
+      logger.error(`Invalid source_ids ${source_ids} supplied`);
+      return next(new ValidationError(
+        '\'source_ids\' must be a non-empty array of bookmark ids other than \'target_id\''
+      ));
+    }
+
+    const knexInstance = req.app.get('db');
+    const ids = [target_id, ...new Set(source_ids)];
+
+    Promise.all(ids.map(id => BookmarksService.getById(knexInstance, id, req.auth.user_id)))
+      .then(([target, ...sources]) => {
+        if (!target || sources.some(source => !source)) {
+          logger.error(`Bookmarks ${ids} not found for merge.`);
+          throw new NotFoundError('Bookmark Not Found');
+        }
+
+        if (sources.some(source => source.canonical_url !== target.canonical_url ||
+              source.user_id !== target.user_id)) {
+          logger.error(`Bookmarks ${ids} are not duplicates.`);
+          throw new ValidationError('Only bookmarks with the same URL can be merged');
+        }
+
+        return BookmarksService.mergeBookmarks(knexInstance, target_id, ids.slice(1), {
+          actor: req.auth
+        })
+          .then(merged => {
+            logger.info(`Bookmarks ${ids.slice(1)} merged into bookmark ${target_id}`);
+            res.json(serializeBookmark(merged));
           });
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/bulk')
+  .all(requireDatabase)
+  .post(bulkBodyParser, validateRequestBody, (req, res, next) => {
+    const { operations, mode = 'atomic' } = req.body;
+
+    if (!BULK_MODES.includes(mode)) {
+      logger.error(`Invalid bulk mode ${mode} supplied`);
+      return next(new ValidationError(`'mode' must be one of ${BULK_MODES.join(', ')}`));
+    }
+
+    if (!Array.isArray(operations) || !operations.length ||
+          operations.length > MAX_BULK_OPERATIONS) {
+      logger.error('Invalid bulk operations supplied');
+      return next(new ValidationError(
+        `'operations' must be an array of 1 to ${MAX_BULK_OPERATIONS} operations`
+      ));
+    }
+
+    BookmarksBulkService.runOperations(req.app.get('db'), operations, {
+      atomic: mode === 'atomic',
+      allow_duplicate: req.query.allow_duplicate === 'true',
+      user_id: req.auth.user_id,
+      actor: req.auth,
+    })
+      .then(({ committed, results }) => {
+        logger.info(`Bulk request with ${operations.length} operations ${committed ? 'committed' : 'rolled back'}.`);
+        const serializedResults = results.map(({ bookmark, ...result }) => (
+          bookmark ? { ...result, bookmark: serializeBookmark(bookmark) } : result
+        ));
+        if (!committed) {
+          throw new BulkFailedError(
+            `Operation ${results.length - 1} failed; no changes were applied`,
+            { mode, committed, results: serializedResults }
+          );
         }
-        res.bookmark = bookmark;
-        next();
+        res.json({ mode, committed, results: serializedResults });
       })
       .catch(next);
-  })
+  });
+
+bookmarksRouter
+  .route('/import')
+  .all(requireDatabase)
+  .post(importTextBodyParser, importJsonBodyParser, validateRequestBody, (req, res, next) => {
+    const { rating = String(DEFAULT_RATING), columns = {} } = req.query;
+    const knexInstance = req.app.get('db');
+    const options = { user_id: req.auth.user_id, actor: req.auth };
+    const sendReport = report => {
+      logger.info(`Imported ${report.created} bookmarks, skipped ${report.skipped}, ${report.invalid} invalid.`);
+      res.json(report);
+    };
+
+    if (req.is('application/json')) {
+      return BookmarksImportService.restoreBackup(knexInstance, req.body, options)
+        .then(sendReport)
+        .catch(next);
+    }
+
+    const mediaType = req.is(Object.keys(IMPORT_PARSERS));
+    if (!mediaType || typeof req.body !== 'string' || !req.body.trim()) {
+      logger.error('Import body is not a bookmark file');
+      return next(new ValidationError(
+        'Request body must be a bookmark file sent as text/html, text/csv or text/markdown, or a JSON backup'
+      ));
+    }
+
+    if (!/^[1-5]$/.test(rating)) {
+      logger.error(`Invalid import rating ${rating} supplied`);
+      return next(new ValidationError('\'rating\' must be a number between 1 and 5'));
+    }
+
+    if (typeof columns !== 'object' || Object.entries(columns)
+      .some(([field, header]) => !IMPORTED_COLUMNS.includes(field) || typeof header !== 'string')) {
+      logger.error(`Invalid import columns ${JSON.stringify(columns)} supplied`);
+      return next(new ValidationError(
+        `'columns' may only map ${IMPORTED_COLUMNS.join(', ')} to column names`
+      ));
+    }
+
+    const parsed = IMPORT_PARSERS[mediaType](req.body, columns);
+    if (parsed.error) {
+      logger.error(parsed.error);
+      return next(new ValidationError(parsed.error));
+    }
+
+    BookmarksImportService.importBookmarks(knexInstance, parsed, {
+      ...options,
+      rating: Number(rating),
+    })
+      .then(sendReport)
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/export')
+  .all(requireDatabase)
+  .get((req, res, next) => {
+    const { format = 'html' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      logger.error(`Invalid export format ${format} supplied`);
+      return next(new ValidationError(`'format' must be one of ${EXPORT_FORMATS.join(', ')}`));
+    }
+
+    const knexInstance = req.app.get('db');
+    const filters = { user_id: req.auth.user_id };
+
+    if (format === 'html') {
+      return Promise.all([
+        FoldersService.getFolderTree(knexInstance, req.auth.user_id),
+        BookmarksService.getAllBookmarks(knexInstance, { filters })
+      ])
+        .then(([folderTree, bookmarks]) => {
+          res
+            .type('html')
+            .attachment('bookmarks.html')
+            .send(renderNetscapeBookmarks(folderTree, bookmarks));
+        })
+        .catch(next);
+    }
+
+    const exporter = EXPORTERS[format];
+    res.attachment(exporter.filename).type(exporter.type);
+
+    exportBookmarks(knexInstance, format, filters, chunk => writeChunk(res, chunk))
+      .then(() => res.end())
+      .catch(error => {
+        if (!res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          return next(error);
+        }
+        // Too late for an error response; cutting the download short at
+        // least keeps it from looking complete
+        logger.error(`Export stopped part way: ${error.message}`);
+        res.destroy();
+      });
+  });
+
+bookmarksRouter
+  .route('/stream')
+  .all(requireDatabase)
+  .get((req, res, next) => {
+    const eventStream = req.app.get('eventStream');
+    const lastEventId = req.get('Last-Event-ID');
+    const userId = req.auth.user_id;
+
+    if (!eventStream) {
+      logger.error('Bookmark event stream is not running');
+      return next(new ServiceUnavailableError('Event stream unavailable'));
+    }
+
+    const error = getLastEventIdError(lastEventId);
+
+    if (error) return next(toValidationError(error));
+
+    // Live events are held back while missed ones are replayed, then sent
+    // unless the replay already included them.
+    const replayedIds = new Set();
+    let heldBack = lastEventId === undefined ? null : [];
+    const send = event => res.write(formatStreamEvent(event));
+
+    const unsubscribe = eventStream.subscribe(event => {
+      if (userId && event.user_id !== userId) return;
+      if (heldBack) {
+        heldBack.push(event);
+      } else {
+        send(event);
+      }
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+    let closed = false;
+
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!heldBack) return;
+
+    // Pages through the missed events until a short page shows the replay
+    // has caught up
+    const replayAfter = afterId => EventsService.getEventsSince(req.app.get('db'), afterId, {
+      user_id: userId,
+      limit: STREAM_REPLAY_PAGE_SIZE
+    })
+      .then(events => {
+        events.forEach(event => {
+          replayedIds.add(event.id);
+          send(event);
+        });
+        if (events.length < STREAM_REPLAY_PAGE_SIZE || closed) return;
+        return replayAfter(events[events.length - 1].id);
+      });
+
+    replayAfter(Number(lastEventId))
+      .then(() => {
+        heldBack.filter(event => !replayedIds.has(event.id)).forEach(send);
+        heldBack = null;
+      })
+      .catch(error => {
+        logger.error(`Replaying bookmark events failed: ${error.message}`);
+        res.end();
+      });
+  });
+
+bookmarksRouter
+  .route('/:bookmark_id')
+  .all(findBookmark)
   .get((req, res) => {
+    // Express answers a matching If-None-Match with 304 on its own
+    res.set('ETag', getBookmarkEtag(res.bookmark));
     res.json(serializeBookmark(res.bookmark));
   })
-  .delete((req, res, next) => {
+  .delete(checkIfMatch, (req, res, next) => {
     const { bookmark_id } = req.params;
-    BookmarksService.deleteBookmark(
-      req.app.get('db'),
-      bookmark_id
+    req.app.get('bookmarkStorage').deleteBookmark(
+      bookmark_id,
+      { actor: req.auth, version: res.expectedVersion }
     )
-      .then(() => {
+      .then(deleted => {
+        if (!deleted) throw preconditionFailed(bookmark_id);
+
         logger.info(`Bookmark with id ${bookmark_id} deleted`);
         res.status(204).end();
       })
       .catch(next);
   })
-  .patch(bodyParser, (req, res, next) => {
-    const { title, url, description, rating } = req.body;
-    const bookmarkToUpdate = { title, url, description, rating };
+  .patch(checkIfMatch, bodyParser, validateRequestBody, (req, res, next) => {
+    const error = getBookmarkUpdateValidationError(req.body);
 
-    const numberOfValues = Object.values(bookmarkToUpdate).filter(Boolean).length;
+    if (error) return next(toValidationError(error));
 
-    if (numberOfValues === 0) {
-      return res.status(400).json({
-        error: {
-          message: 'Request body must contain either \'title\', \'url\', \'description\', or \'rating\''
-        }
-      });
+    const { title, url, description, rating, tags, folder_id } = req.body;
+    const bookmarkToUpdate = { title, url, description, rating, tags, folder_id };
+
+    if (tags) {
+      bookmarkToUpdate.tags = normalizeTagNames(tags);
     }
 
-    const error = getBookmarkValidationError(bookmarkToUpdate);
+    const storage = req.app.get('bookmarkStorage');
 
-    if (error) return res.status(400).send(error);
+    getMissingFolderError(id => storage.getFolderById(id, req.auth.user_id), folder_id)
+      .then(folderError => {
+        if (folderError) throw toValidationError(folderError);
 
-    BookmarksService.updateBookmark(
-      req.app.get('db'),
-      req.params.bookmark_id,
-      bookmarkToUpdate
-    )
-      .then(numRowsAffected => {
-        res.status(204).end();
+        return storage.updateBookmark(
+          req.params.bookmark_id,
+          bookmarkToUpdate,
+          { actor: req.auth, version: res.expectedVersion }
+        )
+          .then(bookmark => {
+            if (!bookmark) throw preconditionFailed(req.params.bookmark_id);
+
+            logger.info(`Bookmark with id ${bookmark.id} updated`);
+            res
+              .set('ETag', getBookmarkEtag(bookmark))
+              .json(serializeBookmark(bookmark));
+          });
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/:bookmark_id/visit')
+  .all(findBookmark)
+  .post((req, res, next) => {
+    req.app.get('bookmarkStorage').recordVisit(req.params.bookmark_id)
+      .then(bookmark => {
+        res.json(serializeBookmark(bookmark));
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/:bookmark_id/snapshots')
+  .all(requireDatabase, findBookmark)
+  .get((req, res, next) => {
+    const error = getPaginationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const { bookmark_id } = req.params;
+    const options = getPageOptions(req.query);
+    const knexInstance = req.app.get('db');
+
+    Promise.all([
+      SnapshotsService.getSnapshots(knexInstance, bookmark_id, options),
+      SnapshotsService.countSnapshots(knexInstance, bookmark_id)
+    ])
+      .then(([snapshots, total]) => {
+        setPaginationHeaders(req, res, options, total);
+        res.json(snapshots.map(serializeSnapshot));
+      })
+      .catch(next);
+  })
+  .post((req, res, next) => {
+    captureSnapshot(req.app.get('db'), req.app.get('fetchPage'), res.bookmark)
+      .then(snapshot => {
+        logger.info(`Snapshot with id ${snapshot.id} captured for bookmark ${snapshot.bookmark_id}.`);
+        res.status(201).json(serializeSnapshot(snapshot));
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/:bookmark_id/history')
+  .all(requireDatabase, findBookmark)
+  .get((req, res, next) => {
+    const error = getPaginationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const { bookmark_id } = req.params;
+    const options = getPageOptions(req.query);
+    const knexInstance = req.app.get('db');
+
+    Promise.all([
+      RevisionsService.getRevisions(knexInstance, bookmark_id, options),
+      RevisionsService.countRevisions(knexInstance, bookmark_id)
+    ])
+      .then(([revisions, total]) => {
+        setPaginationHeaders(req, res, options, total);
+        res.json(revisions.map(serializeRevision));
+      })
+      .catch(next);
+  });
+
+bookmarksRouter
+  .route('/:bookmark_id/revert/:revision_id')
+  .all(requireDatabase, findBookmark)
+  .post((req, res, next) => {
+    const { bookmark_id, revision_id } = req.params;
+    const knexInstance = req.app.get('db');
+
+    const revisionLookup = /^\d+$/.test(revision_id)
+      ? RevisionsService.getById(knexInstance, bookmark_id, revision_id)
+      : Promise.resolve(null);
+
+    revisionLookup
+      .then(revision => {
+        if (!revision) {
+          logger.error(`Revision with id ${revision_id} not found for bookmark ${bookmark_id}.`);
+          throw new NotFoundError('Revision Not Found');
+        }
+
+        if (!REVERTIBLE_ACTIONS.includes(revision.action)) {
+          logger.error(`Revision with id ${revision_id} is a ${revision.action} and cannot be reverted.`);
+          throw new ValidationError(
+            `Only ${REVERTIBLE_ACTIONS.join(' and ')} revisions can be reverted`
+          );
+        }
+
+        // Reverting a revision puts back the values it replaced
+        const bookmarkToUpdate = revision.old_values;
+
+        return getFolderReferenceError(knexInstance, bookmarkToUpdate.folder_id, req.auth.user_id)
+          .then(folderError => {
+            if (folderError) throw new ConflictError(folderError.error.message);
+
+            return BookmarksService.updateBookmark(knexInstance, bookmark_id, bookmarkToUpdate, {
+              actor: req.auth,
+              action: 'revert'
+            })
+              .then(bookmark => {
+                logger.info(`Revision ${revision_id} of bookmark ${bookmark_id} reverted`);
+                res
+                  .set('ETag', getBookmarkEtag(bookmark))
+                  .json(serializeBookmark(bookmark));
+              });
+          });
       })
       .catch(next);
   });
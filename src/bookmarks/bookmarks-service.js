@@ -1,28 +1,461 @@
 /* eslint-disable strict */
+const TagsService = require('../tags/tags-service');
+const RevisionsService = require('../revisions/revisions-service');
+const EventsService = require('../events/events-service');
+const { canonicalizeUrl } = require('./canonical-url');
+
+const { EVENT_TYPES } = EventsService;
+
+const STATS_LIMIT = 50;
+const SEARCH_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15';
+const HOST_PATTERN = '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)';
+const TAGS_COLUMN = `coalesce((
+  SELECT array_agg(tags.name ORDER BY lower(tags.name))
+  FROM bookmark_tags JOIN tags ON tags.id = bookmark_tags.tag_id
+  WHERE bookmark_tags.bookmark_id = bookmarks.id
+), '{}') AS tags`;
+const HEALTH_COLUMN = `(
+  SELECT json_build_object(
+    'status', link_checks.status,
+    'status_code', link_checks.status_code,
+    'redirect_url', link_checks.redirect_url,
+    'response_time_ms', link_checks.response_time_ms,
+    'error', link_checks.error,
+    'last_checked_at', link_checks.last_checked_at
+  )
+  FROM link_checks
+  WHERE link_checks.bookmark_id = bookmarks.id
+) AS health`;
+
+// Matching a snapshot of its page counts, but less than matching the
+// bookmark itself
+const SNAPSHOT_RANK = `coalesce((
+  SELECT max(ts_rank(bookmark_snapshots.search_vector, to_tsquery('english', ?)))
+  FROM bookmark_snapshots
+  WHERE bookmark_snapshots.bookmark_id = bookmarks.id
+), 0) / 10`;
+
+function whereMatches(query, tsquery) {
+  return query.where(builder => builder
+    .whereRaw('bookmarks.search_vector @@ to_tsquery(\'english\', ?)', [tsquery])
+    .orWhereExists(function () {
+      this.select('bookmark_snapshots.id')
+        .from('bookmark_snapshots')
+        .whereRaw('bookmark_snapshots.bookmark_id = bookmarks.id')
+        .whereRaw('bookmark_snapshots.search_vector @@ to_tsquery(\'english\', ?)', [tsquery]);
+    })
+  );
+}
+
+function selectBookmarks(knex, ...columns) {
+  return knex
+    .select('bookmarks.*', knex.raw(TAGS_COLUMN), knex.raw(HEALTH_COLUMN), ...columns)
+    .from('bookmarks');
+}
+
+function selectTaggedBookmarkIds(builder, tags, tagMode) {
+  builder
+    .select('bookmark_tags.bookmark_id')
+    .from('bookmark_tags')
+    .join('tags', 'tags.id', 'bookmark_tags.tag_id')
+    .whereRaw('lower(tags.name) = ANY(?)', [tags.map(tag => tag.toLowerCase())]);
+  if (tagMode === 'all') {
+    builder
+      .groupBy('bookmark_tags.bookmark_id')
+      .havingRaw('count(DISTINCT tags.id) = ?', [tags.length]);
+  }
+}
+
+function whereOwnedBy(query, userId) {
+  return userId
+    ? query.where('bookmarks.user_id', userId)
+    : query.whereNull('bookmarks.user_id');
+}
+
+function applyFilters(query, filters = {}) {
+  const {
+    user_id, min_rating, max_rating, host, tags, tag_mode, folder_id, status, stale, deleted
+  } = filters;
+  if (deleted) {
+    query.whereNotNull('bookmarks.deleted_at');
+  } else {
+    query.whereNull('bookmarks.deleted_at');
+  }
+  if (user_id) {
+    query.where('bookmarks.user_id', user_id);
+  }
+  if (folder_id) {
+    query.where('bookmarks.folder_id', folder_id);
+  }
+  if (min_rating) {
+    query.where('rating', '>=', String(min_rating));
+  }
+  if (max_rating) {
+    query.where('rating', '<=', String(max_rating));
+  }
+  if (host) {
+    const hostExpression = 'lower(substring(url from ?))';
+    const subdomainSuffix = `.${host.toLowerCase()}`;
+    query.where(builder => builder
+      .whereRaw(`${hostExpression} = ?`, [HOST_PATTERN, host.toLowerCase()])
+      .orWhereRaw(
+        `right(${hostExpression}, ?) = ?`,
+        [HOST_PATTERN, subdomainSuffix.length, subdomainSuffix]
+      )
+    );
+  }
+  if (tags && tags.length) {
+    query.whereIn('bookmarks.id', function () {
+      selectTaggedBookmarkIds(this, tags, tag_mode);
+    });
+  }
+  // Bookmarks never opened count from when they were saved
+  if (stale) {
+    query.whereRaw(
+      'coalesce(bookmarks.last_visited_at, bookmarks.created_at) < now() - make_interval(days => ?)',
+      [stale]
+    );
+  }
+  if (status === 'unchecked') {
+    query.whereNotIn('bookmarks.id', function () {
+      this.select('bookmark_id').from('link_checks');
+    });
+  } else if (status) {
+    query.whereIn('bookmarks.id', function () {
+      this.select('bookmark_id').from('link_checks').where('status', status);
+    });
+  }
+  return query;
+}
+
+// Locks the bookmark's row for the rest of the transaction and checks it is
+// still at `version`; without a version any current bookmark will do.
+function lockAtVersion(trx, id, version) {
+  return trx('bookmarks')
+    .where({ id })
+    .forUpdate()
+    .first('version')
+    .then(row => Boolean(row) && (version === undefined || row.version === version));
+}
+
 const BookmarksService = {
-  getAllBookmarks(knex) {
-    return knex.select('*').from('bookmarks');
+  getAllBookmarks(knex, { filters, sort, order = 'asc', limit, offset } = {}) {
+    const query = applyFilters(selectBookmarks(knex), filters);
+    // Only bookmarks never visited lack a last visit, and those tie on count
+    if (sort === 'popular') {
+      query.orderBy('visit_count', order).orderBy('last_visited_at', order);
+    } else if (sort) {
+      query.orderBy(sort, order);
+    }
+    query.orderBy('id', order);
+    if (limit) {
+      query.limit(limit);
+    }
+    if (offset) {
+      query.offset(offset);
+    }
+    return query;
   },
-  getById(knex, id) {
-    return knex.from('bookmarks').select('*').where('id', id).first();
+  // Pages through bookmarks grouped by folder, each page starting after the
+  // last bookmark of the one before
+  getBookmarksAfter(knex, after, { filters, limit } = {}) {
+    const query = applyFilters(selectBookmarks(knex), filters)
+      .orderByRaw('coalesce(bookmarks.folder_id, 0), bookmarks.id')
+      .limit(limit);
+    if (after) {
+      query.whereRaw(
+        '(coalesce(bookmarks.folder_id, 0), bookmarks.id) > (?, ?)',
+        [after.folder_id || 0, after.id]
+      );
+    }
+    return query;
   },
-  insertBookmark(knex, newBookmark) {
+  countBookmarks(knex, filters) {
+    return applyFilters(knex('bookmarks'), filters)
+      .count('* as count')
+      .first()
+      .then(row => Number(row.count));
+  },
+  searchBookmarks(knex, tsquery, { filters, limit, offset } = {}) {
+    const query = applyFilters(selectBookmarks(
+      knex,
+      knex.raw(
+        `ts_rank(bookmarks.search_vector, to_tsquery('english', ?)) + ${SNAPSHOT_RANK} as rank`,
+        [tsquery, tsquery]
+      ),
+      knex.raw(
+        'ts_headline(\'english\', concat_ws(\' \', title, description), to_tsquery(\'english\', ?), ?) as snippet',
+        [tsquery, SEARCH_HEADLINE_OPTIONS]
+      )
+    ), filters)
+      .modify(whereMatches, tsquery)
+      .orderBy([{ column: 'rank', order: 'desc' }, { column: 'id' }]);
+    if (limit) {
+      query.limit(limit);
+    }
+    if (offset) {
+      query.offset(offset);
+    }
+    return query;
+  },
+  countSearchResults(knex, tsquery, filters) {
+    return applyFilters(knex('bookmarks'), filters)
+      .modify(whereMatches, tsquery)
+      .count('* as count')
+      .first()
+      .then(row => Number(row.count));
+  },
+  // Counts bookmarks by rating, and for the most used tags and domains
+  getStats(knex, userId) {
+    const bookmarks = () => applyFilters(knex('bookmarks'), { user_id: userId });
+    const byCount = [{ column: 'count', order: 'desc' }];
+    return Promise.all([
+      bookmarks().count('* as count').sum('visit_count as visits').first(),
+      bookmarks().select('rating').count('* as count').groupBy('rating'),
+      bookmarks()
+        .join('bookmark_tags', 'bookmark_tags.bookmark_id', 'bookmarks.id')
+        .join('tags', 'tags.id', 'bookmark_tags.tag_id')
+        .select('tags.name')
+        .count('* as count')
+        .groupBy('tags.id')
+        .orderBy([...byCount, 'tags.name'])
+        .limit(STATS_LIMIT),
+      bookmarks()
+        .select(knex.raw('lower(substring(url from ?)) AS domain', [HOST_PATTERN]))
+        .count('* as count')
+        .groupBy('domain')
+        .orderBy([...byCount, 'domain'])
+        .limit(STATS_LIMIT)
+    ])
+      .then(([totals, ratings, tags, domains]) => ({
+        total: Number(totals.count),
+        visits: Number(totals.visits || 0),
+        ratings: ratings.reduce(
+          (counts, row) => ({ ...counts, [row.rating]: Number(row.count) }),
+          { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+        ),
+        tags: tags.map(row => ({ name: row.name, count: Number(row.count) })),
+        domains: domains.map(row => ({ domain: row.domain, count: Number(row.count) })),
+      }));
+  },
+  getExistingCanonicalUrls(knex, urls, userId) {
+    const canonicalUrls = urls.map(canonicalizeUrl);
+    return whereOwnedBy(knex('bookmarks'), userId)
+      .whereNull('deleted_at')
+      .distinct('canonical_url')
+      .whereIn('canonical_url', canonicalUrls)
+      .then(rows => new Set(rows.map(row => row.canonical_url)));
+  },
+  findDuplicate(knex, url, userId) {
+    return whereOwnedBy(knex('bookmarks'), userId)
+      .whereNull('deleted_at')
+      .where('canonical_url', canonicalizeUrl(url))
+      .orderBy('id')
+      .first('id');
+  },
+  getDuplicateClusters(knex, userId) {
+    const candidates = applyFilters(selectBookmarks(
+      knex,
+      knex.raw('count(*) OVER (PARTITION BY bookmarks.user_id, bookmarks.canonical_url) AS duplicate_count')
+    ), { user_id: userId })
+      .whereNotNull('bookmarks.canonical_url');
     return knex
-      .insert(newBookmark)
-      .into('bookmarks')
-      .returning('*')
-      .then(rows => {
-        return rows[0];
+      .select('*')
+      .from(candidates.as('bookmarks'))
+      .where('duplicate_count', '>', 1)
+      .orderBy(['canonical_url', 'id'])
+      .then(bookmarks => {
+        const clusters = new Map();
+        for (const bookmark of bookmarks) {
+          const key = `${bookmark.user_id}:${bookmark.canonical_url}`;
+          if (!clusters.has(key)) {
+            clusters.set(key, { canonical_url: bookmark.canonical_url, bookmarks: [] });
+          }
+          clusters.get(key).bookmarks.push(bookmark);
+        }
+        return [...clusters.values()];
       });
   },
-  deleteBookmark(knex, id) {
-    return knex('bookmarks').where({ id }).delete();
+  mergeBookmarks(knex, targetId, sourceIds, { actor } = {}) {
+    return knex.transaction(trx => {
+      return BookmarksService.getById(trx, targetId)
+        .then(before => trx
+          .raw(
+            `INSERT INTO bookmark_tags (bookmark_id, tag_id)
+              SELECT DISTINCT ?::integer, tag_id FROM bookmark_tags WHERE bookmark_id = ANY(?)
+              ON CONFLICT DO NOTHING`,
+            [targetId, sourceIds]
+          )
+          .then(() => trx.raw(
+            `UPDATE bookmarks SET description = (
+                SELECT description FROM bookmarks
+                WHERE id = ANY(?) AND coalesce(description, '') <> ''
+                ORDER BY id LIMIT 1
+              )
+              WHERE id = ? AND coalesce(description, '') = ''`,
+            [sourceIds, targetId]
+          ))
+          .then(() => trx.raw(
+            `UPDATE bookmarks SET
+                visit_count = bookmarks.visit_count + sources.visit_count,
+                last_visited_at = GREATEST(bookmarks.last_visited_at, sources.last_visited_at)
+              FROM (
+                SELECT sum(visit_count) AS visit_count, max(last_visited_at) AS last_visited_at
+                FROM bookmarks WHERE id = ANY(?)
+              ) AS sources
+              WHERE bookmarks.id = ?`,
+            [sourceIds, targetId]
+          ))
+          .then(() => trx('bookmarks').where('id', targetId).increment('version', 1))
+          .then(() => BookmarksService.trashBookmarks(trx, sourceIds, { actor }))
+          .then(() => BookmarksService.getById(trx, targetId))
+          .then(after => RevisionsService.recordChange(trx, {
+            bookmark_id: targetId,
+            action: 'update',
+            actor,
+            before,
+            after
+          })
+            .then(() => EventsService.recordBookmarkEvent(trx, EVENT_TYPES.UPDATED, after))
+            .then(() => after)
+          )
+        );
+    });
+  },
+  getById(knex, id, userId) {
+    return applyFilters(selectBookmarks(knex), { user_id: userId })
+      .where('bookmarks.id', id)
+      .first();
+  },
+  insertBookmark(knex, { tags, ...newBookmark }, { actor } = {}) {
+    return knex.transaction(trx => {
+      return trx
+        .insert({ ...newBookmark, canonical_url: canonicalizeUrl(newBookmark.url) })
+        .into('bookmarks')
+        .returning('id')
+        .then(([id]) => {
+          if (!tags) return id;
+          return TagsService.setBookmarkTags(trx, id, tags, newBookmark.user_id).then(() => id);
+        })
+        .then(id => BookmarksService.getById(trx, id))
+        .then(bookmark => RevisionsService.recordChange(trx, {
+          bookmark_id: bookmark.id,
+          action: 'create',
+          actor,
+          after: bookmark
+        })
+          .then(() => EventsService.recordBookmarkEvent(trx, EVENT_TYPES.CREATED, bookmark))
+          .then(() => bookmark)
+        );
+    });
+  },
+  getDeletedById(knex, id, userId) {
+    return applyFilters(selectBookmarks(knex), { user_id: userId, deleted: true })
+      .where('bookmarks.id', id)
+      .first();
   },
-  updateBookmark(knex, id, newBookmarkFields) {
+  getByIds(knex, ids) {
+    return applyFilters(selectBookmarks(knex))
+      .whereIn('bookmarks.id', ids)
+      .orderBy('bookmarks.id');
+  },
+  // Moves bookmarks to the trash, recording a revision and a delete event for
+  // each. Events carry the bookmark as it was before it was trashed.
+  trashBookmarks(knex, ids, { actor } = {}) {
+    return BookmarksService.getByIds(knex, ids)
+      .then(bookmarks => knex('bookmarks')
+        .whereIn('id', bookmarks.map(bookmark => bookmark.id))
+        .update({ deleted_at: knex.fn.now(), version: knex.raw('version + 1') })
+        .returning(['id', 'deleted_at'])
+        .then(rows => RevisionsService.recordFieldChanges(
+          knex,
+          { action: 'delete', actor, field: 'deleted_at' },
+          rows.map(row => ({ bookmark_id: row.id, old_value: null, new_value: row.deleted_at }))
+        ))
+        .then(() => EventsService.recordBookmarkEvents(knex, EVENT_TYPES.DELETED, bookmarks))
+      );
+  },
+  // With a `version`, nothing is deleted unless the bookmark is still at that
+  // version; resolves to false when it is not.
+  deleteBookmark(knex, id, { actor, version } = {}) {
+    return knex.transaction(trx => {
+      return lockAtVersion(trx, id, version)
+        .then(locked => locked && BookmarksService.trashBookmarks(trx, [id], { actor })
+          .then(() => true));
+    });
+  },
+  // Visits are usage, not edits: they leave the version, history and event
+  // stream alone
+  recordVisit(knex, id) {
     return knex('bookmarks')
       .where({ id })
-      .update(newBookmarkFields);
+      .update({
+        visit_count: knex.raw('visit_count + 1'),
+        last_visited_at: knex.fn.now(),
+      })
+      .then(() => BookmarksService.getById(knex, id));
+  },
+  restoreBookmark(knex, id, { actor } = {}) {
+    return knex.transaction(trx => {
+      return trx('bookmarks')
+        .where({ id })
+        .first('deleted_at')
+        .then(({ deleted_at }) => trx('bookmarks')
+          .where({ id })
+          .update({ deleted_at: null, version: trx.raw('version + 1') })
+          .then(() => RevisionsService.recordFieldChanges(
+            trx,
+            { action: 'restore', actor, field: 'deleted_at' },
+            [{ bookmark_id: id, old_value: deleted_at, new_value: null }]
+          ))
+          // Subscribers saw the bookmark go away, so to them it is new again
+          .then(() => BookmarksService.getById(trx, id))
+          .then(bookmark => EventsService
+            .recordBookmarkEvent(trx, EVENT_TYPES.CREATED, bookmark))
+        );
+    });
+  },
+  purgeBookmark(knex, id) {
+    return knex('bookmarks').where({ id }).delete();
+  },
+  purgeDeletedBookmarks(knex, { user_id, deletedBefore } = {}) {
+    const query = applyFilters(knex('bookmarks'), { user_id, deleted: true });
+    if (deletedBefore) {
+      query.where('bookmarks.deleted_at', '<', deletedBefore);
+    }
+    return query.delete();
+  },
+  // Resolves to the updated bookmark, or null when a `version` is given and
+  // the bookmark has moved past it.
+  updateBookmark(knex, id, { tags, ...newBookmarkFields }, { actor, action = 'update', version } = {}) {
+    if (newBookmarkFields.url) {
+      newBookmarkFields.canonical_url = canonicalizeUrl(newBookmarkFields.url);
+    }
+    return knex.transaction(trx => {
+      return lockAtVersion(trx, id, version)
+        .then(locked => {
+          if (!locked) return null;
+
+          return BookmarksService.getById(trx, id)
+            .then(before => trx('bookmarks')
+              .where({ id })
+              .update({ ...newBookmarkFields, version: trx.raw('version + 1') })
+              .then(() => tags && TagsService.setBookmarkTags(trx, id, tags, before.user_id))
+              .then(() => BookmarksService.getById(trx, id))
+              .then(after => RevisionsService.recordChange(trx, {
+                bookmark_id: Number(id),
+                action,
+                actor,
+                before,
+                after
+              })
+                .then(() => EventsService.recordBookmarkEvent(trx, EVENT_TYPES.UPDATED, after))
+                .then(() => after)
+              )
+            );
+        });
+    });
   }
 };
 
-module.exports = BookmarksService;
\ No newline at end of file
+module.exports = BookmarksService;
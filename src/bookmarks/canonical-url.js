@@ -0,0 +1,33 @@
+/* eslint-disable strict */
+
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga)$/i,
+];
+
+const isTrackingParam = name => TRACKING_PARAMS.some(pattern => pattern.test(name));
+
+// Canonical form used to spot duplicates: lower-cased scheme and host, no
+// default port, no fragment, no tracking parameters and no trailing slash.
+function canonicalizeUrl(url) {
+  const trimmed = String(url).trim();
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (error) {
+    return trimmed.toLowerCase().replace(/#.*$/, '').replace(/\/+$/, '');
+  }
+
+  const params = [...parsed.searchParams].filter(([name]) => !isTrackingParam(name));
+  const search = params.length ? `?${new URLSearchParams(params)}` : '';
+  const auth = parsed.username
+    ? `${parsed.username}${parsed.password ? `:${parsed.password}` : ''}@`
+    : '';
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+
+  return `${parsed.protocol}//${auth}${parsed.host}${pathname}${search}`;
+}
+
+module.exports = {
+  canonicalizeUrl
+};
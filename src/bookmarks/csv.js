@@ -0,0 +1,138 @@
+/* eslint-disable strict */
+const { formatFolderPath, parseFolderPath, withParentFolders } = require('./folder-paths');
+
+const CSV_COLUMNS = ['id', 'title', 'url', 'description', 'rating', 'tags', 'folder', 'created_at'];
+const IMPORTED_COLUMNS = ['title', 'url', 'description', 'rating', 'tags', 'folder', 'created_at'];
+
+// Spreadsheets run cells starting with these characters as formulas, so
+// they are exported behind a quote that parsing takes off again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PREFIX = /^'(?=[=+\-@\t\r])/;
+
+const formatCsvCell = value => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = values => `${values.map(formatCsvCell).join(',')}\r\n`;
+
+// Splits RFC 4180 CSV into rows of cells. Quoted cells may contain commas,
+// line breaks and doubled quotes; blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+}
+
+function createCsvWriter(folderPaths) {
+  return {
+    start: () => formatCsvRow(CSV_COLUMNS),
+    batch: bookmarks => bookmarks.map(bookmark => formatCsvRow([
+      bookmark.id,
+      bookmark.title,
+      bookmark.url,
+      bookmark.description,
+      bookmark.rating,
+      bookmark.tags.join(','),
+      formatFolderPath(folderPaths.get(bookmark.folder_id)),
+      new Date(bookmark.created_at).toISOString(),
+    ])).join(''),
+    end: () => '',
+  };
+}
+
+// Reads bookmarks from CSV with a header row. `columns` maps bookmark
+// fields to the headers holding them; unmapped fields are looked for under
+// their own name. Every bookmark carries its row number, counting the header
+// as row 1.
+function parseCsvBookmarks(text, columns = {}) {
+  const [header = [], ...records] = parseCsv(text);
+  const headers = header.map(name => name.trim());
+
+  const positions = {};
+  for (const field of IMPORTED_COLUMNS) {
+    const position = headers.indexOf(columns[field] || field);
+    if (position !== -1) positions[field] = position;
+  }
+  if (positions.url === undefined) {
+    return { error: `CSV must have a '${columns.url || 'url'}' column` };
+  }
+
+  const cellOf = (record, field) => {
+    const cell = positions[field] === undefined ? '' : (record[positions[field]] || '').trim();
+    return cell === '' ? undefined : cell.replace(ESCAPED_FORMULA_PREFIX, '');
+  };
+
+  const bookmarks = records.map((record, index) => {
+    const rating = cellOf(record, 'rating');
+    const tags = cellOf(record, 'tags');
+    const createdAt = cellOf(record, 'created_at');
+    return {
+      row: index + 2,
+      title: cellOf(record, 'title') || '',
+      url: cellOf(record, 'url') || '',
+      description: cellOf(record, 'description'),
+      rating: rating === undefined ? undefined : Number(rating),
+      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      created_at: createdAt === undefined ? undefined : new Date(createdAt),
+      folderPath: parseFolderPath(cellOf(record, 'folder')),
+    };
+  });
+
+  return {
+    folders: withParentFolders(bookmarks.map(bookmark => bookmark.folderPath)),
+    bookmarks,
+  };
+}
+
+module.exports = {
+  IMPORTED_COLUMNS,
+  parseCsv,
+  createCsvWriter,
+  parseCsvBookmarks
+};
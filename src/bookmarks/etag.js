@@ -0,0 +1,20 @@
+/* eslint-disable strict */
+
+// Every write bumps a bookmark's version, so the version alone identifies
+// what the client last saw. Link health is left out on purpose: a background
+// check should not make a client's pending edit fail.
+const getBookmarkEtag = bookmark => `"${bookmark.version}"`;
+
+// `If-Match: *` accepts any current version; otherwise one of the listed
+// tags has to be the current one.
+function etagListMatches(header, etag) {
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etag);
+}
+
+module.exports = {
+  getBookmarkEtag,
+  etagListMatches
+};
@@ -0,0 +1,52 @@
+/* eslint-disable strict */
+
+// Text exports name a folder by its path, like 'Work / Reading'. A folder
+// whose name contains the separator comes back split in two.
+const FOLDER_PATH_SEPARATOR = ' / ';
+
+// Maps every folder id to the names of the folders leading down to it
+function getFolderPaths(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+  const pathOf = folder => {
+    if (!paths.has(folder.id)) {
+      const parent = byId.get(folder.parent_id);
+      paths.set(folder.id, [...(parent ? pathOf(parent) : []), folder.name]);
+    }
+    return paths.get(folder.id);
+  };
+  folders.forEach(pathOf);
+  return paths;
+}
+
+const formatFolderPath = folderPath => (folderPath || []).join(FOLDER_PATH_SEPARATOR);
+
+const parseFolderPath = text => (text || '')
+  .split(FOLDER_PATH_SEPARATOR)
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Lists each folder path after all of its parents, as the import creates
+// folders in order
+function withParentFolders(folderPaths) {
+  const seen = new Set();
+  const result = [];
+  for (const folderPath of folderPaths) {
+    for (let depth = 1; depth <= folderPath.length; depth++) {
+      const parentPath = folderPath.slice(0, depth);
+      const key = JSON.stringify(parentPath);
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(parentPath);
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  getFolderPaths,
+  formatFolderPath,
+  parseFolderPath,
+  withParentFolders
+};
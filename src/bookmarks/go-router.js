@@ -0,0 +1,31 @@
+/* eslint-disable strict */
+const express = require('express');
+const logger = require('../logger');
+const { NotFoundError } = require('../errors');
+
+const goRouter = express.Router();
+
+// Links through here count as visits, for clients that open bookmarks by
+// following a redirect rather than reporting each visit. They need the usual
+// Authorization header, so plain browser links are not enough.
+goRouter
+  .route('/:bookmark_id')
+  .get((req, res, next) => {
+    const { bookmark_id } = req.params;
+    const storage = req.app.get('bookmarkStorage');
+
+    storage.getById(bookmark_id, req.auth.user_id)
+      .then(bookmark => {
+        if (!bookmark) {
+          logger.error(`Bookmark with id ${bookmark_id} not found.`);
+          throw new NotFoundError('Bookmark Not Found');
+        }
+        return storage.recordVisit(bookmark.id);
+      })
+      .then(bookmark => {
+        res.set('Cache-Control', 'no-store').redirect(302, bookmark.url);
+      })
+      .catch(next);
+  });
+
+module.exports = goRouter;
@@ -0,0 +1,96 @@
+/* eslint-disable strict */
+const { formatFolderPath, parseFolderPath, withParentFolders } = require('./folder-paths');
+
+// Bookmarks are list items under a heading naming their folder's path:
+//
+//   ## Work / Reading
+//
+//   - [Title](https://example.com) - Description
+//     - rating: 4
+//     - tags: docs, web
+const HEADING = /^##\s+(.*)$/;
+const BOOKMARK = /^[-*]\s+\[((?:\\.|[^\]\\])*)\]\(([^)\s]*)\)(?:\s+-\s+(.*))?$/;
+const RATING = /^\s+[-*]\s+rating:\s*(.*)$/;
+const TAGS = /^\s+[-*]\s+tags:\s*(.*)$/;
+
+const escapeTitle = title => title.replace(/[\\[\]]/g, '\\$&');
+const unescapeTitle = title => title.replace(/\\(.)/g, '$1');
+const escapeUrl = url => url.replace(
+  /[\s()]/g,
+  char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+);
+const singleLine = text => text.replace(/\s+/g, ' ').trim();
+
+const renderBookmark = bookmark => {
+  const link = `[${escapeTitle(singleLine(bookmark.title))}](${escapeUrl(bookmark.url)})`;
+  const description = bookmark.description && singleLine(bookmark.description);
+  const lines = [
+    description ? `- ${link} - ${description}` : `- ${link}`,
+    `  - rating: ${bookmark.rating}`,
+  ];
+  if (bookmark.tags.length) {
+    lines.push(`  - tags: ${bookmark.tags.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+// Expects bookmarks grouped by folder; a heading starts every new folder
+function createMarkdownWriter(folderPaths) {
+  let currentFolderId;
+  return {
+    start: () => '# Bookmarks\n',
+    batch: bookmarks => bookmarks.map(bookmark => {
+      const folderId = bookmark.folder_id || null;
+      let heading = '';
+      if (folderId !== currentFolderId) {
+        currentFolderId = folderId;
+        heading = folderId ? `\n## ${formatFolderPath(folderPaths.get(folderId))}\n` : '';
+      }
+      return `${heading}\n${renderBookmark(bookmark)}\n`;
+    }).join(''),
+    end: () => '',
+  };
+}
+
+function parseMarkdownBookmarks(markdown) {
+  const bookmarks = [];
+  let folderPath = [];
+  let current = null;
+
+  markdown.split(/\r?\n/).forEach(line => {
+    const heading = line.match(HEADING);
+    const bookmark = line.match(BOOKMARK);
+    const rating = current && line.match(RATING);
+    const tags = current && line.match(TAGS);
+
+    if (heading) {
+      folderPath = parseFolderPath(heading[1]);
+      current = null;
+    } else if (bookmark) {
+      current = {
+        title: unescapeTitle(bookmark[1]).trim(),
+        url: bookmark[2],
+        description: bookmark[3] && bookmark[3].trim(),
+        tags: [],
+        folderPath,
+      };
+      bookmarks.push(current);
+    } else if (rating) {
+      current.rating = Number(rating[1]);
+    } else if (tags) {
+      current.tags = tags[1].split(',').map(tag => tag.trim()).filter(Boolean);
+    } else if (line.trim()) {
+      current = null;
+    }
+  });
+
+  return {
+    folders: withParentFolders(bookmarks.map(bookmark => bookmark.folderPath)),
+    bookmarks,
+  };
+}
+
+module.exports = {
+  createMarkdownWriter,
+  parseMarkdownBookmarks
+};
@@ -0,0 +1,165 @@
+/* eslint-disable strict */
+const { Parser } = require('htmlparser2');
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toUnixTime = date => Math.floor(new Date(date).getTime() / 1000);
+
+const fromUnixTime = value => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : undefined;
+};
+
+// Parses the Netscape bookmark file format that browsers import and export.
+// Folders come back as paths (arrays of names) so callers can recreate them
+// in order; every bookmark carries the path of the folder it was found in.
+function parseNetscapeBookmarks(html) {
+  const folders = [];
+  const bookmarks = [];
+  const path = [];
+  let pendingFolder = null;
+  let capture = null;
+  let describing = null;
+
+  const registerPendingFolder = () => {
+    if (pendingFolder === null) return;
+    folders.push([...path, pendingFolder.trim()]);
+    pendingFolder = null;
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (['dt', 'dl'].includes(name)) {
+        describing = null;
+      }
+      if (name === 'dt') {
+        registerPendingFolder();
+      } else if (name === 'dl') {
+        if (pendingFolder !== null) {
+          const folderName = pendingFolder.trim();
+          registerPendingFolder();
+          path.push(folderName);
+        } else {
+          path.push(null);
+        }
+      } else if (name === 'h3') {
+        pendingFolder = '';
+        capture = 'folder';
+      } else if (name === 'a') {
+        bookmarks.push({
+          title: '',
+          url: (attribs.href || '').trim(),
+          description: undefined,
+          tags: attribs.tags
+            ? attribs.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+            : [],
+          created_at: fromUnixTime(attribs.add_date),
+          folderPath: path.filter(folder => folder !== null),
+        });
+        capture = 'title';
+      } else if (name === 'dd') {
+        describing = bookmarks[bookmarks.length - 1] || null;
+        if (describing) {
+          describing.description = '';
+        }
+      }
+    },
+    ontext(text) {
+      if (capture === 'folder') {
+        pendingFolder += text;
+      } else if (capture === 'title') {
+        bookmarks[bookmarks.length - 1].title += text;
+      } else if (describing) {
+        describing.description += text;
+      }
+    },
+    onclosetag(name) {
+      if (name === 'h3' || name === 'a') {
+        capture = null;
+      } else if (name === 'dd') {
+        describing = null;
+      } else if (name === 'dl') {
+        registerPendingFolder();
+        path.pop();
+      }
+    },
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  registerPendingFolder();
+
+  for (const bookmark of bookmarks) {
+    bookmark.title = bookmark.title.trim();
+    if (bookmark.description !== undefined) {
+      bookmark.description = bookmark.description.trim() || undefined;
+    }
+  }
+
+  return {
+    folders: folders.map(folderPath => folderPath.filter(folder => folder !== null)),
+    bookmarks,
+  };
+}
+
+function renderNetscapeBookmarks(folderTree, bookmarks) {
+  const bookmarksByFolder = new Map();
+  for (const bookmark of bookmarks) {
+    const key = bookmark.folder_id || null;
+    if (!bookmarksByFolder.has(key)) {
+      bookmarksByFolder.set(key, []);
+    }
+    bookmarksByFolder.get(key).push(bookmark);
+  }
+
+  const renderBookmark = (bookmark, indent) => {
+    const attributes = [`HREF="${escapeHtml(bookmark.url)}"`];
+    if (bookmark.created_at) {
+      attributes.push(`ADD_DATE="${toUnixTime(bookmark.created_at)}"`);
+    }
+    if (bookmark.tags && bookmark.tags.length) {
+      attributes.push(`TAGS="${escapeHtml(bookmark.tags.join(','))}"`);
+    }
+    const lines = [`${indent}<DT><A ${attributes.join(' ')}>${escapeHtml(bookmark.title)}</A>`];
+    if (bookmark.description) {
+      lines.push(`${indent}<DD>${escapeHtml(bookmark.description)}`);
+    }
+    return lines;
+  };
+
+  const renderList = (folders, folderId, indent) => {
+    const lines = [`${indent}<DL><p>`];
+    const childIndent = `${indent}    `;
+    for (const folder of folders) {
+      lines.push(`${childIndent}<DT><H3>${escapeHtml(folder.name)}</H3>`);
+      lines.push(...renderList(folder.children, folder.id, childIndent));
+    }
+    for (const bookmark of bookmarksByFolder.get(folderId) || []) {
+      lines.push(...renderBookmark(bookmark, childIndent));
+    }
+    lines.push(`${indent}</DL><p>`);
+    return lines;
+  };
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    ...renderList(folderTree, null, ''),
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  parseNetscapeBookmarks,
+  renderNetscapeBookmarks
+};
@@ -0,0 +1,43 @@
+/* eslint-disable strict */
+
+// Matches "quoted phrases" or bare terms, with an optional trailing * on terms
+const TOKEN_PATTERN = /"([^"]*)"|(\S+)/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function toWords(text) {
+  return (text.match(WORD_PATTERN) || []).map(word => word.toLowerCase());
+}
+
+// Builds a to_tsquery() expression: "quoted text" is a phrase, term* is a
+// prefix match and everything is ANDed. Only letters and digits are kept,
+// so the result is always valid tsquery syntax.
+function buildTsQuery(q) {
+  const parts = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(q)) !== null) {
+    const [, phrase, term] = match;
+    if (phrase !== undefined) {
+      const words = toWords(phrase);
+      if (words.length) {
+        parts.push(`(${words.join(' <-> ')})`);
+      }
+    } else {
+      const isPrefix = term.endsWith('*');
+      const words = toWords(term);
+      if (words.length) {
+        if (isPrefix) {
+          words[words.length - 1] += ':*';
+        }
+        parts.push(words.join(' & '));
+      }
+    }
+  }
+
+  return parts.length ? parts.join(' & ') : null;
+}
+
+module.exports = {
+  buildTsQuery
+};
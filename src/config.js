@@ -2,5 +2,40 @@
 
 module.exports = {
   PORT: process.env.PORT || 8000,
-  NODE_ENV: process.env.NODE_ENV || 'development'
-};
\ No newline at end of file
+  NODE_ENV: process.env.NODE_ENV || 'development',
+  // No default: a known secret would let anyone sign tokens for any user
+  JWT_SECRET: process.env.JWT_SECRET,
+  JWT_EXPIRY: process.env.JWT_EXPIRY || '1h',
+  // Without one, bookmarks are kept in memory and everything else is off
+  DB_URL: process.env.DB_URL,
+  LINK_CHECK_INTERVAL: Number(process.env.LINK_CHECK_INTERVAL || 15 * 60 * 1000),
+  LINK_CHECK_HOST_DELAY: Number(process.env.LINK_CHECK_HOST_DELAY || 1000),
+  TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS || 30),
+  TRASH_PURGE_INTERVAL: Number(process.env.TRASH_PURGE_INTERVAL || 60 * 60 * 1000),
+  WEBHOOK_DELIVERY_INTERVAL: Number(process.env.WEBHOOK_DELIVERY_INTERVAL || 5000),
+  TRUST_PROXY: process.env.TRUST_PROXY === 'true',
+  // Lets the server fetch pages, links and webhooks on private networks;
+  // only for development and tests
+  ALLOW_PRIVATE_ADDRESSES: process.env.ALLOW_PRIVATE_ADDRESSES === 'true',
+  // 'memory', 'postgres' or 'none'
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  RATE_LIMITS: {
+    read: {
+      capacity: Number(process.env.RATE_LIMIT_READ_CAPACITY || 120),
+      perMinute: Number(process.env.RATE_LIMIT_READ_PER_MINUTE || 120)
+    },
+    write: {
+      capacity: Number(process.env.RATE_LIMIT_WRITE_CAPACITY || 30),
+      perMinute: Number(process.env.RATE_LIMIT_WRITE_PER_MINUTE || 30)
+    },
+    auth: {
+      capacity: Number(process.env.RATE_LIMIT_AUTH_CAPACITY || 10),
+      perMinute: Number(process.env.RATE_LIMIT_AUTH_PER_MINUTE || 10)
+    },
+    // Every request per client IP, checked before credentials are
+    client: {
+      capacity: Number(process.env.RATE_LIMIT_CLIENT_CAPACITY || 300),
+      perMinute: Number(process.env.RATE_LIMIT_CLIENT_PER_MINUTE || 300)
+    }
+  }
+};
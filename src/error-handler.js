@@ -2,18 +2,69 @@
 /* eslint-disable strict */
 const { NODE_ENV } = require('./config');
 const logger = require('./logger');
+const {
+  getErrorCode,
+  HttpError,
+  ValidationError,
+  ConflictError,
+  PayloadTooLargeError
+} = require('./errors');
 
+// Postgres error codes worth telling the client about; anything else is a
+// bug on our side.
+const PG_ERRORS = {
+  '23505': () => new ConflictError('A record with these values already exists'),
+  '23503': () => new ConflictError('The request references a record that does not exist or is still in use'),
+  '23502': () => new ValidationError('A required value is missing'),
+  '22P02': () => new ValidationError('A value in the request has an invalid format'),
+  '22003': () => new ValidationError('A number in the request is out of range'),
+};
 
+function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+  if (PG_ERRORS[error.code]) return PG_ERRORS[error.code]();
+  // Raised by express.json() and friends
+  if (error.type === 'entity.too.large') return new PayloadTooLargeError();
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, error.message);
+  }
+  return null;
+}
+
+// Every error response goes through here, so each one carries a stable
+// code and the request id.
 function errorHandler(error, req, res, next) {
-  let response;
-  if (NODE_ENV === 'production') {
-    response = { error: { message: 'server error' } };
-  } else {
+  const httpError = toHttpError(error);
+
+  if (httpError) {
+    logger.error(`[${req.id}] ${httpError.message}`);
+    return res.status(httpError.status).json({
+      ...httpError.result,
+      error: {
+        code: httpError.code,
+        message: httpError.message,
+        ...httpError.details,
+        request_id: req.id
+      }
+    });
+  }
+
+  logger.error(`[${req.id}] ${error.message}`);
+  if (NODE_ENV !== 'production') {
     console.error(error);
-    logger.error(error.message);
-    response = { message: error.message, error };
   }
-  res.status(500).json(response);
+  res.status(500).json({
+    error: {
+      code: getErrorCode(500),
+      message: NODE_ENV === 'production' ? 'server error' : error.message,
+      request_id: req.id
+    }
+  });
 }
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = {
+  errorHandler
+};
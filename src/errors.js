@@ -0,0 +1,121 @@
+/* eslint-disable strict */
+
+// Stable codes clients can branch on; `error.message` is for humans
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable',
+};
+
+const getErrorCode = status => ERROR_CODES[status] || ERROR_CODES[status >= 500 ? 500 : 400];
+
+// Routes can throw (or pass to `next`) any of these; the error handler turns
+// them into `{ error: { code, message, ...details } }` with their status.
+class HttpError extends Error {
+  constructor(status, message, { code = getErrorCode(status), ...details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message, fields) {
+    super(400, message, fields ? { code: 'validation_failed', fields } : {});
+  }
+}
+
+// Validators describe what is wrong as an `{ error }` body rather than
+// throwing; this turns one into an error to pass on
+const toValidationError = ({ error }) => new ValidationError(error.message, error.fields);
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Unauthorized request') {
+    super(401, message);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(403, message);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not Found') {
+    super(404, message);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, details) {
+    super(409, message, details);
+  }
+}
+
+// An atomic bulk request that was rolled back; `result` says how far each
+// operation got and is sent alongside the error
+class BulkFailedError extends HttpError {
+  constructor(message, result) {
+    super(400, message);
+    this.result = result;
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message) {
+    super(412, message);
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message = 'Request body is too large') {
+    super(413, message);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests') {
+    super(429, message);
+  }
+}
+
+// For pages and services we depend on that fail us
+class BadGatewayError extends HttpError {
+  constructor(message = 'Upstream request failed') {
+    super(502, message);
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service unavailable') {
+    super(503, message);
+  }
+}
+
+module.exports = {
+  getErrorCode,
+  HttpError,
+  ValidationError,
+  toValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BulkFailedError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  BadGatewayError,
+  ServiceUnavailableError
+};
@@ -0,0 +1,90 @@
+/* eslint-disable strict */
+const { EventEmitter } = require('events');
+const EventsService = require('./events-service');
+const logger = require('../logger');
+
+const DEFAULT_OPTIONS = {
+  reconnectDelay: 5000
+};
+
+// Listens for bookmark events on a dedicated Postgres connection and hands
+// each one, as stored, to every subscriber in this process. Notifications
+// arriving together are loaded with a single query. A lost connection is
+// re-established after `reconnectDelay` ms.
+function createEventStream(knex, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const emitter = new EventEmitter();
+  let connection = null;
+  let stopped = true;
+  let pendingIds = [];
+  let loading = Promise.resolve();
+
+  emitter.setMaxListeners(0);
+
+  function loadPendingEvents() {
+    if (!pendingIds.length) return;
+    const ids = pendingIds;
+    pendingIds = [];
+    loading = loading
+      .then(() => EventsService.getEventsByIds(knex, ids))
+      .then(events => events.forEach(event => emitter.emit('event', event)))
+      .catch(error => logger.error(`Loading bookmark events failed: ${error.message}`));
+  }
+
+  function onNotification({ channel, payload }) {
+    if (channel !== EventsService.EVENTS_CHANNEL) return;
+    if (!pendingIds.length) {
+      setImmediate(loadPendingEvents);
+    }
+    pendingIds.push(Number(payload));
+  }
+
+  function reconnect(error) {
+    logger.error(`Bookmark event listener disconnected: ${error ? error.message : 'connection ended'}`);
+    connection = null;
+    if (stopped) return;
+    setTimeout(() => {
+      if (!stopped && !connection) {
+        listen().catch(reconnect);
+      }
+    }, config.reconnectDelay).unref();
+  }
+
+  function listen() {
+    return knex.client.acquireRawConnection()
+      .then(rawConnection => {
+        const onDisconnect = error => {
+          if (connection === rawConnection) reconnect(error);
+        };
+        connection = rawConnection;
+        rawConnection.on('notification', onNotification);
+        rawConnection.on('error', onDisconnect);
+        rawConnection.on('end', onDisconnect);
+        return rawConnection.query(`LISTEN ${EventsService.EVENTS_CHANNEL}`);
+      });
+  }
+
+  function start() {
+    if (!stopped) return Promise.resolve();
+    stopped = false;
+    return listen().catch(reconnect);
+  }
+
+  function stop() {
+    stopped = true;
+    if (!connection) return loading;
+    const rawConnection = connection;
+    connection = null;
+    return knex.client.destroyRawConnection(rawConnection).then(() => loading);
+  }
+
+  // Returns a function that ends the subscription
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  return { start, stop, subscribe };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,72 @@
+/* eslint-disable strict */
+const { serializeBookmark } = require('../bookmarks/bookmark-serializer');
+
+const EVENT_TYPES = {
+  CREATED: 'bookmark.created',
+  UPDATED: 'bookmark.updated',
+  DELETED: 'bookmark.deleted',
+};
+
+// Every stored event is announced on this Postgres channel with its id as
+// the payload, so that each server process can pick it up.
+const EVENTS_CHANNEL = 'bookmark_events';
+
+const EventsService = {
+  EVENT_TYPES,
+  EVENTS_CHANNEL,
+  getEventsByIds(knex, ids) {
+    return knex
+      .from('bookmark_events')
+      .select('*')
+      .whereIn('id', ids)
+      .orderBy('id');
+  },
+  getEventsSince(knex, afterId, { user_id, limit } = {}) {
+    const query = knex
+      .from('bookmark_events')
+      .select('*')
+      .where('id', '>', afterId)
+      .orderBy('id');
+    if (user_id) {
+      query.where('user_id', user_id);
+    }
+    if (limit) {
+      query.limit(limit);
+    }
+    return query;
+  },
+  // Stores the event with a snapshot of the bookmark, queues a delivery for
+  // every webhook subscribed to it and announces it to listeners. Call it
+  // inside the transaction that made the change so events are only ever
+  // emitted for committed changes; Postgres holds notifications until then.
+  recordBookmarkEvent(knex, type, bookmark) {
+    return knex
+      .insert({
+        type,
+        bookmark_id: bookmark.id,
+        user_id: bookmark.user_id,
+        payload: serializeBookmark(bookmark)
+      })
+      .into('bookmark_events')
+      .returning('id')
+      .then(([id]) => knex
+        .raw(
+          `INSERT INTO webhook_deliveries (webhook_id, event_id)
+            SELECT id, ?::integer FROM webhooks
+            WHERE ? = ANY(events) AND (user_id IS NULL OR user_id = ?)`,
+          [id, type, bookmark.user_id]
+        )
+        .then(() => knex.raw('SELECT pg_notify(?, ?)', [EVENTS_CHANNEL, String(id)]))
+        .then(() => id)
+      );
+  },
+  recordBookmarkEvents(knex, type, bookmarks) {
+    return bookmarks.reduce(
+      (promise, bookmark) => promise
+        .then(() => EventsService.recordBookmarkEvent(knex, type, bookmark)),
+      Promise.resolve()
+    );
+  }
+};
+
+module.exports = EventsService;
@@ -0,0 +1,60 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+
+const NO_ERRORS = null;
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+const DELETE_MODES = ['delete', 'move'];
+
+const FOLDER_SCHEMA = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_FOLDER_NAME_LENGTH,
+    description: `a non-empty string of at most ${MAX_FOLDER_NAME_LENGTH} characters`
+  },
+  parent_id: {
+    type: 'integer',
+    nullable: true,
+    minimum: 1,
+    description: 'a folder id or null'
+  },
+};
+
+function isFolderId(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+function getFolderIdValidationError(folderId, field = 'folder_id') {
+  if (folderId !== undefined && !isFolderId(folderId)) {
+    logger.error(`Invalid ${field} ${folderId} supplied`);
+    return {
+      error: {
+        message: `'${field}' must be a folder id or null`
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+function getFolderValidationError({ name, parent_id }) {
+  if (name !== undefined &&
+        (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_FOLDER_NAME_LENGTH)) {
+    logger.error(`Invalid folder name ${name} supplied`);
+    return {
+      error: {
+        message: `'name' must be a non-empty string of at most ${MAX_FOLDER_NAME_LENGTH} characters`
+      }
+    };
+  }
+
+  return getFolderIdValidationError(parent_id, 'parent_id');
+}
+
+module.exports = {
+  DELETE_MODES,
+  FOLDER_SCHEMA,
+  getFolderIdValidationError,
+  getFolderValidationError
+};
@@ -0,0 +1,191 @@
+/* eslint-disable strict */
+const path = require('path');
+const express = require('express');
+const xss = require('xss');
+const FoldersService = require('./folders-service');
+const logger = require('../logger');
+const { DELETE_MODES, getFolderValidationError } = require('./folder-validator');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const {
+  ValidationError,
+  toValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../errors');
+
+const foldersRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeFolder = folder => ({
+  id: folder.id,
+  name: xss(folder.name),
+  parent_id: folder.parent_id,
+  bookmark_count: Number(folder.bookmark_count || 0),
+});
+
+const serializeFolderTree = folder => ({
+  ...serializeFolder(folder),
+  children: folder.children.map(serializeFolderTree),
+});
+
+const parentNotFound = parentId => {
+  logger.error(`Parent folder with id ${parentId} not found.`);
+  return new ValidationError('\'parent_id\' must reference an existing folder');
+};
+
+foldersRouter
+  .route('/')
+  .get((req, res, next) => {
+    FoldersService.getAllFolders(req.app.get('db'), req.auth.user_id)
+      .then(folders => {
+        res.json(folders.map(serializeFolder));
+      })
+      .catch(next);
+  })
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { name, parent_id = null } = req.body;
+    const newFolder = { name, parent_id, user_id: req.auth.user_id };
+
+    if (name === undefined) {
+      logger.error('name is required');
+      return next(new ValidationError('\'name\' is required'));
+    }
+
+    const error = getFolderValidationError(newFolder);
+
+    if (error) return next(toValidationError(error));
+
+    newFolder.name = name.trim();
+    const knexInstance = req.app.get('db');
+
+    const parentLookup = parent_id === null
+      ? Promise.resolve(true)
+      : FoldersService.getById(knexInstance, parent_id, req.auth.user_id);
+
+    parentLookup
+      .then(parent => {
+        if (!parent) throw parentNotFound(parent_id);
+
+        return FoldersService.insertFolder(knexInstance, newFolder)
+          .then(folder => {
+            logger.info(`Folder with id ${folder.id} created.`);
+            res
+              .status(201)
+              .location(path.posix.join(req.originalUrl, `/${folder.id}`))
+              .json(serializeFolder(folder));
+          });
+      })
+      .catch(next);
+  });
+
+foldersRouter
+  .route('/tree')
+  .get((req, res, next) => {
+    FoldersService.getFolderTree(req.app.get('db'), req.auth.user_id)
+      .then(tree => {
+        res.json(tree.map(serializeFolderTree));
+      })
+      .catch(next);
+  });
+
+foldersRouter
+  .route('/:folder_id')
+  .all((req, res, next) => {
+    const { folder_id } = req.params;
+    FoldersService.getById(req.app.get('db'), folder_id, req.auth.user_id)
+      .then(folder => {
+        if (!folder) {
+          logger.error(`Folder with id ${folder_id} not found.`);
+          throw new NotFoundError('Folder Not Found');
+        }
+        res.folder = folder;
+        next();
+      })
+      .catch(next);
+  })
+  .get((req, res) => {
+    res.json(serializeFolder(res.folder));
+  })
+  .delete((req, res, next) => {
+    const { children } = req.query;
+    const { id, parent_id } = res.folder;
+    const knexInstance = req.app.get('db');
+
+    if (children !== undefined && !DELETE_MODES.includes(children)) {
+      logger.error(`Invalid children ${children} supplied`);
+      return next(new ValidationError(`'children' must be one of ${DELETE_MODES.join(', ')}`));
+    }
+
+    FoldersService.hasChildren(knexInstance, id)
+      .then(hasChildren => {
+        if (hasChildren && !children) {
+          logger.error(`Folder with id ${id} is not empty.`);
+          throw new ConflictError(
+            'Folder is not empty; pass \'children=delete\' or \'children=move\''
+          );
+        }
+
+        let deletion;
+        if (children === 'move') {
+          deletion = FoldersService.deleteFolderMovingChildren(knexInstance, id, parent_id, {
+            actor: req.auth
+          });
+        } else if (children === 'delete') {
+          deletion = FoldersService.deleteFolderRecursive(knexInstance, id, { actor: req.auth });
+        } else {
+          deletion = FoldersService.deleteFolder(knexInstance, id);
+        }
+
+        return deletion.then(() => {
+          logger.info(`Folder with id ${id} deleted`);
+          res.status(204).end();
+        });
+      })
+      .catch(next);
+  })
+  .patch(bodyParser, validateRequestBody, (req, res, next) => {
+    const { name, parent_id } = req.body;
+    const folderToUpdate = { name, parent_id };
+
+    if (name === undefined && parent_id === undefined) {
+      return next(new ValidationError(
+        'Request body must contain either \'name\' or \'parent_id\''
+      ));
+    }
+
+    const error = getFolderValidationError(folderToUpdate);
+
+    if (error) return next(toValidationError(error));
+
+    if (name !== undefined) {
+      folderToUpdate.name = name.trim();
+    }
+    const knexInstance = req.app.get('db');
+    const { id } = res.folder;
+
+    const parentCheck = !parent_id
+      ? Promise.resolve()
+      : Promise.all([
+        FoldersService.getById(knexInstance, parent_id, req.auth.user_id),
+        FoldersService.getSubtreeIds(knexInstance, id)
+      ]).then(([parent, subtreeIds]) => {
+        if (!parent) throw parentNotFound(parent_id);
+        if (subtreeIds.includes(parent_id)) {
+          logger.error(`Folder with id ${id} cannot be moved into ${parent_id}.`);
+          throw new ValidationError(
+            'A folder cannot be moved into itself or one of its subfolders'
+          );
+        }
+      });
+
+    parentCheck
+      .then(() => FoldersService.updateFolder(knexInstance, id, folderToUpdate))
+      .then(() => FoldersService.getById(knexInstance, id, req.auth.user_id))
+      .then(folder => {
+        logger.info(`Folder with id ${id} updated.`);
+        res.json(serializeFolder(folder));
+      })
+      .catch(next);
+  });
+
+module.exports = foldersRouter;
@@ -0,0 +1,126 @@
+/* eslint-disable strict */
+const BookmarksService = require('../bookmarks/bookmarks-service');
+const RevisionsService = require('../revisions/revisions-service');
+const EventsService = require('../events/events-service');
+
+const SUBTREE_IDS = `WITH RECURSIVE subtree AS (
+  SELECT id FROM folders WHERE id = ?
+  UNION ALL
+  SELECT folders.id FROM folders JOIN subtree ON folders.parent_id = subtree.id
+)
+SELECT id FROM subtree`;
+
+// Folders belong to a user, who sees only their own folders and bookmarks;
+// without a `userId`, as for the API token, every folder is included
+function selectFolders(knex, userId) {
+  const query = knex
+    .select('folders.*')
+    .count('bookmarks.id as bookmark_count')
+    .from('folders')
+    .leftJoin('bookmarks', builder => {
+      builder
+        .on('folders.id', 'bookmarks.folder_id')
+        .andOnNull('bookmarks.deleted_at');
+      if (userId) {
+        builder.andOnVal('bookmarks.user_id', userId);
+      }
+    })
+    .groupBy('folders.id');
+  if (userId) {
+    query.where('folders.user_id', userId);
+  }
+  return query;
+}
+
+function buildTree(folders) {
+  const nodes = new Map(folders.map(folder => [folder.id, { ...folder, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+const FoldersService = {
+  getAllFolders(knex, userId) {
+    return selectFolders(knex, userId).orderByRaw('lower(folders.name)').orderBy('folders.id');
+  },
+  getFolderTree(knex, userId) {
+    return FoldersService.getAllFolders(knex, userId).then(buildTree);
+  },
+  getById(knex, id, userId) {
+    return selectFolders(knex, userId).where('folders.id', id).first();
+  },
+  findOrCreateFolder(knex, name, parentId, userId) {
+    const folder = { name, parent_id: parentId, user_id: userId || null };
+    return knex('folders')
+      .where(folder)
+      .first()
+      .then(existing => existing || FoldersService.insertFolder(knex, folder));
+  },
+  getSubtreeIds(knex, id) {
+    return knex.raw(SUBTREE_IDS, [id]).then(result => result.rows.map(row => row.id));
+  },
+  hasChildren(knex, id) {
+    return Promise.all([
+      knex('folders').where('parent_id', id).first('id'),
+      knex('bookmarks').where('folder_id', id).whereNull('deleted_at').first('id')
+    ]).then(([folder, bookmark]) => Boolean(folder || bookmark));
+  },
+  insertFolder(knex, newFolder) {
+    return knex
+      .insert(newFolder)
+      .into('folders')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  updateFolder(knex, id, newFolderFields) {
+    return knex('folders')
+      .where({ id })
+      .update(newFolderFields);
+  },
+  deleteFolder(knex, id) {
+    return knex('folders').where({ id }).delete();
+  },
+  // Bookmarks in the deleted subtree go to the trash rather than away for good
+  deleteFolderRecursive(knex, id, { actor } = {}) {
+    return knex.transaction(trx => {
+      return FoldersService.getSubtreeIds(trx, id)
+        .then(ids => trx('bookmarks').whereIn('folder_id', ids).pluck('id'))
+        .then(bookmarkIds => BookmarksService.trashBookmarks(trx, bookmarkIds, { actor }))
+        .then(() => trx('folders').where({ id }).delete());
+    });
+  },
+  deleteFolderMovingChildren(knex, id, parentId, { actor } = {}) {
+    return knex.transaction(trx => {
+      return trx('folders').where('parent_id', id).update({ parent_id: parentId })
+        .then(() => trx('bookmarks')
+          .where('folder_id', id)
+          .update({ folder_id: parentId, version: trx.raw('version + 1') })
+          .returning('id'))
+        .then(bookmarkIds => RevisionsService.recordFieldChanges(
+          trx,
+          { action: 'update', actor, field: 'folder_id' },
+          bookmarkIds.map(bookmarkId => ({
+            bookmark_id: bookmarkId,
+            old_value: Number(id),
+            new_value: parentId
+          }))
+        )
+          .then(() => BookmarksService.getByIds(trx, bookmarkIds))
+          .then(bookmarks => EventsService
+            .recordBookmarkEvents(trx, EventsService.EVENT_TYPES.UPDATED, bookmarks))
+        )
+        .then(() => trx('folders').where({ id }).delete());
+    });
+  }
+};
+
+module.exports = FoldersService;
@@ -0,0 +1,71 @@
+/* eslint-disable strict */
+const http = require('http');
+const https = require('https');
+const { getRequestGuard } = require('../address-guard');
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'bookmarks-server link checker';
+
+// Plenty of servers answer HEAD with an error even though the page loads
+// fine, so those responses get a second opinion from a GET.
+const HEAD_FALLBACK_CODES = [403, 404, 405, 501];
+
+function request(url, method, { timeout, allowPrivateAddresses }) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      ...getRequestGuard(url, { allowPrivateAddresses }),
+      method,
+      timeout,
+      headers: { 'User-Agent': USER_AGENT }
+    }, res => {
+      resolve({ statusCode: res.statusCode, location: res.headers.location });
+      res.destroy();
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function follow(url, method, options, redirects = 0) {
+  return request(url, method, options)
+    .then(({ statusCode, location }) => {
+      if (statusCode < 300 || statusCode >= 400 || !location) {
+        return { statusCode, url, redirected: redirects > 0 };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+      return follow(new URL(location, url).href, method, options, redirects + 1);
+    });
+}
+
+// Links on private addresses, including those redirected to, fail with an
+// error unless `allowPrivateAddresses` is set
+function fetchLink(url, { timeout = DEFAULT_TIMEOUT, allowPrivateAddresses } = {}) {
+  const startedAt = Date.now();
+  const options = { timeout, allowPrivateAddresses };
+  const get = () => follow(url, 'GET', options);
+
+  return follow(url, 'HEAD', options)
+    .then(
+      result => (HEAD_FALLBACK_CODES.includes(result.statusCode) ? get() : result),
+      get
+    )
+    .then(result => ({
+      status_code: result.statusCode,
+      redirect_url: result.redirected ? result.url : null,
+      response_time_ms: Date.now() - startedAt,
+      error: null
+    }))
+    .catch(error => ({
+      status_code: null,
+      redirect_url: null,
+      response_time_ms: Date.now() - startedAt,
+      error: error.message
+    }));
+}
+
+module.exports = { fetchLink };
@@ -0,0 +1,94 @@
+/* eslint-disable strict */
+const LinkChecksService = require('./link-checks-service');
+const { fetchLink } = require('./fetch-link');
+const logger = require('../logger');
+
+const DEFAULT_OPTIONS = {
+  interval: 15 * 60 * 1000,
+  hostDelay: 1000,
+  batchSize: 50,
+  recheckAfter: 24 * 60 * 60 * 1000,
+  timeout: 10000,
+  fetchLink
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getHost(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return url;
+  }
+}
+
+function groupByHost(bookmarks) {
+  const groups = new Map();
+  for (const bookmark of bookmarks) {
+    const host = getHost(bookmark.url);
+    if (!groups.has(host)) {
+      groups.set(host, []);
+    }
+    groups.get(host).push(bookmark);
+  }
+  return [...groups.values()];
+}
+
+// Checks bookmarks in batches, oldest check first. Hosts are checked in
+// parallel, but requests to the same host are spaced `hostDelay` ms apart.
+// `fetchLink(url, { timeout })` can be swapped out; it must resolve to
+// { status_code, redirect_url, response_time_ms, error }.
+function createLinkChecker(knex, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let currentRun = null;
+
+  const checkBookmark = bookmark => config.fetchLink(bookmark.url, { timeout: config.timeout })
+    .then(result => LinkChecksService.recordCheck(knex, bookmark.id, result))
+    .catch(error => {
+      logger.error(`Link check for bookmark ${bookmark.id} failed: ${error.message}`);
+    });
+
+  const checkHost = bookmarks => bookmarks.reduce(
+    (promise, bookmark, index) => promise
+      .then(() => index && wait(config.hostDelay))
+      .then(() => checkBookmark(bookmark)),
+    Promise.resolve()
+  );
+
+  function runOnce() {
+    if (currentRun) return currentRun;
+
+    currentRun = LinkChecksService.getBookmarksDueForCheck(knex, {
+      checkedBefore: new Date(Date.now() - config.recheckAfter),
+      limit: config.batchSize
+    })
+      .then(bookmarks => Promise.all(groupByHost(bookmarks).map(checkHost))
+        .then(() => {
+          logger.info(`Checked ${bookmarks.length} bookmark links`);
+          return bookmarks.length;
+        }))
+      .finally(() => {
+        currentRun = null;
+      });
+    return currentRun;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error(`Link check run failed: ${error.message}`));
+    }, config.interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return currentRun || Promise.resolve();
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createLinkChecker };
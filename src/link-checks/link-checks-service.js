@@ -0,0 +1,41 @@
+/* eslint-disable strict */
+
+function getLinkStatus({ status_code, redirect_url, error }) {
+  if (error || !status_code || status_code >= 400) {
+    return 'broken';
+  }
+  return redirect_url ? 'redirected' : 'ok';
+}
+
+const LinkChecksService = {
+  getBookmarksDueForCheck(knex, { checkedBefore, limit }) {
+    return knex
+      .select('bookmarks.id', 'bookmarks.url')
+      .from('bookmarks')
+      .leftJoin('link_checks', 'link_checks.bookmark_id', 'bookmarks.id')
+      .whereNull('bookmarks.deleted_at')
+      .where(builder => builder
+        .whereNull('link_checks.last_checked_at')
+        .orWhere('link_checks.last_checked_at', '<', checkedBefore)
+      )
+      .orderByRaw('link_checks.last_checked_at NULLS FIRST, bookmarks.id')
+      .limit(limit);
+  },
+  recordCheck(knex, bookmarkId, result) {
+    return knex
+      .insert({
+        bookmark_id: bookmarkId,
+        status: getLinkStatus(result),
+        status_code: result.status_code,
+        redirect_url: result.redirect_url,
+        response_time_ms: result.response_time_ms,
+        error: result.error,
+        last_checked_at: knex.fn.now()
+      })
+      .into('link_checks')
+      .onConflict('bookmark_id')
+      .merge();
+  }
+};
+
+module.exports = LinkChecksService;
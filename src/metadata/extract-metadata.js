@@ -0,0 +1,66 @@
+/* eslint-disable strict */
+const { Parser } = require('htmlparser2');
+
+const collapseWhitespace = text => text.replace(/\s+/g, ' ').trim();
+
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Pulls the title, description, favicon, canonical URL and Open Graph image
+// out of a page. Relative URLs are resolved against `pageUrl`.
+function extractMetadata(html, pageUrl) {
+  const meta = {};
+  const links = {};
+  let title = null;
+  let inTitle = false;
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (name === 'title' && title === null) {
+        title = '';
+        inTitle = true;
+      } else if (name === 'meta') {
+        const key = (attribs.property || attribs.name || '').toLowerCase();
+        if (key && attribs.content && !(key in meta)) {
+          meta[key] = collapseWhitespace(attribs.content);
+        }
+      } else if (name === 'link' && attribs.href) {
+        for (const rel of (attribs.rel || '').toLowerCase().split(/\s+/)) {
+          if (['icon', 'canonical'].includes(rel) && !(rel in links)) {
+            links[rel] = attribs.href;
+          }
+        }
+      }
+    },
+    ontext(text) {
+      if (inTitle) {
+        title += text;
+      }
+    },
+    onclosetag(name) {
+      if (name === 'title') {
+        inTitle = false;
+      }
+    },
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+
+  return {
+    title: collapseWhitespace(title || '') || meta['og:title'] || null,
+    description: meta.description || meta['og:description'] || null,
+    favicon_url: resolveUrl(links.icon || '/favicon.ico', pageUrl),
+    canonical_url: resolveUrl(links.canonical || meta['og:url'], pageUrl),
+    image_url: resolveUrl(meta['og:image'], pageUrl),
+  };
+}
+
+module.exports = { extractMetadata };
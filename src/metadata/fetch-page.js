@@ -0,0 +1,83 @@
+/* eslint-disable strict */
+const http = require('http');
+const https = require('https');
+const { getRequestGuard } = require('../address-guard');
+
+const DEFAULT_TIMEOUT = 5000;
+const MAX_PAGE_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'bookmarks-server metadata fetcher';
+
+function getPage(url, { timeout, maxBytes, allowPrivateAddresses }) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, {
+      ...getRequestGuard(url, { allowPrivateAddresses }),
+      timeout,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' }
+    }, res => {
+      const { statusCode, headers } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.destroy();
+        return resolve({ redirect: new URL(headers.location, url).href });
+      }
+      if (statusCode >= 400) {
+        res.destroy();
+        return reject(new Error(`Page responded with status ${statusCode}`));
+      }
+      if (!/html/i.test(headers['content-type'] || '')) {
+        res.destroy();
+        return reject(new Error('Page is not HTML'));
+      }
+
+      // The tags we want live in <head>, so an oversized page is cut short
+      // rather than rejected.
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({
+        html: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8')
+      });
+
+      res.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) {
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', reject);
+    });
+
+    // `timeout` only covers an idle socket; the deadline caps the whole fetch
+    const deadline = setTimeout(
+      () => req.destroy(new Error(`Timed out after ${timeout}ms`)),
+      timeout
+    );
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.on('close', () => clearTimeout(deadline));
+  });
+}
+
+// Resolves to { url, html } for the page at the end of any redirects. Pages
+// on private addresses are refused at every hop unless
+// `allowPrivateAddresses` is set.
+function fetchPage(url, { timeout = DEFAULT_TIMEOUT, maxBytes = MAX_PAGE_BYTES, allowPrivateAddresses } = {}) {
+  const follow = (pageUrl, redirects) => getPage(pageUrl, { timeout, maxBytes, allowPrivateAddresses })
+    .then(result => {
+      if (!result.redirect) {
+        return { url: pageUrl, html: result.html };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+      return follow(result.redirect, redirects + 1);
+    });
+
+  return follow(url, 0);
+}
+
+module.exports = { fetchPage };
@@ -0,0 +1,1093 @@
+/* eslint-disable strict */
+const { version } = require('../../package.json');
+const { SCOPES } = require('../requireScope');
+const { getErrorCode } = require('../errors');
+const { toObjectSchema } = require('../schema');
+const {
+  MAX_LIMIT,
+  EXPORT_FORMATS,
+  SORTABLE_FIELDS,
+  SORT_ORDERS,
+  TAG_MODES,
+  LINK_STATUSES,
+  BOOKMARK_SCHEMA,
+  BOOKMARK_MERGE_SCHEMA,
+  BULK_SCHEMA
+} = require('../bookmarks/bookmark-validator');
+const { BACKUP_SCHEMA, BACKUP_REQUIRED_FIELDS } = require('../bookmarks/backup');
+const { IMPORTED_COLUMNS } = require('../bookmarks/csv');
+const { TAG_SCHEMA, TAG_MERGE_SCHEMA } = require('../tags/tag-validator');
+const { DELETE_MODES, FOLDER_SCHEMA } = require('../folders/folder-validator');
+const { USER_SCHEMA, LOGIN_SCHEMA } = require('../users/user-validator');
+const { API_KEY_SCHEMA } = require('../api-keys/api-key-validator');
+const { WEBHOOK_SCHEMA } = require('../webhooks/webhook-validator');
+const { SHARE_SCHEMA } = require('../shares/share-validator');
+const { EVENT_TYPES } = require('../events/events-service');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = schema => ({ type: 'array', items: schema });
+const json = schema => ({ 'application/json': { schema } });
+
+// Request bodies are built from the same field schemas the validators use,
+// and validateRequestBody checks every JSON body against them
+const jsonBody = (schema, options) => ({
+  required: true,
+  content: json(toObjectSchema(schema, options)),
+});
+
+const response = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  ...(schema ? { content: json(schema) } : {}),
+});
+
+const errorResponse = status => response(`Error (${getErrorCode(status)})`, ref('Error'));
+
+const errors = (...statuses) => statuses.reduce(
+  (responses, status) => ({ ...responses, [status]: errorResponse(status) }),
+  {}
+);
+
+const PAGE_HEADERS = {
+  'X-Total-Count': {
+    description: 'Number of items across all pages',
+    schema: { type: 'integer' },
+  },
+  Link: {
+    description: 'Links to the next and previous pages, if any',
+    schema: { type: 'string' },
+  },
+};
+
+const page = (description, schema) => response(description, arrayOf(schema), PAGE_HEADERS);
+
+const idParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'integer' },
+});
+
+const queryParameter = (name, description, schema) => ({
+  name,
+  in: 'query',
+  description,
+  schema,
+});
+
+const PAGE_PARAMETERS = [
+  queryParameter('limit', 'Items per page', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 25 }),
+  queryParameter('offset', 'Items to skip', { type: 'integer', minimum: 0, default: 0 }),
+];
+
+const ALLOW_DUPLICATE = queryParameter(
+  'allow_duplicate',
+  'Create bookmarks even when one with the same URL exists',
+  { type: 'boolean', default: false }
+);
+
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'Only apply the change if the bookmark still has this ETag',
+  schema: { type: 'string' },
+};
+
+const PUBLIC = [];
+
+const BOOKMARK_ID = idParameter('bookmark_id', 'Bookmark id');
+const TAG_ID = idParameter('tag_id', 'Tag id');
+const FOLDER_ID = idParameter('folder_id', 'Folder id');
+const WEBHOOK_ID = idParameter('webhook_id', 'Webhook id');
+const KEY_ID = idParameter('key_id', 'API key id');
+const SHARE_ID = idParameter('share_id', 'Share link id');
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'A JWT from POST /api/auth/login, an API key from POST /api/keys, or the '
+        + `server's API token. API keys are limited to their scopes: ${Object.values(SCOPES).join(', ')}.`,
+    },
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: {
+          type: 'object',
+          required: ['code', 'message', 'request_id'],
+          properties: {
+            code: { type: 'string', example: 'validation_failed' },
+            message: { type: 'string' },
+            request_id: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+            fields: arrayOf(ref('FieldError')),
+          },
+        },
+      },
+    },
+    FieldError: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', nullable: true },
+        code: { type: 'string', example: 'required' },
+        message: { type: 'string' },
+      },
+    },
+    LinkHealth: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        status: { type: 'string', enum: LINK_STATUSES },
+        status_code: { type: 'integer', nullable: true },
+        redirect_url: { type: 'string', nullable: true },
+        response_time_ms: { type: 'integer', nullable: true },
+        error: { type: 'string', nullable: true },
+        last_checked_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    PageMetadata: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        title: { type: 'string', nullable: true },
+        description: { type: 'string', nullable: true },
+        favicon_url: { type: 'string', nullable: true },
+        canonical_url: { type: 'string', nullable: true },
+        image_url: { type: 'string', nullable: true },
+        fetched_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    Bookmark: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        title: { type: 'string' },
+        url: { type: 'string' },
+        description: { type: 'string' },
+        rating: { type: 'integer', minimum: 1, maximum: 5 },
+        tags: arrayOf({ type: 'string' }),
+        folder_id: { type: 'integer', nullable: true },
+        visit_count: { type: 'integer' },
+        last_visited_at: { type: 'string', format: 'date-time', nullable: true },
+        health: ref('LinkHealth'),
+        metadata: ref('PageMetadata'),
+      },
+    },
+    BookmarkStats: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        visits: { type: 'integer' },
+        ratings: {
+          type: 'object',
+          description: 'Bookmarks per rating, from 1 to 5',
+          additionalProperties: { type: 'integer' },
+        },
+        tags: arrayOf({
+          type: 'object',
+          properties: { name: { type: 'string' }, count: { type: 'integer' } },
+        }),
+        domains: arrayOf({
+          type: 'object',
+          properties: { domain: { type: 'string' }, count: { type: 'integer' } },
+        }),
+      },
+    },
+    SearchResult: {
+      allOf: [
+        ref('Bookmark'),
+        { type: 'object', properties: { snippet: { type: 'string' } } },
+      ],
+    },
+    TrashedBookmark: {
+      allOf: [
+        ref('Bookmark'),
+        { type: 'object', properties: { deleted_at: { type: 'string', format: 'date-time' } } },
+      ],
+    },
+    DuplicateCluster: {
+      type: 'object',
+      properties: {
+        canonical_url: { type: 'string' },
+        bookmarks: arrayOf(ref('Bookmark')),
+      },
+    },
+    Snapshot: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        bookmark_id: { type: 'integer' },
+        url: { type: 'string', description: 'The page captured, after redirects' },
+        title: { type: 'string', nullable: true },
+        text: { type: 'string', description: 'The readable text of the page' },
+        captured_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    Revision: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        action: { type: 'string', example: 'update' },
+        actor: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['token', 'user', 'key'] },
+            user_id: { type: 'integer', nullable: true },
+            key_id: { type: 'integer', nullable: true },
+          },
+        },
+        changed_fields: arrayOf({ type: 'string' }),
+        old_values: { type: 'object' },
+        new_values: { type: 'object' },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    BulkResult: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string' },
+        committed: { type: 'boolean' },
+        results: arrayOf({
+          type: 'object',
+          properties: {
+            status: { type: 'integer' },
+            id: { type: 'integer' },
+            bookmark: ref('Bookmark'),
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+                fields: arrayOf(ref('FieldError')),
+              },
+            },
+          },
+        }),
+      },
+    },
+    ImportReport: {
+      type: 'object',
+      properties: {
+        created: { type: 'integer' },
+        skipped: { type: 'integer' },
+        invalid: { type: 'integer' },
+        errors: arrayOf({
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            row: { type: 'integer', description: 'Line of the CSV file, counting the header as 1' },
+            url: { type: 'string' },
+            message: { type: 'string' },
+            fields: arrayOf(ref('FieldError')),
+          },
+        }),
+      },
+    },
+    Tag: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        bookmark_count: { type: 'integer' },
+      },
+    },
+    Folder: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        parent_id: { type: 'integer', nullable: true },
+        bookmark_count: { type: 'integer' },
+      },
+    },
+    FolderTree: {
+      allOf: [
+        ref('Folder'),
+        { type: 'object', properties: { children: arrayOf(ref('FolderTree')) } },
+      ],
+    },
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        username: { type: 'string' },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    ApiKey: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        prefix: { type: 'string' },
+        scopes: arrayOf({ type: 'string', enum: Object.values(SCOPES) }),
+        user_id: { type: 'integer', nullable: true },
+        expires_at: { type: 'string', format: 'date-time', nullable: true },
+        last_used_at: { type: 'string', format: 'date-time', nullable: true },
+        revoked_at: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    Webhook: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        events: arrayOf({ type: 'string', enum: Object.values(EVENT_TYPES) }),
+        user_id: { type: 'integer', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    ShareLink: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        prefix: { type: 'string' },
+        bookmark_id: { type: 'integer', nullable: true },
+        tag: { type: 'string', nullable: true },
+        folder_id: { type: 'integer', nullable: true },
+        view_count: { type: 'integer' },
+        last_viewed_at: { type: 'string', format: 'date-time', nullable: true },
+        expires_at: { type: 'string', format: 'date-time', nullable: true },
+        revoked_at: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+    SharedBookmarks: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['bookmark', 'collection'] },
+        title: { type: 'string' },
+        bookmarks: arrayOf({
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            url: { type: 'string' },
+            description: { type: 'string' },
+            tags: arrayOf({ type: 'string' }),
+            created_at: { type: 'string', format: 'date-time' },
+          },
+        }),
+        expires_at: { type: 'string', format: 'date-time', nullable: true },
+      },
+    },
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        event_id: { type: 'integer' },
+        event_type: { type: 'string', enum: Object.values(EVENT_TYPES) },
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        attempts: { type: 'integer' },
+        response_status: { type: 'integer', nullable: true },
+        error: { type: 'string', nullable: true },
+        last_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+        next_attempt_at: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    },
+  },
+};
+
+const paths = {
+  '/': {
+    get: {
+      tags: ['meta'],
+      summary: 'Check that the server is up',
+      responses: { 200: { description: 'Hello, world!' } },
+    },
+  },
+  '/api/openapi.json': {
+    get: {
+      tags: ['meta'],
+      summary: 'This document',
+      security: PUBLIC,
+      responses: { 200: response('OpenAPI document', { type: 'object' }) },
+    },
+  },
+  '/api/docs': {
+    get: {
+      tags: ['meta'],
+      summary: 'Interactive documentation for this document',
+      security: PUBLIC,
+      responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } },
+    },
+  },
+  '/api/users': {
+    post: {
+      tags: ['users'],
+      summary: 'Register a user',
+      security: PUBLIC,
+      requestBody: jsonBody(USER_SCHEMA, { required: ['username', 'password'] }),
+      responses: {
+        201: response('The new user', ref('User')),
+        ...errors(400, 429),
+      },
+    },
+  },
+  '/api/auth/login': {
+    post: {
+      tags: ['users'],
+      summary: 'Exchange a username and password for a JWT',
+      security: PUBLIC,
+      requestBody: jsonBody(LOGIN_SCHEMA, { required: ['username', 'password'] }),
+      responses: {
+        200: response('A token for the Authorization header', {
+          type: 'object',
+          properties: { authToken: { type: 'string' } },
+        }),
+        ...errors(400, 401, 429),
+      },
+    },
+  },
+  '/api/bookmarks': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'List bookmarks',
+      parameters: [
+        ...PAGE_PARAMETERS,
+        queryParameter('sort', 'Field to sort by; popular sorts by visits', {
+          type: 'string', enum: SORTABLE_FIELDS,
+        }),
+        queryParameter('order', 'Sort order; popular defaults to desc and the rest to asc', {
+          type: 'string', enum: SORT_ORDERS,
+        }),
+        queryParameter('min_rating', 'Lowest rating', { type: 'integer', minimum: 1, maximum: 5 }),
+        queryParameter('max_rating', 'Highest rating', { type: 'integer', minimum: 1, maximum: 5 }),
+        queryParameter('host', 'Only bookmarks on this host', { type: 'string' }),
+        {
+          ...queryParameter('tag', 'Only bookmarks with these tags', arrayOf({ type: 'string' })),
+          explode: true,
+        },
+        queryParameter('tag_mode', 'Whether bookmarks need all or any of the tags', {
+          type: 'string', enum: TAG_MODES, default: 'all',
+        }),
+        queryParameter('folder_id', 'Only bookmarks in this folder', { type: 'integer' }),
+        queryParameter('status', 'Only bookmarks whose link has this status', {
+          type: 'string', enum: LINK_STATUSES,
+        }),
+        queryParameter('stale', 'Only bookmarks not visited, or saved, in this many days', {
+          type: 'integer', minimum: 1,
+        }),
+      ],
+      responses: {
+        200: page('A page of bookmarks', ref('Bookmark')),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Create a bookmark',
+      description: 'A bookmark sent without a title is completed from its page. '
+        + 'Otherwise title, url and rating are all required.',
+      parameters: [ALLOW_DUPLICATE],
+      requestBody: jsonBody(BOOKMARK_SCHEMA, { required: ['url'] }),
+      responses: {
+        201: response('The new bookmark', ref('Bookmark')),
+        ...errors(400, 401, 403, 409, 429),
+      },
+    },
+  },
+  '/api/bookmarks/search': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Search bookmarks by full text',
+      parameters: [
+        { ...queryParameter('q', 'Words to search for', { type: 'string' }), required: true },
+        ...PAGE_PARAMETERS,
+      ],
+      responses: {
+        200: page('A page of matches, best first', ref('SearchResult')),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/bookmarks/duplicates': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'List bookmarks that share a URL',
+      responses: {
+        200: response('Bookmarks grouped by URL', arrayOf(ref('DuplicateCluster'))),
+        ...errors(401, 403, 429),
+      },
+    },
+  },
+  '/api/bookmarks/stats': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Count bookmarks by rating, tag and domain',
+      description: 'Tags and domains are limited to the 50 with the most bookmarks.',
+      responses: {
+        200: response('The counts', ref('BookmarkStats')),
+        ...errors(401, 403, 429),
+      },
+    },
+  },
+  '/api/bookmarks/duplicates/merge': {
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Merge duplicate bookmarks into one',
+      requestBody: jsonBody(BOOKMARK_MERGE_SCHEMA, { required: ['target_id', 'source_ids'] }),
+      responses: {
+        200: response('The merged bookmark', ref('Bookmark')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/bookmarks/bulk': {
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Create, update and delete bookmarks in one request',
+      description: 'Each operation is `{"op": "create", "bookmark": {...}}`, '
+        + '`{"op": "update", "id": 1, "bookmark": {...}}` or `{"op": "delete", "id": 1}`. '
+        + 'An atomic batch is rolled back when any operation fails.',
+      parameters: [ALLOW_DUPLICATE],
+      requestBody: jsonBody(BULK_SCHEMA, { required: ['operations'] }),
+      responses: {
+        200: response('The result of every operation', ref('BulkResult')),
+        400: response('An atomic batch failed and was rolled back', {
+          allOf: [ref('Error'), ref('BulkResult')],
+        }),
+        ...errors(401, 403, 413, 429),
+      },
+    },
+  },
+  '/api/bookmarks/import': {
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Import a Netscape bookmark file, CSV, Markdown or a JSON backup',
+      description: 'A JSON backup from GET /api/bookmarks/export?format=json is restored with its '
+        + 'timestamps under new ids; bookmarks whose URLs are already saved are skipped, and '
+        + 'folders of the same name in the same place are reused.',
+      parameters: [
+        queryParameter('rating', 'Rating for imported bookmarks that do not have one', {
+          type: 'integer', minimum: 1, maximum: 5, default: 3,
+        }),
+        {
+          ...queryParameter('columns', 'CSV column names to read fields from, like columns[url]=Link', {
+            type: 'object',
+            properties: IMPORTED_COLUMNS.reduce(
+              (properties, field) => ({ ...properties, [field]: { type: 'string', default: field } }),
+              {}
+            ),
+            additionalProperties: false,
+          }),
+          style: 'deepObject',
+          explode: true,
+        },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          ...json(toObjectSchema(BACKUP_SCHEMA, { required: BACKUP_REQUIRED_FIELDS })),
+          'text/html': { schema: { type: 'string' } },
+          'text/csv': { schema: { type: 'string' } },
+          'text/markdown': { schema: { type: 'string' } },
+        },
+      },
+      responses: {
+        200: response('What was imported', ref('ImportReport')),
+        ...errors(400, 401, 403, 413, 429),
+      },
+    },
+  },
+  '/api/bookmarks/export': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Export bookmarks as a Netscape bookmark file, a JSON backup, CSV or Markdown',
+      parameters: [
+        queryParameter('format', 'Export format', { type: 'string', enum: EXPORT_FORMATS, default: 'html' }),
+      ],
+      responses: {
+        200: {
+          description: 'The bookmark file',
+          content: {
+            'text/html': {},
+            'application/json': { schema: toObjectSchema(BACKUP_SCHEMA, { required: BACKUP_REQUIRED_FIELDS }) },
+            'text/csv': {},
+            'text/markdown': {},
+          },
+        },
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/bookmarks/stream': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Stream bookmark changes as server-sent events',
+      parameters: [{
+        name: 'Last-Event-ID',
+        in: 'header',
+        description: 'Replay the events after this one first',
+        schema: { type: 'integer' },
+      }],
+      responses: {
+        200: {
+          description: `Events named ${Object.values(EVENT_TYPES).join(', ')}, with the bookmark as data`,
+          content: { 'text/event-stream': {} },
+        },
+        ...errors(400, 401, 403, 429, 503),
+      },
+    },
+  },
+  '/api/bookmarks/{bookmark_id}': {
+    parameters: [BOOKMARK_ID],
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Get a bookmark',
+      parameters: [{
+        name: 'If-None-Match',
+        in: 'header',
+        description: 'Answer 304 if the bookmark still has this ETag',
+        schema: { type: 'string' },
+      }],
+      responses: {
+        200: response('The bookmark', ref('Bookmark'), {
+          ETag: { description: 'Version of the bookmark', schema: { type: 'string' } },
+        }),
+        304: { description: 'The bookmark has not changed' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    patch: {
+      tags: ['bookmarks'],
+      summary: 'Update a bookmark',
+      parameters: [IF_MATCH],
+      requestBody: jsonBody(BOOKMARK_SCHEMA),
+      responses: {
+        200: response('The updated bookmark', ref('Bookmark')),
+        ...errors(400, 401, 403, 404, 412, 429),
+      },
+    },
+    delete: {
+      tags: ['bookmarks'],
+      summary: 'Move a bookmark to the trash',
+      parameters: [IF_MATCH],
+      responses: {
+        204: { description: 'The bookmark is in the trash' },
+        ...errors(401, 403, 404, 412, 429),
+      },
+    },
+  },
+  '/api/bookmarks/{bookmark_id}/visit': {
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Record a visit to a bookmark',
+      description: 'Visits do not change the bookmark\'s version or history.',
+      parameters: [BOOKMARK_ID],
+      responses: {
+        200: response('The bookmark with the visit counted', ref('Bookmark')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/go/{bookmark_id}': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'Record a visit and redirect to the bookmark\'s URL',
+      description: 'Takes the same credentials as the rest of the API, so it is for clients that '
+        + 'send an Authorization header; a browser following a plain link gets 401.',
+      parameters: [BOOKMARK_ID],
+      responses: {
+        302: {
+          description: 'Redirect to the bookmark\'s URL',
+          headers: { Location: { schema: { type: 'string' } } },
+        },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/bookmarks/{bookmark_id}/snapshots': {
+    parameters: [BOOKMARK_ID],
+    get: {
+      tags: ['bookmarks'],
+      summary: 'List the snapshots of a bookmark\'s page',
+      parameters: PAGE_PARAMETERS,
+      responses: {
+        200: page('A page of snapshots, newest first', ref('Snapshot')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Capture a snapshot of the bookmark\'s page',
+      description: 'Fetches the page and stores its readable text, which search then matches.',
+      responses: {
+        201: response('The new snapshot', ref('Snapshot')),
+        ...errors(401, 403, 404, 429, 502),
+      },
+    },
+  },
+  '/api/bookmarks/{bookmark_id}/history': {
+    get: {
+      tags: ['bookmarks'],
+      summary: 'List the revisions of a bookmark',
+      parameters: [BOOKMARK_ID, ...PAGE_PARAMETERS],
+      responses: {
+        200: page('A page of revisions, newest first', ref('Revision')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/bookmarks/{bookmark_id}/revert/{revision_id}': {
+    post: {
+      tags: ['bookmarks'],
+      summary: 'Put back the values a revision replaced',
+      parameters: [BOOKMARK_ID, idParameter('revision_id', 'Revision id')],
+      responses: {
+        200: response('The reverted bookmark', ref('Bookmark')),
+        ...errors(400, 401, 403, 404, 409, 429),
+      },
+    },
+  },
+  '/api/tags': {
+    get: {
+      tags: ['tags'],
+      summary: 'List tags',
+      responses: {
+        200: response('Every tag', arrayOf(ref('Tag'))),
+        ...errors(401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['tags'],
+      summary: 'Create a tag',
+      requestBody: jsonBody(TAG_SCHEMA, { required: ['name'] }),
+      responses: {
+        201: response('The new tag', ref('Tag')),
+        ...errors(400, 401, 403, 409, 429),
+      },
+    },
+  },
+  '/api/tags/{tag_id}': {
+    parameters: [TAG_ID],
+    get: {
+      tags: ['tags'],
+      summary: 'Get a tag',
+      responses: {
+        200: response('The tag', ref('Tag')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    patch: {
+      tags: ['tags'],
+      summary: 'Rename a tag',
+      requestBody: jsonBody(TAG_SCHEMA, { required: ['name'] }),
+      responses: {
+        200: response('The renamed tag', ref('Tag')),
+        ...errors(400, 401, 403, 404, 409, 429),
+      },
+    },
+    delete: {
+      tags: ['tags'],
+      summary: 'Delete a tag and remove it from its bookmarks',
+      responses: {
+        204: { description: 'The tag is gone' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/tags/{tag_id}/merge': {
+    post: {
+      tags: ['tags'],
+      summary: 'Merge other tags into this one',
+      parameters: [TAG_ID],
+      requestBody: jsonBody(TAG_MERGE_SCHEMA, { required: ['source_ids'] }),
+      responses: {
+        200: response('The merged tag', ref('Tag')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/folders': {
+    get: {
+      tags: ['folders'],
+      summary: 'List folders',
+      responses: {
+        200: response('Every folder', arrayOf(ref('Folder'))),
+        ...errors(401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['folders'],
+      summary: 'Create a folder',
+      requestBody: jsonBody(FOLDER_SCHEMA, { required: ['name'] }),
+      responses: {
+        201: response('The new folder', ref('Folder')),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/folders/tree': {
+    get: {
+      tags: ['folders'],
+      summary: 'Get the folders as a tree',
+      responses: {
+        200: response('The top-level folders with their children', arrayOf(ref('FolderTree'))),
+        ...errors(401, 403, 429),
+      },
+    },
+  },
+  '/api/folders/{folder_id}': {
+    parameters: [FOLDER_ID],
+    get: {
+      tags: ['folders'],
+      summary: 'Get a folder',
+      responses: {
+        200: response('The folder', ref('Folder')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    patch: {
+      tags: ['folders'],
+      summary: 'Rename or move a folder',
+      requestBody: jsonBody(FOLDER_SCHEMA),
+      responses: {
+        200: response('The updated folder', ref('Folder')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+    delete: {
+      tags: ['folders'],
+      summary: 'Delete a folder',
+      parameters: [
+        queryParameter('children', 'What to do with a non-empty folder\'s contents', {
+          type: 'string', enum: DELETE_MODES,
+        }),
+      ],
+      responses: {
+        204: { description: 'The folder is gone' },
+        ...errors(400, 401, 403, 404, 409, 429),
+      },
+    },
+  },
+  '/api/trash': {
+    get: {
+      tags: ['trash'],
+      summary: 'List bookmarks in the trash',
+      parameters: PAGE_PARAMETERS,
+      responses: {
+        200: page('A page of trashed bookmarks, most recently deleted first', ref('TrashedBookmark')),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+    delete: {
+      tags: ['trash'],
+      summary: 'Empty the trash',
+      responses: {
+        204: { description: 'The trash is empty' },
+        ...errors(401, 403, 429),
+      },
+    },
+  },
+  '/api/trash/{bookmark_id}': {
+    parameters: [BOOKMARK_ID],
+    get: {
+      tags: ['trash'],
+      summary: 'Get a bookmark in the trash',
+      responses: {
+        200: response('The trashed bookmark', ref('TrashedBookmark')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    delete: {
+      tags: ['trash'],
+      summary: 'Delete a trashed bookmark for good',
+      responses: {
+        204: { description: 'The bookmark is gone' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/trash/{bookmark_id}/restore': {
+    post: {
+      tags: ['trash'],
+      summary: 'Take a bookmark back out of the trash',
+      parameters: [BOOKMARK_ID],
+      responses: {
+        200: response('The restored bookmark', ref('Bookmark')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/webhooks': {
+    get: {
+      tags: ['webhooks'],
+      summary: 'List webhooks',
+      responses: {
+        200: response('Every webhook', arrayOf(ref('Webhook'))),
+        ...errors(401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['webhooks'],
+      summary: 'Subscribe a URL to bookmark events',
+      description: 'Deliveries are signed with the secret in the X-Webhook-Signature header. '
+        + 'A secret is generated when none is given.',
+      requestBody: jsonBody(WEBHOOK_SCHEMA, { required: ['url', 'events'] }),
+      responses: {
+        201: response('The new webhook; the only response that includes its secret', {
+          allOf: [ref('Webhook'), { type: 'object', properties: { secret: { type: 'string' } } }],
+        }),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/webhooks/{webhook_id}': {
+    parameters: [WEBHOOK_ID],
+    get: {
+      tags: ['webhooks'],
+      summary: 'Get a webhook',
+      responses: {
+        200: response('The webhook', ref('Webhook')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    delete: {
+      tags: ['webhooks'],
+      summary: 'Delete a webhook',
+      responses: {
+        204: { description: 'The webhook is gone' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/webhooks/{webhook_id}/deliveries': {
+    get: {
+      tags: ['webhooks'],
+      summary: 'List a webhook\'s deliveries',
+      parameters: [WEBHOOK_ID, ...PAGE_PARAMETERS],
+      responses: {
+        200: page('A page of deliveries, newest first', ref('WebhookDelivery')),
+        ...errors(400, 401, 403, 404, 429),
+      },
+    },
+  },
+  '/api/shares': {
+    get: {
+      tags: ['shares'],
+      summary: 'List share links',
+      responses: {
+        200: response('Every share link', arrayOf(ref('ShareLink'))),
+        ...errors(401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['shares'],
+      summary: 'Share a bookmark, or the bookmarks with a tag and/or in a folder',
+      description: 'Anyone with the link can see what it shares until it expires or is revoked.',
+      requestBody: jsonBody(SHARE_SCHEMA),
+      responses: {
+        201: response('The new share link; the only response that includes its token and URL', {
+          allOf: [ref('ShareLink'), {
+            type: 'object',
+            properties: { token: { type: 'string' }, url: { type: 'string' } },
+          }],
+        }),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/shares/{share_id}': {
+    parameters: [SHARE_ID],
+    get: {
+      tags: ['shares'],
+      summary: 'Get a share link',
+      responses: {
+        200: response('The share link', ref('ShareLink')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    delete: {
+      tags: ['shares'],
+      summary: 'Revoke a share link',
+      responses: {
+        204: { description: 'The link no longer works' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+  '/s/{token}': {
+    get: {
+      tags: ['shares'],
+      summary: 'View what a share link shares',
+      description: 'Responds with a simple HTML page to clients that prefer HTML. Every view is counted.',
+      security: PUBLIC,
+      parameters: [{
+        name: 'token',
+        in: 'path',
+        required: true,
+        description: 'Share link token',
+        schema: { type: 'string' },
+      }],
+      responses: {
+        200: {
+          description: 'The shared bookmarks',
+          content: { ...json(ref('SharedBookmarks')), 'text/html': {} },
+        },
+        ...errors(404, 429),
+      },
+    },
+  },
+  '/api/keys': {
+    get: {
+      tags: ['api keys'],
+      summary: 'List API keys',
+      description: `Requires the ${SCOPES.ADMIN} scope.`,
+      responses: {
+        200: response('Every API key', arrayOf(ref('ApiKey'))),
+        ...errors(401, 403, 429),
+      },
+    },
+    post: {
+      tags: ['api keys'],
+      summary: 'Create an API key',
+      description: `Requires the ${SCOPES.ADMIN} scope.`,
+      requestBody: jsonBody(API_KEY_SCHEMA, { required: ['name', 'scopes'] }),
+      responses: {
+        201: response('The new key; the only response that includes the key itself', {
+          allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }],
+        }),
+        ...errors(400, 401, 403, 429),
+      },
+    },
+  },
+  '/api/keys/{key_id}': {
+    parameters: [KEY_ID],
+    get: {
+      tags: ['api keys'],
+      summary: 'Get an API key',
+      description: `Requires the ${SCOPES.ADMIN} scope.`,
+      responses: {
+        200: response('The API key', ref('ApiKey')),
+        ...errors(401, 403, 404, 429),
+      },
+    },
+    delete: {
+      tags: ['api keys'],
+      summary: 'Revoke an API key',
+      description: `Requires the ${SCOPES.ADMIN} scope.`,
+      responses: {
+        204: { description: 'The key no longer works' },
+        ...errors(401, 403, 404, 429),
+      },
+    },
+  },
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Bookmarks API',
+    version,
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  components,
+  paths,
+};
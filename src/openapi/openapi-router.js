@@ -0,0 +1,62 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const openapiDocument = require('./openapi-document');
+
+const openapiRouter = express.Router();
+
+// Served from the installed package rather than a CDN, so the page runs only
+// the Swagger UI this app was built and tested with
+const SWAGGER_UI = 'docs/swagger-ui';
+
+const DOCS_SCRIPT = `window.ui = SwaggerUIBundle({
+  url: 'openapi.json',
+  dom_id: '#swagger-ui',
+  persistAuthorization: true
+});`;
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openapiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>${DOCS_SCRIPT}</script>
+</body>
+</html>
+`;
+
+// Helmet's default policy only allows our own scripts; the docs page also
+// needs the inline script that starts Swagger UI, and Swagger UI sets styles
+// inline
+const scriptHash = crypto.createHash('sha256').update(DOCS_SCRIPT).digest('base64');
+const DOCS_CSP = [
+  'default-src \'self\'',
+  `script-src 'self' 'sha256-${scriptHash}'`,
+  'style-src \'self\' \'unsafe-inline\'',
+  'img-src \'self\' data:',
+].join('; ');
+
+openapiRouter
+  .route('/openapi.json')
+  .get((req, res) => {
+    res.json(openapiDocument);
+  });
+
+openapiRouter.use(`/${SWAGGER_UI}`, express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+openapiRouter
+  .route('/docs')
+  .get((req, res) => {
+    res
+      .set('Content-Security-Policy', DOCS_CSP)
+      .type('html')
+      .send(DOCS_PAGE);
+  });
+
+module.exports = openapiRouter;
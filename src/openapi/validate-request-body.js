@@ -0,0 +1,42 @@
+/* eslint-disable strict */
+const openapiDocument = require('./openapi-document');
+const { getSchemaValidationError } = require('../schema');
+const { toValidationError } = require('../errors');
+
+// '/api/bookmarks/:bookmark_id' is documented as '/api/bookmarks/{bookmark_id}'
+const toOpenApiPath = expressPath => expressPath
+  .replace(/(.)\/$/, '$1')
+  .replace(/:(\w+)/g, '{$1}');
+
+// The schema for a JSON body, or null when the route takes none. Routes
+// documenting other media types as well only have JSON bodies checked.
+function getJsonBodySchema(req) {
+  const pathItem = openapiDocument.paths[toOpenApiPath(req.baseUrl + req.route.path)];
+  const operation = pathItem && pathItem[req.method.toLowerCase()];
+  const content = operation && operation.requestBody && operation.requestBody.content;
+  if (!content || !content['application/json']) return null;
+
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length > 1 && req.is(mediaTypes) !== 'application/json') return null;
+  return content['application/json'].schema;
+}
+
+// Checks a parsed JSON body against the schema the OpenAPI document gives
+// its route, so the documented bodies are the ones the API accepts
+function validateRequestBody(req, res, next) {
+  const schema = getJsonBodySchema(req);
+  if (!schema) return next();
+
+  const error = getSchemaValidationError(req.body, schema.properties, {
+    required: schema.required
+  });
+
+  if (error) return next(toValidationError(error));
+
+  next();
+}
+
+module.exports = {
+  toOpenApiPath,
+  validateRequestBody
+};
@@ -0,0 +1,40 @@
+/* eslint-disable strict */
+
+const DEFAULT_LIMIT = 25;
+
+const getPageOptions = query => ({
+  limit: query.limit ? Number(query.limit) : DEFAULT_LIMIT,
+  offset: query.offset ? Number(query.offset) : 0,
+});
+
+// Built from the raw query string, since req.query folds repeated
+// parameters such as `tag` into arrays
+const makePageLink = (req, offset, rel) => {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  params.set('offset', offset);
+  return `<${req.baseUrl}${req.path.replace(/\/$/, '')}?${params}>; rel="${rel}"`;
+};
+
+const getPageLinks = (req, { limit, offset }, total) => {
+  const links = [];
+  if (offset + limit < total) {
+    links.push(makePageLink(req, offset + limit, 'next'));
+  }
+  if (offset > 0) {
+    links.push(makePageLink(req, Math.max(offset - limit, 0), 'prev'));
+  }
+  return links;
+};
+
+const setPaginationHeaders = (req, res, options, total) => {
+  const links = getPageLinks(req, options, total);
+  if (links.length) {
+    res.set('Link', links.join(', '));
+  }
+  res.set('X-Total-Count', String(total));
+};
+
+module.exports = {
+  getPageOptions,
+  setPaginationHeaders
+};
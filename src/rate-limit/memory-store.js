@@ -0,0 +1,44 @@
+/* eslint-disable strict */
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Keeps token buckets in this process only; fine for a single server.
+// Buckets that have refilled completely are dropped, since a missing
+// bucket counts as a full one.
+function createMemoryStore({ now = Date.now } = {}) {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  const refill = (bucket, { capacity, refillRate }, at) => Math.min(
+    capacity,
+    bucket.tokens + ((at - bucket.updatedAt) / 1000) * refillRate
+  );
+
+  function sweep(at) {
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, bucket.limit, at) >= bucket.limit.capacity) {
+        buckets.delete(key);
+      }
+    }
+    lastSweep = at;
+  }
+
+  function consume(key, limit) {
+    const at = now();
+    if (at - lastSweep > SWEEP_INTERVAL) {
+      sweep(at);
+    }
+
+    const bucket = buckets.get(key);
+    const tokens = bucket ? refill(bucket, limit, at) : limit.capacity;
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+
+    buckets.set(key, { tokens: remaining, updatedAt: at, limit });
+    return Promise.resolve({ allowed, tokens: remaining });
+  }
+
+  return { consume };
+}
+
+module.exports = { createMemoryStore };
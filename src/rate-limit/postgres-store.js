@@ -0,0 +1,53 @@
+/* eslint-disable strict */
+
+const SWEEP_INTERVAL = 60 * 1000;
+// Longer than any of the default limits take to refill
+const STALE_AFTER = '1 hour';
+
+const REFILLED_TOKENS = `least(
+  CAST(:capacity AS double precision),
+  buckets.tokens + extract(epoch FROM now() - buckets.updated_at) * CAST(:refillRate AS double precision)
+)`;
+
+// Shares token buckets between server processes. Refilling and taking a
+// token happen in one statement, so concurrent requests cannot both take
+// the last token. Buckets left alone long enough to have refilled are
+// deleted, since a missing bucket counts as a full one.
+function createPostgresStore(knex, { now = Date.now } = {}) {
+  let lastSweep = now();
+
+  function sweep() {
+    return knex('rate_limit_buckets')
+      .where('updated_at', '<', knex.raw(`now() - interval '${STALE_AFTER}'`))
+      .delete();
+  }
+
+  function consume(key, { capacity, refillRate }) {
+    const at = now();
+    let sweeping = Promise.resolve();
+    if (at - lastSweep > SWEEP_INTERVAL) {
+      lastSweep = at;
+      sweeping = sweep();
+    }
+
+    return sweeping
+      .then(() => knex.raw(
+        `INSERT INTO rate_limit_buckets AS buckets (key, tokens, allowed, updated_at)
+          VALUES (:key, CAST(:capacity AS double precision) - 1, true, now())
+          ON CONFLICT (key) DO UPDATE SET
+            tokens = CASE
+              WHEN ${REFILLED_TOKENS} >= 1 THEN ${REFILLED_TOKENS} - 1
+              ELSE ${REFILLED_TOKENS}
+            END,
+            allowed = ${REFILLED_TOKENS} >= 1,
+            updated_at = now()
+          RETURNING tokens, allowed`,
+        { key, capacity, refillRate }
+      ))
+      .then(({ rows: [bucket] }) => ({ allowed: bucket.allowed, tokens: bucket.tokens }));
+  }
+
+  return { consume };
+}
+
+module.exports = { createPostgresStore };
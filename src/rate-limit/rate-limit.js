@@ -0,0 +1,54 @@
+/* eslint-disable strict */
+const { READ_METHODS } = require('../requireScope');
+const { TooManyRequestsError } = require('../errors');
+
+// Authenticated requests share a bucket per credential, wherever they come
+// from; anything else is limited per client IP.
+function getClientKey(req) {
+  const { auth } = req;
+  if (!auth) return `ip:${req.ip}`;
+  if (auth.type === 'key') return `key:${auth.key_id}`;
+  if (auth.type === 'user') return `user:${auth.user_id}`;
+  return 'token';
+}
+
+// Limits requests with a token bucket per client holding `capacity` tokens
+// and refilling `perMinute` of them a minute. Buckets live in the app's
+// 'rateLimitStore'; without one nothing is limited.
+function rateLimit(group, { capacity, perMinute }) {
+  const limit = { capacity, refillRate: perMinute / 60 };
+
+  return (req, res, next) => {
+    const store = req.app.get('rateLimitStore');
+    if (!store) return next();
+
+    const key = `${group}:${getClientKey(req)}`;
+    store.consume(key, limit)
+      .then(({ allowed, tokens }) => {
+        res.set({
+          'RateLimit-Limit': String(capacity),
+          'RateLimit-Remaining': String(Math.floor(tokens)),
+          'RateLimit-Reset': String(Math.ceil((capacity - tokens) / limit.refillRate)),
+        });
+        if (allowed) return next();
+
+        const retryAfter = Math.ceil((1 - tokens) / limit.refillRate);
+        res.set('Retry-After', String(retryAfter));
+        next(new TooManyRequestsError(`Rate limit exceeded; retry after ${retryAfter}s`));
+      })
+      .catch(next);
+  };
+}
+
+// Gives reads and writes separate buckets, so a client busy reading can
+// still save its changes.
+function rateLimitReadsAndWrites({ read, write }) {
+  const limitReads = rateLimit('read', read);
+  const limitWrites = rateLimit('write', write);
+  return (req, res, next) => (READ_METHODS.includes(req.method) ? limitReads : limitWrites)(req, res, next);
+}
+
+module.exports = {
+  rateLimit,
+  rateLimitReadsAndWrites
+};
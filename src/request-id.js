@@ -0,0 +1,15 @@
+/* eslint-disable strict */
+const { v4: uuid } = require('uuid');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Keeps a well-formed X-Request-Id from a proxy in front of us so that logs
+// can be correlated, otherwise makes a new one.
+function assignRequestId(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuid();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = assignRequestId;
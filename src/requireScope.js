@@ -0,0 +1,56 @@
+/* eslint-disable strict */
+const logger = require('./logger');
+const { ForbiddenError } = require('./errors');
+
+const SCOPES = {
+  READ: 'bookmarks:read',
+  WRITE: 'bookmarks:write',
+  ADMIN: 'admin',
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// What signed-in users hold; 'admin' is kept for the API token and the keys
+// it creates
+const USER_SCOPES = [SCOPES.READ, SCOPES.WRITE];
+
+function hasScope(auth, scope) {
+  return auth.scopes.includes(SCOPES.ADMIN) || auth.scopes.includes(scope);
+}
+
+function rejectRequest(req, next, scope) {
+  logger.error(`Request to path ${req.originalUrl} is missing scope ${scope}`);
+  next(new ForbiddenError(`API key is missing the '${scope}' scope`));
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.auth, scope)) return rejectRequest(req, next, scope);
+    next();
+  };
+}
+
+// Signed-in users manage their own API keys; keys and the API token need
+// the 'admin' scope to manage any
+function requireKeyManagement(req, res, next) {
+  if (req.auth.type !== 'user' && !hasScope(req.auth, SCOPES.ADMIN)) {
+    return rejectRequest(req, next, SCOPES.ADMIN);
+  }
+  next();
+}
+
+function requireReadWriteScope(req, res, next) {
+  const scope = READ_METHODS.includes(req.method) ? SCOPES.READ : SCOPES.WRITE;
+  if (!hasScope(req.auth, scope)) return rejectRequest(req, next, scope);
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  READ_METHODS,
+  USER_SCOPES,
+  hasScope,
+  requireScope,
+  requireKeyManagement,
+  requireReadWriteScope
+};
@@ -0,0 +1,99 @@
+/* eslint-disable strict */
+
+const TRACKED_FIELDS = ['title', 'url', 'description', 'rating', 'tags', 'folder_id'];
+
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return field === 'tags' ? [] : null;
+  }
+  return field === 'rating' ? Number(value) : value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getActorColumns = actor => (actor
+  ? {
+    actor_type: actor.type,
+    actor_user_id: actor.user_id || null,
+    actor_key_id: actor.key_id || null,
+  }
+  : { actor_type: 'system', actor_user_id: null, actor_key_id: null }
+);
+
+// Compares two versions of a bookmark field by field; a missing version
+// (before a create) counts as every field being empty.
+function diffBookmarks(before, after) {
+  const diff = { changed_fields: [], old_values: {}, new_values: {} };
+  for (const field of TRACKED_FIELDS) {
+    const oldValue = normalizeValue(field, before && before[field]);
+    const newValue = normalizeValue(field, after && after[field]);
+    if (!isSameValue(oldValue, newValue)) {
+      diff.changed_fields.push(field);
+      diff.old_values[field] = oldValue;
+      diff.new_values[field] = newValue;
+    }
+  }
+  return diff;
+}
+
+const RevisionsService = {
+  TRACKED_FIELDS,
+  getRevisions(knex, bookmarkId, { limit, offset } = {}) {
+    const query = knex
+      .from('bookmark_revisions')
+      .select('*')
+      .where('bookmark_id', bookmarkId)
+      .orderBy('id', 'desc');
+    if (limit) {
+      query.limit(limit);
+    }
+    if (offset) {
+      query.offset(offset);
+    }
+    return query;
+  },
+  countRevisions(knex, bookmarkId) {
+    return knex('bookmark_revisions')
+      .where('bookmark_id', bookmarkId)
+      .count('* as count')
+      .first()
+      .then(row => Number(row.count));
+  },
+  getById(knex, bookmarkId, id) {
+    return knex
+      .from('bookmark_revisions')
+      .select('*')
+      .where({ bookmark_id: bookmarkId, id })
+      .first();
+  },
+  // Records the difference between two versions of a bookmark, skipping
+  // updates that did not change any tracked field.
+  recordChange(knex, { bookmark_id, action, actor, before, after }) {
+    const diff = diffBookmarks(before, after);
+    if (!diff.changed_fields.length) {
+      return Promise.resolve(null);
+    }
+    return knex
+      .insert({ bookmark_id, action, ...getActorColumns(actor), ...diff })
+      .into('bookmark_revisions');
+  },
+  // Records a single field changing on many bookmarks at once, e.g. when a
+  // folder delete moves or trashes its bookmarks.
+  recordFieldChanges(knex, { action, actor, field }, changes) {
+    if (!changes.length) {
+      return Promise.resolve(null);
+    }
+    return knex
+      .insert(changes.map(change => ({
+        bookmark_id: change.bookmark_id,
+        action,
+        ...getActorColumns(actor),
+        changed_fields: [field],
+        old_values: { [field]: change.old_value },
+        new_values: { [field]: change.new_value },
+      })))
+      .into('bookmark_revisions');
+  }
+};
+
+module.exports = RevisionsService;
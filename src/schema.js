@@ -0,0 +1,129 @@
+/* eslint-disable strict */
+const { isWebUri } = require('valid-url');
+const logger = require('./logger');
+
+const NO_ERRORS = null;
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+};
+
+const FORMAT_CHECKS = {
+  uri: value => Boolean(isWebUri(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+};
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+// Checks a present value against its rule. Rules use the OpenAPI schema
+// keywords `type`, `nullable`, `enum`, `minLength`/`maxLength`,
+// `minimum`/`maximum`, `minItems`/`maxItems`, `items`, `pattern` and
+// `format`, plus a `validate(value)` hook returning an error message;
+// `description` finishes the sentence "'field' must be ..." for type, range
+// and format errors.
+function checkField(field, value, rule) {
+  const invalid = code => fieldError(field, code, `'${field}' must be ${rule.description}`);
+
+  if (value === null) {
+    return rule.nullable ? NO_ERRORS : fieldError(field, 'not_nullable', `'${field}' cannot be null`);
+  }
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return invalid('invalid_type');
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return invalid('invalid');
+  }
+  if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+    return fieldError(field, 'too_short', rule.minLength === 1
+      ? `'${field}' must not be empty`
+      : `'${field}' must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fieldError(field, 'too_long', `'${field}' must be at most ${rule.maxLength} characters`);
+  }
+  if ((rule.minimum !== undefined && value < rule.minimum) ||
+        (rule.maximum !== undefined && value > rule.maximum)) {
+    return invalid('out_of_range');
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return invalid('too_short');
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return invalid('too_long');
+  }
+  // A bad item is reported against the whole list
+  if (rule.items) {
+    const itemError = value.map(item => checkField(field, item, rule.items)).find(Boolean);
+    if (itemError) return invalid(itemError.code);
+  }
+  if ((rule.pattern && !new RegExp(rule.pattern).test(value)) ||
+        (rule.format && !FORMAT_CHECKS[rule.format](value))) {
+    return invalid('invalid_format');
+  }
+  if (rule.validate) {
+    const message = rule.validate(value);
+    if (message) return fieldError(field, 'invalid', message);
+  }
+  return NO_ERRORS;
+}
+
+// Lists every problem with `body` at once: missing `required` fields, fields
+// the schema does not know about and values breaking their field's rule.
+function getSchemaErrors(body, schema, { required = [] } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return [fieldError(null, 'invalid_type', 'Request body must be a JSON object')];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (body[field] === undefined) {
+      if (required.includes(field)) {
+        errors.push(fieldError(field, 'required', `'${field}' is required`));
+      }
+      continue;
+    }
+    const error = checkField(field, body[field], rule);
+    if (error) errors.push(error);
+  }
+  for (const field of Object.keys(body)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push(fieldError(field, 'unknown_field', `'${field}' is not a recognized field`));
+    }
+  }
+  return errors;
+}
+
+function makeFieldsError(fields) {
+  const message = fields.map(field => field.message).join('; ');
+  logger.error(`Invalid request body: ${message}`);
+  return { error: { code: 'validation_failed', message, fields } };
+}
+
+function getSchemaValidationError(body, schema, options) {
+  const errors = getSchemaErrors(body, schema, options);
+  return errors.length ? makeFieldsError(errors) : NO_ERRORS;
+}
+
+// Describes a request body made of `schema`'s fields as an OpenAPI schema.
+// The field rules are used as they are; `validate` hooks are functions, so
+// they drop out when the document is serialized.
+function toObjectSchema(schema, { required = [] } = {}) {
+  return {
+    type: 'object',
+    properties: schema,
+    ...(required.length ? { required } : {}),
+    additionalProperties: false,
+  };
+}
+
+module.exports = {
+  fieldError,
+  makeFieldsError,
+  getSchemaErrors,
+  getSchemaValidationError,
+  toObjectSchema
+};
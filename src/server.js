@@ -1,8 +1,91 @@
 /* eslint-disable strict */
-
+const knex = require('knex');
 const app = require('./app');
-const { PORT } = require('./config');
+const { createLinkChecker } = require('./link-checks/link-checker');
+const { createTrashPurger } = require('./trash/trash-purger');
+const { createWebhookDeliverer } = require('./webhooks/webhook-deliverer');
+const { createEventStream } = require('./events/event-stream');
+const { createMemoryStore } = require('./rate-limit/memory-store');
+const { createPostgresStore } = require('./rate-limit/postgres-store');
+const { createMemoryStorage } = require('./storage/memory-storage');
+const { createPostgresStorage } = require('./storage/postgres-storage');
+const { backfillCanonicalUrls } = require('./bookmarks/backfill-canonical-urls');
+const {
+  PORT,
+  DB_URL,
+  JWT_SECRET,
+  LINK_CHECK_INTERVAL,
+  LINK_CHECK_HOST_DELAY,
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_INTERVAL,
+  WEBHOOK_DELIVERY_INTERVAL,
+  RATE_LIMIT_STORE
+} = require('./config');
+
+function startBackgroundJobs(db) {
+  const eventStream = createEventStream(db);
+  eventStream.start();
+  app.set('eventStream', eventStream);
+
+  if (LINK_CHECK_INTERVAL > 0) {
+    createLinkChecker(db, {
+      interval: LINK_CHECK_INTERVAL,
+      hostDelay: LINK_CHECK_HOST_DELAY
+    }).start();
+  }
+
+  if (TRASH_PURGE_INTERVAL > 0) {
+    createTrashPurger(db, {
+      retentionDays: TRASH_RETENTION_DAYS,
+      interval: TRASH_PURGE_INTERVAL
+    }).start();
+  }
+
+  if (WEBHOOK_DELIVERY_INTERVAL > 0) {
+    createWebhookDeliverer(db, { interval: WEBHOOK_DELIVERY_INTERVAL }).start();
+  }
+}
+
+const db = DB_URL && knex({
+  client: 'pg',
+  connection: DB_URL,
+});
+
+// Users only exist with a database, and so only then are JWTs signed
+if (db && !JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set');
+}
+
+if (db) {
+  app.set('db', db);
+  app.set('bookmarkStorage', createPostgresStorage(db));
+  startBackgroundJobs(db);
+} else {
+  console.log('DB_URL is not set; keeping bookmarks in memory');
+  app.set('bookmarkStorage', createMemoryStorage());
+}
+
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryStore(),
+  postgres: () => {
+    if (!db) throw new Error('RATE_LIMIT_STORE=postgres needs DB_URL to be set');
+    return createPostgresStore(db);
+  },
+  none: () => null
+};
+app.set('rateLimitStore', RATE_LIMIT_STORES[RATE_LIMIT_STORE]());
+
+// Bookmarks saved before canonical URLs existed get theirs before any
+// request can look for duplicates
+const ready = db ? backfillCanonicalUrls(db) : Promise.resolve();
 
-app.listen(PORT, () => {
-  console.log(`Server listening at http://localhost:${PORT}`);
-});
\ No newline at end of file
+ready
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server listening at http://localhost:${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
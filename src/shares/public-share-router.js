@@ -0,0 +1,71 @@
+/* eslint-disable strict */
+const express = require('express');
+const SharesService = require('./shares-service');
+const FoldersService = require('../folders/folders-service');
+const logger = require('../logger');
+const { renderSharePage } = require('./share-page');
+const { NotFoundError } = require('../errors');
+
+const publicShareRouter = express.Router();
+
+// Only what the owner chose to show; ids, ratings and fetched metadata stay
+// private
+const serializeSharedBookmark = bookmark => ({
+  title: bookmark.title,
+  url: bookmark.url,
+  description: bookmark.description || '',
+  tags: bookmark.tags || [],
+  created_at: bookmark.created_at,
+});
+
+function getShareTitle(knex, share, bookmarks) {
+  if (share.bookmark_id) return Promise.resolve(bookmarks[0].title);
+  return (share.folder_id ? FoldersService.getById(knex, share.folder_id, share.user_id) : Promise.resolve(null))
+    .then(folder => [
+      'Bookmarks',
+      share.tag && `tagged '${share.tag}'`,
+      folder && `in ${folder.name}`,
+    ].filter(Boolean).join(' '));
+}
+
+publicShareRouter
+  .route('/:token')
+  .get((req, res, next) => {
+    const knexInstance = req.app.get('db');
+
+    SharesService.getLiveShare(knexInstance, req.params.token)
+      .then(share => {
+        if (!share) {
+          logger.error('Share link not found, expired or revoked.');
+          throw new NotFoundError('Share Link Not Found');
+        }
+        return SharesService.getSharedBookmarks(knexInstance, share)
+          .then(bookmarks => {
+            if (share.bookmark_id && !bookmarks.length) {
+              logger.error(`Shared bookmark with id ${share.bookmark_id} is no longer available.`);
+              throw new NotFoundError('Share Link Not Found');
+            }
+            // Only views that show something count
+            return SharesService.countView(knexInstance, share.id)
+              .then(() => getShareTitle(knexInstance, share, bookmarks))
+              .then(title => ({
+                type: share.bookmark_id ? 'bookmark' : 'collection',
+                title,
+                bookmarks: bookmarks.map(serializeSharedBookmark),
+                expires_at: share.expires_at,
+              }));
+          });
+      })
+      .then(shared => {
+        // Revoking a link has to take effect straight away
+        res.set('Cache-Control', 'no-store');
+        res.format({
+          json: () => res.json(shared),
+          html: () => res.send(renderSharePage(shared)),
+          default: () => res.json(shared),
+        });
+      })
+      .catch(next);
+  });
+
+module.exports = publicShareRouter;
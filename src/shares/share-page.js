@@ -0,0 +1,40 @@
+/* eslint-disable strict */
+const { escapeHtml } = require('../bookmarks/netscape');
+
+const renderBookmark = bookmark => {
+  const lines = [
+    '    <li>',
+    `      <a href="${escapeHtml(bookmark.url)}" rel="nofollow noopener">${escapeHtml(bookmark.title)}</a>`,
+  ];
+  if (bookmark.description) {
+    lines.push(`      <p>${escapeHtml(bookmark.description)}</p>`);
+  }
+  if (bookmark.tags.length) {
+    lines.push(`      <p>${bookmark.tags.map(escapeHtml).join(', ')}</p>`);
+  }
+  lines.push('    </li>');
+  return lines.join('\n');
+};
+
+// A plain page for people opening a share link in a browser
+function renderSharePage({ title, bookmarks }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <ul>
+${bookmarks.map(renderBookmark).join('\n')}
+  </ul>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderSharePage
+};
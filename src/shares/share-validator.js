@@ -0,0 +1,75 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+const BookmarksService = require('../bookmarks/bookmarks-service');
+const { MAX_TAG_LENGTH } = require('../tags/tag-validator');
+const { fieldError, makeFieldsError } = require('../schema');
+
+const NO_ERRORS = null;
+
+const SHARE_SCHEMA = {
+  bookmark_id: {
+    type: 'integer',
+    minimum: 1,
+    description: 'a bookmark id'
+  },
+  tag: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_TAG_LENGTH,
+    description: `a non-empty string of at most ${MAX_TAG_LENGTH} characters`
+  },
+  folder_id: {
+    type: 'integer',
+    minimum: 1,
+    description: 'a folder id'
+  },
+  expires_at: {
+    type: 'string',
+    nullable: true,
+    format: 'date-time',
+    description: 'a timestamp in the future'
+  },
+};
+
+// Field rules are checked against the OpenAPI document before this runs
+function getShareValidationError({ bookmark_id, tag, folder_id, expires_at }) {
+  const sharesCollection = tag !== undefined || folder_id !== undefined;
+  if ((bookmark_id !== undefined) === sharesCollection) {
+    return makeFieldsError([fieldError(
+      null,
+      'invalid',
+      'Request body must contain either \'bookmark_id\', or \'tag\' and/or \'folder_id\''
+    )]);
+  }
+
+  if (expires_at && !(new Date(expires_at) > new Date())) {
+    return makeFieldsError([fieldError(
+      'expires_at',
+      'invalid',
+      '\'expires_at\' must be a timestamp in the future'
+    )]);
+  }
+
+  return NO_ERRORS;
+}
+
+function getBookmarkReferenceError(knex, bookmarkId, userId) {
+  if (!bookmarkId) return Promise.resolve(NO_ERRORS);
+  return BookmarksService.getById(knex, bookmarkId, userId)
+    .then(bookmark => {
+      // The API token can read every bookmark but shares only unowned ones
+      if (bookmark && bookmark.user_id === (userId || null)) return NO_ERRORS;
+      logger.error(`Bookmark with id ${bookmarkId} not found.`);
+      return makeFieldsError([fieldError(
+        'bookmark_id',
+        'not_found',
+        '\'bookmark_id\' must reference an existing bookmark'
+      )]);
+    });
+}
+
+module.exports = {
+  SHARE_SCHEMA,
+  getShareValidationError,
+  getBookmarkReferenceError
+};
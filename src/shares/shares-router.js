@@ -0,0 +1,111 @@
+/* eslint-disable strict */
+const path = require('path');
+const express = require('express');
+const xss = require('xss');
+const SharesService = require('./shares-service');
+const logger = require('../logger');
+const { getShareValidationError, getBookmarkReferenceError } = require('./share-validator');
+const { getFolderReferenceError } = require('../bookmarks/bookmark-validator');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { toValidationError, NotFoundError } = require('../errors');
+
+const sharesRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeShare = share => ({
+  id: share.id,
+  prefix: share.prefix,
+  bookmark_id: share.bookmark_id,
+  tag: share.tag && xss(share.tag),
+  folder_id: share.folder_id,
+  view_count: share.view_count,
+  last_viewed_at: share.last_viewed_at,
+  expires_at: share.expires_at,
+  revoked_at: share.revoked_at,
+  created_at: share.created_at,
+});
+
+sharesRouter
+  .route('/')
+  .get((req, res, next) => {
+    SharesService.getAllShares(req.app.get('db'), req.auth.user_id)
+      .then(shares => {
+        res.json(shares.map(serializeShare));
+      })
+      .catch(next);
+  })
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { bookmark_id, tag, folder_id, expires_at = null } = req.body;
+
+    const error = getShareValidationError({ bookmark_id, tag, folder_id, expires_at });
+
+    if (error) return next(toValidationError(error));
+
+    const knexInstance = req.app.get('db');
+
+    Promise.all([
+      getBookmarkReferenceError(knexInstance, bookmark_id, req.auth.user_id),
+      getFolderReferenceError(knexInstance, folder_id, req.auth.user_id)
+    ])
+      .then(([bookmarkError, folderError]) => {
+        if (bookmarkError || folderError) {
+          throw toValidationError(bookmarkError || folderError);
+        }
+
+        const token = SharesService.generateToken();
+        const newShare = {
+          prefix: token.slice(0, 12),
+          token_hash: SharesService.hashToken(token),
+          user_id: req.auth.user_id,
+          bookmark_id,
+          tag: tag && tag.trim(),
+          folder_id,
+          expires_at,
+        };
+
+        return SharesService.insertShare(knexInstance, newShare)
+          .then(share => {
+            logger.info(`Share link with id ${share.id} created.`);
+            // Like API keys, the token is only ever returned here
+            res
+              .status(201)
+              .location(path.posix.join(req.originalUrl, `/${share.id}`))
+              .json({
+                ...serializeShare(share),
+                token,
+                url: `${req.protocol}://${req.get('host')}/s/${token}`,
+              });
+          });
+      })
+      .catch(next);
+  });
+
+sharesRouter
+  .route('/:share_id')
+  .all((req, res, next) => {
+    const { share_id } = req.params;
+    SharesService.getById(req.app.get('db'), share_id, req.auth.user_id)
+      .then(share => {
+        if (!share) {
+          logger.error(`Share link with id ${share_id} not found.`);
+          throw new NotFoundError('Share Link Not Found');
+        }
+        res.share = share;
+        next();
+      })
+      .catch(next);
+  })
+  .get((req, res) => {
+    res.json(serializeShare(res.share));
+  })
+  .delete((req, res, next) => {
+    const { share_id } = req.params;
+    SharesService.revokeShare(req.app.get('db'), share_id)
+      .then(() => {
+        logger.info(`Share link with id ${share_id} revoked`);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+module.exports = sharesRouter;
@@ -0,0 +1,91 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+const BookmarksService = require('../bookmarks/bookmarks-service');
+
+const TOKEN_PREFIX = 'shr_';
+const MAX_SHARED_BOOKMARKS = 500;
+
+// The owner filter is skipped for a null user_id, but links made with the API
+// token belong to no user and must only show bookmarks that belong to no one
+const whereSharedBy = (query, share) => (share.user_id
+  ? query
+  : query.whereNull('bookmarks.user_id'));
+
+const SharesService = {
+  generateToken() {
+    return `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  },
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+  getAllShares(knex, userId) {
+    const query = knex.from('share_links').select('*').orderBy('id');
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query;
+  },
+  getById(knex, id, userId) {
+    const query = knex.from('share_links').select('*').where('id', id);
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query.first();
+  },
+  // Finds a link by its token unless it is revoked or expired
+  getLiveShare(knex, token) {
+    return knex('share_links')
+      .where('token_hash', SharesService.hashToken(token))
+      .whereNull('revoked_at')
+      .where(builder => builder
+        .whereNull('expires_at')
+        .orWhere('expires_at', '>', knex.fn.now())
+      )
+      .first();
+  },
+  countView(knex, id) {
+    return knex('share_links')
+      .where({ id })
+      .update({
+        view_count: knex.raw('view_count + 1'),
+        last_viewed_at: knex.fn.now(),
+      });
+  },
+  // A bookmark shared on its own stays visible only while it is not trashed
+  getSharedBookmarks(knex, share) {
+    const filters = { user_id: share.user_id };
+    if (share.bookmark_id) {
+      return BookmarksService.getAllBookmarks(knex, { filters })
+        .modify(whereSharedBy, share)
+        .where('bookmarks.id', share.bookmark_id);
+    }
+    return BookmarksService.getAllBookmarks(knex, {
+      filters: {
+        ...filters,
+        tags: share.tag ? [share.tag] : undefined,
+        folder_id: share.folder_id,
+      },
+      sort: 'created_at',
+      order: 'desc',
+      limit: MAX_SHARED_BOOKMARKS,
+    })
+      .modify(whereSharedBy, share);
+  },
+  insertShare(knex, newShare) {
+    return knex
+      .insert(newShare)
+      .into('share_links')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  revokeShare(knex, id) {
+    return knex('share_links')
+      .where({ id })
+      .whereNull('revoked_at')
+      .update({ revoked_at: knex.fn.now() });
+  }
+};
+
+module.exports = SharesService;
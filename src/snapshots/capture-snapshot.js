@@ -0,0 +1,36 @@
+/* eslint-disable strict */
+const SnapshotsService = require('./snapshots-service');
+const logger = require('../logger');
+const { extractArticle } = require('./extract-article');
+const { extractMetadata } = require('../metadata/extract-metadata');
+const { BadGatewayError } = require('../errors');
+
+// Articles run past the <head> that metadata needs, so snapshots fetch more
+const MAX_SNAPSHOT_BYTES = 2 * 1024 * 1024;
+
+// Fetches the bookmark's page with the app's 'fetchPage' and stores its
+// readable text. Why a fetch failed is only logged: passing socket errors on
+// would let users probe hosts the server can reach.
+function captureSnapshot(knex, fetchPage, bookmark) {
+  return fetchPage(bookmark.url, { maxBytes: MAX_SNAPSHOT_BYTES })
+    .then(page => ({ page, text: extractArticle(page.html) }), error => {
+      logger.error(`Could not fetch ${bookmark.url} for a snapshot: ${error.message}`);
+      throw new BadGatewayError('Could not fetch the page for a snapshot');
+    })
+    .then(({ page, text }) => {
+      if (!text) {
+        logger.error(`No readable text found at ${page.url}`);
+        throw new BadGatewayError('The page has no readable text');
+      }
+      return SnapshotsService.insertSnapshot(knex, {
+        bookmark_id: bookmark.id,
+        url: page.url,
+        title: extractMetadata(page.html, page.url).title,
+        text,
+      });
+    });
+}
+
+module.exports = {
+  captureSnapshot
+};
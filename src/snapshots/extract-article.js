@@ -0,0 +1,67 @@
+/* eslint-disable strict */
+const { Parser } = require('htmlparser2');
+
+// Page furniture that is never part of what someone meant to keep
+const SKIPPED_TAGS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe',
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'select',
+]);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+  'section', 'table', 'td', 'th', 'tr', 'ul',
+]);
+
+const collapseWhitespace = text => text.replace(/\s+/g, ' ').trim();
+
+// Reduces a page to its readable text, a paragraph per block. Text inside
+// <article> wins, then <main>, then the whole body.
+function extractArticle(html) {
+  const blocks = [];
+  const open = { article: 0, main: 0 };
+  let skipped = 0;
+  let text = '';
+
+  const endBlock = () => {
+    const block = collapseWhitespace(text);
+    if (block) {
+      blocks.push({ text: block, inArticle: open.article > 0, inMain: open.main > 0 });
+    }
+    text = '';
+  };
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (SKIPPED_TAGS.has(name)) {
+        skipped++;
+      } else if (!skipped && BLOCK_TAGS.has(name)) {
+        endBlock();
+      }
+      if (name in open) open[name]++;
+    },
+    ontext(chunk) {
+      if (!skipped) text += chunk;
+    },
+    onclosetag(name) {
+      if (SKIPPED_TAGS.has(name)) {
+        skipped = Math.max(skipped - 1, 0);
+      } else if (!skipped && BLOCK_TAGS.has(name)) {
+        endBlock();
+      }
+      if (name in open) open[name] = Math.max(open[name] - 1, 0);
+    },
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  endBlock();
+
+  const article = blocks.filter(block => block.inArticle);
+  const main = blocks.filter(block => block.inMain);
+  const chosen = [article, main, blocks].find(candidates => candidates.length);
+  return (chosen || []).map(block => block.text).join('\n\n');
+}
+
+module.exports = {
+  extractArticle
+};
@@ -0,0 +1,64 @@
+/* eslint-disable strict */
+const util = require('util');
+const zlib = require('zlib');
+
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+// Postgres caps a tsvector at 1MB, so very long articles are only indexed
+// as far as this
+const MAX_INDEXED_LENGTH = 100 * 1000;
+
+const withText = snapshot => gunzip(snapshot.content)
+  .then(content => ({
+    id: snapshot.id,
+    bookmark_id: snapshot.bookmark_id,
+    url: snapshot.url,
+    title: snapshot.title,
+    text: content.toString('utf8'),
+    captured_at: snapshot.captured_at,
+  }));
+
+const SnapshotsService = {
+  getSnapshots(knex, bookmarkId, { limit, offset } = {}) {
+    const query = knex
+      .from('bookmark_snapshots')
+      .select('*')
+      .where('bookmark_id', bookmarkId)
+      .orderBy('id', 'desc');
+    if (limit) {
+      query.limit(limit);
+    }
+    if (offset) {
+      query.offset(offset);
+    }
+    return query.then(snapshots => Promise.all(snapshots.map(withText)));
+  },
+  countSnapshots(knex, bookmarkId) {
+    return knex('bookmark_snapshots')
+      .where('bookmark_id', bookmarkId)
+      .count('* as count')
+      .first()
+      .then(row => Number(row.count));
+  },
+  insertSnapshot(knex, { bookmark_id, url, title, text }) {
+    return gzip(text)
+      .then(content => knex
+        .insert({
+          bookmark_id,
+          url,
+          title,
+          content,
+          content_length: text.length,
+          search_vector: knex.raw(
+            'to_tsvector(\'english\', concat_ws(\' \', ?::text, ?::text))',
+            [title, text.slice(0, MAX_INDEXED_LENGTH)]
+          ),
+        })
+        .into('bookmark_snapshots')
+        .returning('*'))
+      .then(rows => withText(rows[0]));
+  }
+};
+
+module.exports = SnapshotsService;
@@ -0,0 +1,195 @@
+/* eslint-disable strict */
+const { canonicalizeUrl } = require('../bookmarks/canonical-url');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOST_PATTERN = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\/([^/:?#]+)/;
+
+const getHost = url => {
+  const match = HOST_PATTERN.exec(url);
+  return match && match[1].toLowerCase();
+};
+
+const INTEGER_PATTERN = /^\s*[-+]?\d+\s*$/;
+const MAX_INTEGER = 2 ** 31 - 1;
+
+// Sorts the way Postgres does, with nulls after every value and text in
+// the locale's order, as a database with a language collation sorts it
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+}
+
+// Fails with the error Postgres raises for an id that is not an integer
+// column's value, so both storages respond alike
+function getIdError(id) {
+  if (!INTEGER_PATTERN.test(id)) {
+    return Object.assign(new Error(`invalid input syntax for type integer: "${id}"`), { code: '22P02' });
+  }
+  if (Math.abs(Number(id)) > MAX_INTEGER) {
+    return Object.assign(new Error(`value "${id}" is out of range for type integer`), { code: '22003' });
+  }
+  return null;
+}
+
+// Keeps bookmarks in this process only, for running the server and tests
+// without Postgres. Nothing is kept between restarts, writes record no
+// history or events, and there are no folders or link checks.
+function createMemoryStorage({ now = Date.now } = {}) {
+  const bookmarks = new Map();
+  // Tags are shared between bookmarks and matched regardless of case
+  const tagNames = new Map();
+  let nextId = 1;
+
+  const toBookmark = bookmark => ({
+    ...bookmark,
+    tags: [...bookmark.tags].sort((a, b) => compareValues(a.toLowerCase(), b.toLowerCase())),
+    health: null,
+  });
+
+  function setTags(bookmark, names) {
+    bookmark.tags = names.map(name => {
+      const key = name.toLowerCase();
+      if (!tagNames.has(key)) {
+        tagNames.set(key, name);
+      }
+      return tagNames.get(key);
+    });
+  }
+
+  function matchesFilters(bookmark, filters = {}) {
+    const {
+      user_id, min_rating, max_rating, host, tags, tag_mode, folder_id, status, stale, deleted
+    } = filters;
+    const bookmarkTags = bookmark.tags.map(tag => tag.toLowerCase());
+    const hasTag = tag => bookmarkTags.includes(tag.toLowerCase());
+    const bookmarkHost = getHost(bookmark.url);
+
+    return [
+      Boolean(deleted) === Boolean(bookmark.deleted_at),
+      !user_id || bookmark.user_id === user_id,
+      !folder_id || bookmark.folder_id === folder_id,
+      !min_rating || bookmark.rating >= min_rating,
+      !max_rating || bookmark.rating <= max_rating,
+      !host || (Boolean(bookmarkHost) &&
+        (bookmarkHost === host.toLowerCase() || bookmarkHost.endsWith(`.${host.toLowerCase()}`))),
+      !tags || !tags.length || (tag_mode === 'all' ? tags.every(hasTag) : tags.some(hasTag)),
+      !stale || (bookmark.last_visited_at || bookmark.created_at) < new Date(now() - stale * DAY),
+      // Links are never checked here
+      !status || status === 'unchecked',
+    ].every(Boolean);
+  }
+
+  const findBookmarks = filters => [...bookmarks.values()]
+    .filter(bookmark => matchesFilters(bookmark, filters));
+
+  const isAtVersion = (id, version) => {
+    const bookmark = bookmarks.get(Number(id));
+    return Boolean(bookmark) && (version === undefined || bookmark.version === version);
+  };
+
+  const storage = {
+    getAllBookmarks({ filters, sort, order = 'asc', limit, offset } = {}) {
+      const sortKeys = sort === 'popular'
+        ? ['visit_count', 'last_visited_at', 'id']
+        : [sort, 'id'].filter(Boolean);
+      const direction = order === 'desc' ? -1 : 1;
+      const sorted = findBookmarks(filters).sort((a, b) => {
+        for (const key of sortKeys) {
+          const comparison = compareValues(a[key], b[key]);
+          if (comparison) return comparison * direction;
+        }
+        return 0;
+      });
+      const start = offset || 0;
+      return Promise.resolve(sorted
+        .slice(start, limit ? start + limit : undefined)
+        .map(toBookmark));
+    },
+    countBookmarks(filters) {
+      return Promise.resolve(findBookmarks(filters).length);
+    },
+    getById(id, userId) {
+      const error = getIdError(id);
+      if (error) return Promise.reject(error);
+
+      const bookmark = bookmarks.get(Number(id));
+      return Promise.resolve(bookmark && matchesFilters(bookmark, { user_id: userId })
+        ? toBookmark(bookmark)
+        : undefined);
+    },
+    findDuplicate(url, userId) {
+      const canonicalUrl = canonicalizeUrl(url);
+      const duplicate = [...bookmarks.values()].find(bookmark => !bookmark.deleted_at &&
+        bookmark.user_id === (userId || null) &&
+        bookmark.canonical_url === canonicalUrl);
+      return Promise.resolve(duplicate && { id: duplicate.id });
+    },
+    insertBookmark({ tags = [], ...newBookmark }) {
+      const bookmark = {
+        id: nextId++,
+        title: newBookmark.title,
+        url: newBookmark.url,
+        description: newBookmark.description === undefined ? null : newBookmark.description,
+        rating: newBookmark.rating,
+        user_id: newBookmark.user_id || null,
+        folder_id: newBookmark.folder_id || null,
+        metadata: newBookmark.metadata || null,
+        canonical_url: canonicalizeUrl(newBookmark.url),
+        created_at: new Date(now()),
+        deleted_at: null,
+        version: 1,
+        visit_count: 0,
+        last_visited_at: null,
+      };
+      setTags(bookmark, tags);
+      bookmarks.set(bookmark.id, bookmark);
+      return storage.getById(bookmark.id);
+    },
+    // Resolves to the updated bookmark, or null when a `version` is given and
+    // the bookmark has moved past it.
+    updateBookmark(id, { tags, ...newBookmarkFields }, { version } = {}) {
+      if (!isAtVersion(id, version)) return Promise.resolve(null);
+
+      const bookmark = bookmarks.get(Number(id));
+      for (const [field, value] of Object.entries(newBookmarkFields)) {
+        if (value !== undefined) {
+          bookmark[field] = value;
+        }
+      }
+      if (newBookmarkFields.url) {
+        bookmark.canonical_url = canonicalizeUrl(newBookmarkFields.url);
+      }
+      if (tags) {
+        setTags(bookmark, tags);
+      }
+      bookmark.version += 1;
+      return storage.getById(id);
+    },
+    // Moves the bookmark to the trash; resolves to false when a `version` is
+    // given and the bookmark has moved past it.
+    deleteBookmark(id, { version } = {}) {
+      if (!isAtVersion(id, version)) return Promise.resolve(false);
+
+      const bookmark = bookmarks.get(Number(id));
+      bookmark.deleted_at = new Date(now());
+      bookmark.version += 1;
+      return Promise.resolve(true);
+    },
+    recordVisit(id) {
+      const bookmark = bookmarks.get(Number(id));
+      bookmark.visit_count += 1;
+      bookmark.last_visited_at = new Date(now());
+      return storage.getById(id);
+    },
+    getFolderById() {
+      return Promise.resolve(undefined);
+    },
+  };
+
+  return storage;
+}
+
+module.exports = { createMemoryStorage };
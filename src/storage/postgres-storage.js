@@ -0,0 +1,21 @@
+/* eslint-disable strict */
+const BookmarksService = require('../bookmarks/bookmarks-service');
+const FoldersService = require('../folders/folders-service');
+
+// Keeps bookmarks in Postgres, where writes also record revisions and
+// events for webhooks and the event stream
+function createPostgresStorage(knex) {
+  return {
+    getAllBookmarks: options => BookmarksService.getAllBookmarks(knex, options),
+    countBookmarks: filters => BookmarksService.countBookmarks(knex, filters),
+    getById: (id, userId) => BookmarksService.getById(knex, id, userId),
+    findDuplicate: (url, userId) => BookmarksService.findDuplicate(knex, url, userId),
+    insertBookmark: (bookmark, options) => BookmarksService.insertBookmark(knex, bookmark, options),
+    updateBookmark: (id, fields, options) => BookmarksService.updateBookmark(knex, id, fields, options),
+    deleteBookmark: (id, options) => BookmarksService.deleteBookmark(knex, id, options),
+    recordVisit: id => BookmarksService.recordVisit(knex, id),
+    getFolderById: (id, userId) => FoldersService.getById(knex, id, userId),
+  };
+}
+
+module.exports = { createPostgresStorage };
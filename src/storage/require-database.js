@@ -0,0 +1,14 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+const { ServiceUnavailableError } = require('../errors');
+
+// Only bookmarks themselves can be kept in memory; everything else needs the
+// app's 'db'
+function requireDatabase(req, res, next) {
+  if (req.app.get('db')) return next();
+
+  logger.error(`${req.method} ${req.originalUrl} needs a database`);
+  next(new ServiceUnavailableError('This feature needs a database; set DB_URL to enable it'));
+}
+
+module.exports = { requireDatabase };
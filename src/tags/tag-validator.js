@@ -0,0 +1,76 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+
+const NO_ERRORS = null;
+
+const MAX_TAG_LENGTH = 50;
+
+const TAG_SCHEMA = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_TAG_LENGTH,
+    description: `a non-empty string of at most ${MAX_TAG_LENGTH} characters`
+  },
+};
+
+const TAG_MERGE_SCHEMA = {
+  source_ids: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'integer' },
+    description: 'a non-empty array of tag ids'
+  },
+};
+
+function getTagNameValidationError(name, field = 'name') {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_TAG_LENGTH) {
+    logger.error(`Invalid tag name ${name} supplied`);
+    return {
+      error: {
+        message: `'${field}' must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+function getTagListValidationError(tags, field = 'tags') {
+  if (!Array.isArray(tags)) {
+    logger.error(`Invalid ${field} ${tags} supplied`);
+    return {
+      error: {
+        message: `'${field}' must be an array of tag names`
+      }
+    };
+  }
+
+  for (const tag of tags) {
+    const error = getTagNameValidationError(tag, field);
+    if (error) return error;
+  }
+
+  return NO_ERRORS;
+}
+
+function normalizeTagNames(tags) {
+  const seen = new Set();
+  return tags
+    .map(tag => tag.trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  TAG_SCHEMA,
+  TAG_MERGE_SCHEMA,
+  getTagNameValidationError,
+  getTagListValidationError,
+  normalizeTagNames
+};
@@ -0,0 +1,171 @@
+/* eslint-disable strict */
+const path = require('path');
+const express = require('express');
+const xss = require('xss');
+const TagsService = require('./tags-service');
+const logger = require('../logger');
+const { getTagNameValidationError } = require('./tag-validator');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const {
+  ValidationError,
+  toValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../errors');
+
+const tagsRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeTag = tag => ({
+  id: tag.id,
+  name: xss(tag.name),
+  bookmark_count: Number(tag.bookmark_count || 0),
+});
+
+const tagNameTaken = name => {
+  logger.error(`Tag with name ${name} already exists.`);
+  return new ConflictError(`Tag '${name}' already exists`);
+};
+
+tagsRouter
+  .route('/')
+  .get((req, res, next) => {
+    TagsService.getAllTags(req.app.get('db'), req.auth.user_id)
+      .then(tags => {
+        res.json(tags.map(serializeTag));
+      })
+      .catch(next);
+  })
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { name } = req.body;
+
+    if (name === undefined) {
+      logger.error('name is required');
+      return next(new ValidationError('\'name\' is required'));
+    }
+
+    const error = getTagNameValidationError(name);
+
+    if (error) return next(toValidationError(error));
+
+    const knexInstance = req.app.get('db');
+    const newTag = { name: name.trim(), user_id: req.auth.user_id };
+
+    TagsService.getByName(knexInstance, newTag.name, newTag.user_id)
+      .then(existingTag => {
+        if (existingTag) throw tagNameTaken(newTag.name);
+
+        return TagsService.insertTag(knexInstance, newTag)
+          .then(tag => {
+            logger.info(`Tag with id ${tag.id} created.`);
+            res
+              .status(201)
+              .location(path.posix.join(req.originalUrl, `/${tag.id}`))
+              .json(serializeTag(tag));
+          });
+      })
+      .catch(next);
+  });
+
+tagsRouter
+  .route('/:tag_id')
+  .all((req, res, next) => {
+    const { tag_id } = req.params;
+    TagsService.getById(req.app.get('db'), tag_id, req.auth.user_id)
+      .then(tag => {
+        if (!tag) {
+          logger.error(`Tag with id ${tag_id} not found.`);
+          throw new NotFoundError('Tag Not Found');
+        }
+        res.tag = tag;
+        next();
+      })
+      .catch(next);
+  })
+  .get((req, res) => {
+    res.json(serializeTag(res.tag));
+  })
+  .delete((req, res, next) => {
+    const { tag_id } = req.params;
+    TagsService.deleteTag(req.app.get('db'), tag_id)
+      .then(() => {
+        logger.info(`Tag with id ${tag_id} deleted`);
+        res.status(204).end();
+      })
+      .catch(next);
+  })
+  .patch(bodyParser, validateRequestBody, (req, res, next) => {
+    const { name } = req.body;
+
+    if (name === undefined) {
+      return next(new ValidationError('Request body must contain \'name\''));
+    }
+
+    const error = getTagNameValidationError(name);
+
+    if (error) return next(toValidationError(error));
+
+    const knexInstance = req.app.get('db');
+    const tagToUpdate = { name: name.trim() };
+
+    TagsService.getByName(knexInstance, tagToUpdate.name, res.tag.user_id)
+      .then(existingTag => {
+        if (existingTag && existingTag.id !== res.tag.id) {
+          throw tagNameTaken(tagToUpdate.name);
+        }
+
+        return TagsService.updateTag(knexInstance, res.tag.id, tagToUpdate)
+          .then(() => {
+            logger.info(`Tag with id ${res.tag.id} renamed to ${tagToUpdate.name}`);
+            res.json(serializeTag({ ...res.tag, ...tagToUpdate }));
+          });
+      })
+      .catch(next);
+  });
+
+tagsRouter
+  .route('/:tag_id/merge')
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { source_ids } = req.body;
+    const targetId = Number(req.params.tag_id);
+
+    if (!Array.isArray(source_ids) || !source_ids.length ||
+          !source_ids.every(Number.isInteger)) {
+      logger.error(`Invalid source_ids ${source_ids} supplied`);
+      return next(new ValidationError('\'source_ids\' must be a non-empty array of tag ids'));
+    }
+
+    if (source_ids.includes(targetId)) {
+      logger.error(`Tag ${targetId} cannot be merged into itself`);
+      return next(new ValidationError('A tag cannot be merged into itself'));
+    }
+
+    const knexInstance = req.app.get('db');
+
+    TagsService.getById(knexInstance, targetId, req.auth.user_id)
+      .then(target => {
+        if (!target) {
+          logger.error(`Tag with id ${targetId} not found.`);
+          throw new NotFoundError('Tag Not Found');
+        }
+
+        // Only the target's owner's tags can be merged into it
+        return TagsService.getByIds(knexInstance, source_ids, target.user_id)
+          .then(sources => {
+            if (sources.length !== new Set(source_ids).size) {
+              logger.error(`Merge sources ${source_ids} not found.`);
+              throw new NotFoundError('Tag Not Found');
+            }
+
+            return TagsService.mergeTags(knexInstance, targetId, source_ids)
+              .then(() => TagsService.getById(knexInstance, targetId, req.auth.user_id))
+              .then(mergedTag => {
+                logger.info(`Tags ${source_ids} merged into tag ${targetId}`);
+                res.json(serializeTag(mergedTag));
+              });
+          });
+      })
+      .catch(next);
+  });
+
+module.exports = tagsRouter;
@@ -0,0 +1,119 @@
+/* eslint-disable strict */
+
+// Tags belong to the owner of the bookmarks they are on; the API token's own
+// tags have no user. Bookmarks in the trash keep their tags but are left
+// out of the counts.
+function selectTags(knex, userId) {
+  const query = knex
+    .select('tags.id', 'tags.name', 'tags.user_id')
+    .count('bookmarks.id as bookmark_count')
+    .from('tags')
+    .leftJoin('bookmark_tags', 'tags.id', 'bookmark_tags.tag_id')
+    .leftJoin('bookmarks', builder => {
+      builder
+        .on('bookmarks.id', 'bookmark_tags.bookmark_id')
+        .andOnNull('bookmarks.deleted_at');
+    })
+    .groupBy('tags.id');
+  if (userId) {
+    query.where('tags.user_id', userId);
+  }
+  return query;
+}
+
+// Unlike selectTags, matches the API token's tags only when there is no
+// user, since names are unique per owner
+function whereOwner(query, userId) {
+  return userId ? query.where('user_id', userId) : query.whereNull('user_id');
+}
+
+// Tag changes alter how the tagged bookmarks read, so their versions move on
+function bumpTaggedBookmarks(knex, tagIds) {
+  return knex('bookmarks')
+    .whereIn('id', knex('bookmark_tags').select('bookmark_id').whereIn('tag_id', tagIds))
+    .increment('version', 1);
+}
+
+const TagsService = {
+  getAllTags(knex, userId) {
+    return selectTags(knex, userId).orderByRaw('lower(tags.name)');
+  },
+  getById(knex, id, userId) {
+    return selectTags(knex, userId).where('tags.id', id).first();
+  },
+  getByName(knex, name, userId) {
+    return whereOwner(knex.from('tags').select('*'), userId)
+      .whereRaw('lower(name) = lower(?)', [name])
+      .first();
+  },
+  getByIds(knex, ids, userId) {
+    return whereOwner(knex.from('tags').select('*'), userId).whereIn('id', ids);
+  },
+  insertTag(knex, newTag) {
+    return knex
+      .insert(newTag)
+      .into('tags')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  updateTag(knex, id, newTagFields) {
+    return knex.transaction(trx => {
+      return trx('tags')
+        .where({ id })
+        .update(newTagFields)
+        .then(numRowsAffected => bumpTaggedBookmarks(trx, [id]).then(() => numRowsAffected));
+    });
+  },
+  deleteTag(knex, id) {
+    return knex.transaction(trx => {
+      return bumpTaggedBookmarks(trx, [id])
+        .then(() => trx('tags').where({ id }).delete());
+    });
+  },
+  mergeTags(knex, targetId, sourceIds) {
+    return knex.transaction(trx => {
+      return trx
+        .raw(
+          `INSERT INTO bookmark_tags (bookmark_id, tag_id)
+            SELECT DISTINCT bookmark_id, ?::integer FROM bookmark_tags WHERE tag_id = ANY(?)
+            ON CONFLICT DO NOTHING`,
+          [targetId, sourceIds]
+        )
+        .then(() => bumpTaggedBookmarks(trx, sourceIds))
+        .then(() => trx('tags').whereIn('id', sourceIds).delete());
+    });
+  },
+  findOrCreateTags(knex, names, userId) {
+    if (!names.length) {
+      return Promise.resolve([]);
+    }
+    return knex
+      .raw(
+        `INSERT INTO tags (name, user_id)
+          SELECT unnest(?::text[]), ?::integer
+          ON CONFLICT (COALESCE(user_id, 0), lower(name)) DO NOTHING`,
+        [names, userId || null]
+      )
+      .then(() => whereOwner(knex.from('tags').select('*'), userId)
+        .whereIn(knex.raw('lower(name)'), names.map(name => name.toLowerCase()))
+      );
+  },
+  // Tags the bookmark with `userId`'s tags, its owner's
+  setBookmarkTags(knex, bookmarkId, names, userId) {
+    return TagsService.findOrCreateTags(knex, names, userId)
+      .then(tags => knex('bookmark_tags')
+        .where('bookmark_id', bookmarkId)
+        .delete()
+        .then(() => {
+          if (!tags.length) return;
+          return knex
+            .insert(tags.map(tag => ({ bookmark_id: bookmarkId, tag_id: tag.id })))
+            .into('bookmark_tags');
+        })
+      );
+  }
+};
+
+module.exports = TagsService;
@@ -0,0 +1,37 @@
+/* eslint-disable strict */
+const BookmarksService = require('../bookmarks/bookmarks-service');
+const logger = require('../logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Permanently removes bookmarks that have been in the trash for longer than
+// `retentionDays`, checking every `interval` ms once started.
+function createTrashPurger(knex, { retentionDays, interval }) {
+  let timer = null;
+
+  function runOnce() {
+    const deletedBefore = new Date(Date.now() - retentionDays * DAY);
+    return BookmarksService.purgeDeletedBookmarks(knex, { deletedBefore })
+      .then(count => {
+        logger.info(`Purged ${count} bookmarks deleted before ${deletedBefore.toISOString()}`);
+        return count;
+      });
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error(`Trash purge failed: ${error.message}`));
+    }, interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createTrashPurger };
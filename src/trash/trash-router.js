@@ -0,0 +1,96 @@
+/* eslint-disable strict */
+const express = require('express');
+const BookmarksService = require('../bookmarks/bookmarks-service');
+const logger = require('../logger');
+const { getPaginationError } = require('../bookmarks/bookmark-validator');
+const { serializeBookmark } = require('../bookmarks/bookmark-serializer');
+const { getPageOptions, setPaginationHeaders } = require('../pagination');
+const { toValidationError, NotFoundError } = require('../errors');
+
+const trashRouter = express.Router();
+
+const serializeTrashedBookmark = bookmark => ({
+  ...serializeBookmark(bookmark),
+  deleted_at: bookmark.deleted_at,
+});
+
+const findTrashedBookmark = (req, res, next) => {
+  const { bookmark_id } = req.params;
+  BookmarksService.getDeletedById(req.app.get('db'), bookmark_id, req.auth.user_id)
+    .then(bookmark => {
+      if (!bookmark) {
+        logger.error(`Bookmark with id ${bookmark_id} not found in trash.`);
+        throw new NotFoundError('Bookmark Not Found');
+      }
+      res.bookmark = bookmark;
+      next();
+    })
+    .catch(next);
+};
+
+trashRouter
+  .route('/')
+  .get((req, res, next) => {
+    const error = getPaginationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const options = {
+      filters: { user_id: req.auth.user_id, deleted: true },
+      sort: 'deleted_at',
+      order: 'desc',
+      ...getPageOptions(req.query),
+    };
+    const knexInstance = req.app.get('db');
+
+    Promise.all([
+      BookmarksService.getAllBookmarks(knexInstance, options),
+      BookmarksService.countBookmarks(knexInstance, options.filters)
+    ])
+      .then(([bookmarks, total]) => {
+        setPaginationHeaders(req, res, options, total);
+        res.json(bookmarks.map(serializeTrashedBookmark));
+      })
+      .catch(next);
+  })
+  .delete((req, res, next) => {
+    BookmarksService.purgeDeletedBookmarks(req.app.get('db'), { user_id: req.auth.user_id })
+      .then(count => {
+        logger.info(`${count} bookmarks purged from the trash`);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+trashRouter
+  .route('/:bookmark_id')
+  .all(findTrashedBookmark)
+  .get((req, res) => {
+    res.json(serializeTrashedBookmark(res.bookmark));
+  })
+  .delete((req, res, next) => {
+    const { bookmark_id } = req.params;
+    BookmarksService.purgeBookmark(req.app.get('db'), bookmark_id)
+      .then(() => {
+        logger.info(`Bookmark with id ${bookmark_id} purged`);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+trashRouter
+  .route('/:bookmark_id/restore')
+  .all(findTrashedBookmark)
+  .post((req, res, next) => {
+    const { bookmark_id } = req.params;
+    const knexInstance = req.app.get('db');
+    BookmarksService.restoreBookmark(knexInstance, bookmark_id, { actor: req.auth })
+      .then(() => BookmarksService.getById(knexInstance, bookmark_id))
+      .then(bookmark => {
+        logger.info(`Bookmark with id ${bookmark_id} restored`);
+        res.json(serializeBookmark(bookmark));
+      })
+      .catch(next);
+  });
+
+module.exports = trashRouter;
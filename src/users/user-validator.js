@@ -0,0 +1,67 @@
+/* eslint-disable strict */
+const logger = require('../logger');
+
+const NO_ERRORS = null;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything past the 72nd byte
+const MAX_PASSWORD_LENGTH = 72;
+
+const USER_SCHEMA = {
+  username: {
+    type: 'string',
+    pattern: USERNAME_PATTERN.source,
+    description: '3 to 50 letters, digits, dots, dashes or underscores'
+  },
+  password: {
+    type: 'string',
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: MAX_PASSWORD_LENGTH,
+    description: `between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+  },
+};
+
+const LOGIN_SCHEMA = {
+  username: { type: 'string', description: 'a string' },
+  password: { type: 'string', description: 'a string' },
+};
+
+function getUserValidationError({ username, password }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    logger.error(`Invalid username ${username} supplied`);
+    return {
+      error: {
+        message: '\'username\' must be 3 to 50 letters, digits, dots, dashes or underscores'
+      }
+    };
+  }
+
+  if (typeof password !== 'string' ||
+        password.length < MIN_PASSWORD_LENGTH ||
+        Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    logger.error('Invalid password supplied');
+    return {
+      error: {
+        message: `'password' must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+      }
+    };
+  }
+
+  if (password.startsWith(' ') || password.endsWith(' ')) {
+    logger.error('Invalid password supplied');
+    return {
+      error: {
+        message: '\'password\' must not start or end with spaces'
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+module.exports = {
+  USER_SCHEMA,
+  LOGIN_SCHEMA,
+  getUserValidationError
+};
@@ -0,0 +1,56 @@
+/* eslint-disable strict */
+const express = require('express');
+const UsersService = require('./users-service');
+const logger = require('../logger');
+const { getUserValidationError } = require('./user-validator');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { ValidationError, toValidationError } = require('../errors');
+
+const usersRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeUser = user => ({
+  id: user.id,
+  username: user.username,
+  created_at: user.created_at,
+});
+
+usersRouter
+  .route('/')
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { username, password } = req.body;
+
+    for (const [field, value] of Object.entries({ username, password })) {
+      if (!value) {
+        logger.error(`${field} is required`);
+        return next(new ValidationError(`'${field}' is required`));
+      }
+    }
+
+    const error = getUserValidationError({ username, password });
+
+    if (error) return next(toValidationError(error));
+
+    const knexInstance = req.app.get('db');
+
+    UsersService.hasUserWithUsername(knexInstance, username)
+      .then(hasUser => {
+        if (hasUser) {
+          logger.error(`Username ${username} already taken.`);
+          throw new ValidationError('Username already taken');
+        }
+
+        return UsersService.hashPassword(password)
+          .then(hashedPassword => UsersService.insertUser(knexInstance, {
+            username,
+            password: hashedPassword,
+          }))
+          .then(user => {
+            logger.info(`User with id ${user.id} created.`);
+            res.status(201).json(serializeUser(user));
+          });
+      })
+      .catch(next);
+  });
+
+module.exports = usersRouter;
@@ -0,0 +1,25 @@
+/* eslint-disable strict */
+const bcrypt = require('bcryptjs');
+
+const UsersService = {
+  hasUserWithUsername(knex, username) {
+    return knex('users')
+      .where({ username })
+      .first()
+      .then(user => !!user);
+  },
+  insertUser(knex, newUser) {
+    return knex
+      .insert(newUser)
+      .into('users')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  hashPassword(password) {
+    return bcrypt.hash(password, 12);
+  }
+};
+
+module.exports = UsersService;
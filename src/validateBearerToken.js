@@ -1,15 +1,82 @@
 /* eslint-disable strict */
 const logger = require('./logger');
+const AuthService = require('./auth/auth-service');
+const ApiKeysService = require('./api-keys/api-keys-service');
+const { SCOPES, USER_SCOPES } = require('./requireScope');
+const { UnauthorizedError } = require('./errors');
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+function rejectRequest(req, next) {
+  logger.error(`Unauthorized request to path: ${req.path}`);
+  next(new UnauthorizedError());
+}
+
+function authenticateApiKey(req, res, next, key) {
+  const knexInstance = req.app.get('db');
+
+  ApiKeysService.getActiveKeyByHash(knexInstance, ApiKeysService.hashKey(key))
+    .then(apiKey => {
+      if (!apiKey) return rejectRequest(req, next);
+
+      return ApiKeysService.touchKey(knexInstance, apiKey.id)
+        .then(() => {
+          req.auth = {
+            type: 'key',
+            key_id: apiKey.id,
+            user_id: apiKey.user_id,
+            scopes: apiKey.scopes,
+          };
+          next();
+        });
+    })
+    .catch(next);
+}
+
+function authenticateJwt(req, res, next, token) {
+  let payload;
+  try {
+    payload = AuthService.verifyJwt(token);
+  } catch (error) {
+    return rejectRequest(req, next);
+  }
+
+  AuthService.getUserById(req.app.get('db'), payload.user_id)
+    .then(user => {
+      if (!user) return rejectRequest(req, next);
+
+      req.auth = { type: 'user', user_id: user.id, scopes: USER_SCOPES };
+      next();
+    })
+    .catch(next);
+}
 
 function validateBearerToken(req, res, next) {
   const apiToken = process.env.API_TOKEN;
-  const authToken = req.get('Authorization');
-  
-  if (!authToken || authToken.split(' ')[1] !== apiToken) {
-    logger.error(`Unauthorized request to path: ${req.path}`);
-    return res.status(401).json({ error: 'Unauthorized request' });
+  const authToken = req.get('Authorization') || '';
+  const [scheme, token] = authToken.split(' ');
+
+  if (!token || scheme.toLowerCase() !== 'bearer') {
+    return rejectRequest(req, next);
+  }
+
+  // The static API token is the bootstrap admin credential and sees everything
+  if (apiToken && token === apiToken) {
+    req.auth = { type: 'token', user_id: null, scopes: ALL_SCOPES };
+    return next();
   }
-  next();
+
+  // Users and API keys live in the database, so without one nothing else
+  // can match
+  if (!req.app.get('db')) {
+    return rejectRequest(req, next);
+  }
+
+  if (ApiKeysService.isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  authenticateJwt(req, res, next, token);
 }
 
-module.exports = validateBearerToken;
\ No newline at end of file
+module.exports = validateBearerToken;
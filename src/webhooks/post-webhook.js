@@ -0,0 +1,42 @@
+/* eslint-disable strict */
+const http = require('http');
+const https = require('https');
+const { getRequestGuard } = require('../address-guard');
+
+const DEFAULT_TIMEOUT = 10000;
+const USER_AGENT = 'bookmarks-server webhooks';
+
+// Resolves to { status_code, error } rather than rejecting, so that network
+// failures are recorded like any other failed attempt. Private addresses are
+// refused unless `allowPrivateAddresses` is set.
+function postWebhook(url, { body, headers = {}, timeout = DEFAULT_TIMEOUT, allowPrivateAddresses } = {}) {
+  return new Promise(resolve => {
+    let guard;
+    try {
+      guard = getRequestGuard(url, { allowPrivateAddresses });
+    } catch (error) {
+      return resolve({ status_code: null, error: error.message });
+    }
+
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      ...guard,
+      method: 'POST',
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT,
+        ...headers
+      }
+    }, res => {
+      resolve({ status_code: res.statusCode, error: null });
+      res.resume();
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', error => resolve({ status_code: null, error: error.message }));
+    req.end(body);
+  });
+}
+
+module.exports = { postWebhook };
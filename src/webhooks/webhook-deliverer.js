@@ -0,0 +1,99 @@
+/* eslint-disable strict */
+const WebhooksService = require('./webhooks-service');
+const { postWebhook } = require('./post-webhook');
+const logger = require('../logger');
+
+const DEFAULT_OPTIONS = {
+  interval: 5000,
+  batchSize: 50,
+  maxAttempts: 8,
+  retryDelay: 30 * 1000,
+  timeout: 10000,
+  postWebhook
+};
+
+const isSuccess = statusCode => statusCode >= 200 && statusCode < 300;
+
+// Sends pending webhook deliveries as signed JSON POSTs. Failed attempts are
+// retried after `retryDelay` ms, doubling each time, until `maxAttempts`.
+// `postWebhook(url, { body, headers, timeout })` can be swapped out; it must
+// resolve to { status_code, error }.
+function createWebhookDeliverer(knex, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let currentRun = null;
+
+  const getNextAttemptAt = attempts => (attempts < config.maxAttempts
+    ? new Date(Date.now() + config.retryDelay * 2 ** (attempts - 1))
+    : null);
+
+  function deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id: delivery.event_id,
+      type: delivery.event_type,
+      created_at: delivery.event_created_at,
+      data: { bookmark: delivery.payload }
+    });
+    const attempts = delivery.attempts + 1;
+
+    return config.postWebhook(delivery.url, {
+      body,
+      timeout: config.timeout,
+      headers: {
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${WebhooksService.sign(delivery.secret, timestamp, body)}`
+      }
+    })
+      .then(({ status_code, error }) => {
+        const delivered = isSuccess(status_code);
+        return WebhooksService.recordAttempt(knex, delivery.id, {
+          delivered,
+          response_status: status_code,
+          error: delivered ? null : error || `Responded with status ${status_code}`,
+          nextAttemptAt: delivered ? null : getNextAttemptAt(attempts)
+        });
+      })
+      .catch(error => {
+        logger.error(`Webhook delivery ${delivery.id} failed: ${error.message}`);
+      });
+  }
+
+  function runOnce() {
+    if (currentRun) return currentRun;
+
+    currentRun = WebhooksService.claimDueDeliveries(knex, {
+      limit: config.batchSize,
+      leaseMs: config.timeout * 2
+    })
+      .then(deliveries => Promise.all(deliveries.map(deliver))
+        .then(() => {
+          logger.info(`Attempted ${deliveries.length} webhook deliveries`);
+          return deliveries.length;
+        }))
+      .finally(() => {
+        currentRun = null;
+      });
+    return currentRun;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error(`Webhook delivery run failed: ${error.message}`));
+    }, config.interval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return currentRun || Promise.resolve();
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createWebhookDeliverer };
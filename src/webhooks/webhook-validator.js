@@ -0,0 +1,86 @@
+/* eslint-disable strict */
+const { isWebUri } = require('valid-url');
+const logger = require('../logger');
+const { isPublicUrl } = require('../address-guard');
+const { fieldError, makeFieldsError } = require('../schema');
+const { EVENT_TYPES } = require('../events/events-service');
+
+const NO_ERRORS = null;
+
+const VALID_EVENTS = Object.values(EVENT_TYPES);
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 200;
+
+const WEBHOOK_SCHEMA = {
+  url: {
+    type: 'string',
+    format: 'uri',
+    description: 'a valid URL'
+  },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: VALID_EVENTS },
+    description: `a non-empty array of ${VALID_EVENTS.join(', ')}`
+  },
+  secret: {
+    type: 'string',
+    minLength: MIN_SECRET_LENGTH,
+    maxLength: MAX_SECRET_LENGTH,
+    description: `a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`
+  },
+};
+
+function getWebhookValidationError({ url, events, secret }) {
+  if (!isWebUri(url)) {
+    logger.error(`Invalid webhook url ${url} supplied`);
+    return {
+      error: {
+        message: '\'url\' must be a valid URL'
+      }
+    };
+  }
+
+  if (!Array.isArray(events) || !events.length ||
+        !events.every(event => VALID_EVENTS.includes(event))) {
+    logger.error(`Invalid webhook events ${events} supplied`);
+    return {
+      error: {
+        message: `'events' must be a non-empty array of ${VALID_EVENTS.join(', ')}`
+      }
+    };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' ||
+        secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH)) {
+    logger.error('Invalid webhook secret supplied');
+    return {
+      error: {
+        message: `'secret' must be a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`
+      }
+    };
+  }
+
+  return NO_ERRORS;
+}
+
+// Deliveries are refused too, but a hook that could never be delivered is
+// better turned away when it is created
+function getWebhookAddressError(url, options) {
+  return isPublicUrl(url, options)
+    .then(isPublic => {
+      if (isPublic) return NO_ERRORS;
+      logger.error(`Webhook url ${url} is on a private address`);
+      return makeFieldsError([fieldError(
+        'url',
+        'invalid',
+        '\'url\' must not point to a private address'
+      )]);
+    });
+}
+
+module.exports = {
+  WEBHOOK_SCHEMA,
+  getWebhookValidationError,
+  getWebhookAddressError
+};
@@ -0,0 +1,140 @@
+/* eslint-disable strict */
+const path = require('path');
+const express = require('express');
+const WebhooksService = require('./webhooks-service');
+const logger = require('../logger');
+const { getWebhookValidationError, getWebhookAddressError } = require('./webhook-validator');
+const { getPaginationError } = require('../bookmarks/bookmark-validator');
+const { getPageOptions, setPaginationHeaders } = require('../pagination');
+const { validateRequestBody } = require('../openapi/validate-request-body');
+const { ValidationError, toValidationError, NotFoundError } = require('../errors');
+
+const webhooksRouter = express.Router();
+const bodyParser = express.json();
+
+const serializeWebhook = webhook => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  user_id: webhook.user_id,
+  created_at: webhook.created_at,
+});
+
+const serializeDelivery = delivery => ({
+  id: delivery.id,
+  event_id: delivery.event_id,
+  event_type: delivery.event_type,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  response_status: delivery.response_status,
+  error: delivery.error,
+  last_attempt_at: delivery.last_attempt_at,
+  next_attempt_at: delivery.next_attempt_at,
+  created_at: delivery.created_at,
+});
+
+webhooksRouter
+  .route('/')
+  .get((req, res, next) => {
+    WebhooksService.getAllWebhooks(req.app.get('db'), req.auth.user_id)
+      .then(webhooks => {
+        res.json(webhooks.map(serializeWebhook));
+      })
+      .catch(next);
+  })
+  .post(bodyParser, validateRequestBody, (req, res, next) => {
+    const { url, events, secret } = req.body;
+
+    for (const [field, value] of Object.entries({ url, events })) {
+      if (value === undefined) {
+        logger.error(`${field} is required`);
+        return next(new ValidationError(`'${field}' is required`));
+      }
+    }
+
+    const error = getWebhookValidationError({ url, events, secret });
+
+    if (error) return next(toValidationError(error));
+
+    const newWebhook = {
+      url,
+      events: [...new Set(events)],
+      secret: secret || WebhooksService.generateSecret(),
+      user_id: req.auth.user_id,
+    };
+
+    getWebhookAddressError(url)
+      .then(addressError => {
+        if (addressError) throw toValidationError(addressError);
+
+        return WebhooksService.insertWebhook(req.app.get('db'), newWebhook)
+          .then(webhook => {
+            logger.info(`Webhook with id ${webhook.id} created.`);
+            // The secret is only ever returned here
+            res
+              .status(201)
+              .location(path.posix.join(req.originalUrl, `/${webhook.id}`))
+              .json({ ...serializeWebhook(webhook), secret: webhook.secret });
+          });
+      })
+      .catch(next);
+  });
+
+webhooksRouter
+  .route('/:webhook_id')
+  .all((req, res, next) => {
+    const { webhook_id } = req.params;
+    WebhooksService.getById(req.app.get('db'), webhook_id, req.auth.user_id)
+      .then(webhook => {
+        if (!webhook) {
+          logger.error(`Webhook with id ${webhook_id} not found.`);
+          throw new NotFoundError('Webhook Not Found');
+        }
+        res.webhook = webhook;
+        next();
+      })
+      .catch(next);
+  })
+  .get((req, res) => {
+    res.json(serializeWebhook(res.webhook));
+  })
+  .delete((req, res, next) => {
+    const { webhook_id } = req.params;
+    WebhooksService.deleteWebhook(req.app.get('db'), webhook_id)
+      .then(() => {
+        logger.info(`Webhook with id ${webhook_id} deleted`);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+webhooksRouter
+  .route('/:webhook_id/deliveries')
+  .get((req, res, next) => {
+    const { webhook_id } = req.params;
+    const error = getPaginationError(req.query);
+
+    if (error) return next(toValidationError(error));
+
+    const options = getPageOptions(req.query);
+    const knexInstance = req.app.get('db');
+
+    WebhooksService.getById(knexInstance, webhook_id, req.auth.user_id)
+      .then(webhook => {
+        if (!webhook) {
+          logger.error(`Webhook with id ${webhook_id} not found.`);
+          throw new NotFoundError('Webhook Not Found');
+        }
+        return Promise.all([
+          WebhooksService.getDeliveries(knexInstance, webhook_id, options),
+          WebhooksService.countDeliveries(knexInstance, webhook_id)
+        ])
+          .then(([deliveries, total]) => {
+            setPaginationHeaders(req, res, options, total);
+            res.json(deliveries.map(serializeDelivery));
+          });
+      })
+      .catch(next);
+  });
+
+module.exports = webhooksRouter;
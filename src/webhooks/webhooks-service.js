@@ -0,0 +1,120 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+
+const SECRET_PREFIX = 'whsec_';
+
+const WebhooksService = {
+  generateSecret() {
+    return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  },
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  },
+  getAllWebhooks(knex, userId) {
+    const query = knex.from('webhooks').select('*').orderBy('id');
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query;
+  },
+  getById(knex, id, userId) {
+    const query = knex.from('webhooks').select('*').where('id', id);
+    if (userId) {
+      query.where('user_id', userId);
+    }
+    return query.first();
+  },
+  insertWebhook(knex, newWebhook) {
+    return knex
+      .insert(newWebhook)
+      .into('webhooks')
+      .returning('*')
+      .then(rows => {
+        return rows[0];
+      });
+  },
+  deleteWebhook(knex, id) {
+    return knex('webhooks')
+      .where({ id })
+      .delete();
+  },
+  getDeliveries(knex, webhookId, { limit, offset } = {}) {
+    const query = knex
+      .from('webhook_deliveries')
+      .join('bookmark_events', 'bookmark_events.id', 'webhook_deliveries.event_id')
+      .select('webhook_deliveries.*', 'bookmark_events.type AS event_type')
+      .where('webhook_deliveries.webhook_id', webhookId)
+      .orderBy('webhook_deliveries.id', 'desc');
+    if (limit) {
+      query.limit(limit);
+    }
+    if (offset) {
+      query.offset(offset);
+    }
+    return query;
+  },
+  countDeliveries(knex, webhookId) {
+    return knex('webhook_deliveries')
+      .where('webhook_id', webhookId)
+      .count('* as count')
+      .first()
+      .then(row => Number(row.count));
+  },
+  // Claims up to `limit` due deliveries by pushing their next attempt
+  // `leaseMs` into the future, so that concurrent workers skip them and a
+  // worker that dies mid-delivery only delays them.
+  claimDueDeliveries(knex, { limit, leaseMs }) {
+    return knex
+      .raw(
+        `UPDATE webhook_deliveries
+          SET next_attempt_at = now() + ? * interval '1 millisecond'
+          WHERE id IN (
+            SELECT id FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= now()
+            ORDER BY next_attempt_at, id
+            LIMIT ?
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING id`,
+        [leaseMs, limit]
+      )
+      .then(({ rows }) => knex
+        .from('webhook_deliveries')
+        .join('webhooks', 'webhooks.id', 'webhook_deliveries.webhook_id')
+        .join('bookmark_events', 'bookmark_events.id', 'webhook_deliveries.event_id')
+        .select(
+          'webhook_deliveries.id',
+          'webhook_deliveries.attempts',
+          'webhooks.url',
+          'webhooks.secret',
+          'bookmark_events.id AS event_id',
+          'bookmark_events.type AS event_type',
+          'bookmark_events.payload',
+          'bookmark_events.created_at AS event_created_at'
+        )
+        .whereIn('webhook_deliveries.id', rows.map(row => row.id))
+        .orderBy('webhook_deliveries.id')
+      );
+  },
+  // `nextAttemptAt` of null marks the delivery as having failed for good
+  recordAttempt(knex, id, { delivered, response_status, error, nextAttemptAt }) {
+    let status = 'pending';
+    if (delivered) {
+      status = 'delivered';
+    } else if (!nextAttemptAt) {
+      status = 'failed';
+    }
+    return knex('webhook_deliveries')
+      .where({ id })
+      .update({
+        status,
+        attempts: knex.raw('attempts + 1'),
+        last_attempt_at: knex.fn.now(),
+        next_attempt_at: status === 'pending' ? nextAttemptAt : null,
+        response_status,
+        error
+      });
+  }
+};
+
+module.exports = WebhooksService;
@@ -0,0 +1,26 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const { isPrivateAddress, isPublicUrl } = require('../src/address-guard');
+
+describe('Address guard', () => {
+  it('tells private addresses from public ones', () => {
+    const privateAddresses = [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'
+    ];
+    const publicAddresses = ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700::1111'];
+
+    expect(privateAddresses.filter(address => !isPrivateAddress(address))).to.eql([]);
+    expect(publicAddresses.filter(isPrivateAddress)).to.eql([]);
+  });
+
+  it('checks URLs by the addresses their hosts resolve to', () => {
+    const options = { allowPrivateAddresses: false };
+    return Promise.all([
+      isPublicUrl('http://localhost:8000/hooks', options),
+      isPublicUrl('http://10.0.0.8/hooks', options),
+      isPublicUrl('https://8.8.8.8/hooks', options),
+    ])
+      .then(results => expect(results).to.eql([false, false, true]));
+  });
+});
@@ -0,0 +1,228 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeApiKey } = require('./api-keys.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError,
+  makeFieldsError
+} = require('./test-helpers');
+
+describe('API Keys Endpoints', function() {
+  let db;
+
+  const testUsers = makeUsersArray();
+  const readKey = makeApiKey(1, { scopes: ['bookmarks:read'] });
+  const writeKey = makeApiKey(2, { scopes: ['bookmarks:read', 'bookmarks:write'] });
+  const adminKey = makeApiKey(3, { scopes: ['admin'] });
+  const aliceKey = makeApiKey(4, { scopes: ['bookmarks:read'], user_id: testUsers[0].id });
+  const expiredKey = makeApiKey(5, { expires_at: new Date(Date.now() - 1000) });
+  const revokedKey = makeApiKey(6, { revoked_at: new Date() });
+  const testKeys = [readKey, writeKey, adminKey, aliceKey, expiredKey, revokedKey];
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  beforeEach('insert users, keys and bookmarks', () => {
+    return seedUsers(db, testUsers)
+      .then(() => db.into('api_keys').insert(testKeys.map(({ row }) => row)))
+      .then(() => db.raw(
+        'SELECT setval(pg_get_serial_sequence(\'api_keys\', \'id\'), (SELECT max(id) FROM api_keys))'
+      ))
+      .then(() => db.into('bookmarks').insert(makeBookmarksArray()))
+      .then(() => db('bookmarks').where('id', 1).update({ user_id: testUsers[0].id }));
+  });
+
+  describe('Authenticating with an API key', () => {
+    it('allows reads with the \'bookmarks:read\' scope and records last use', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${readKey.key}`)
+        .expect(200)
+        .expect(res => {
+          expect(res.body).to.have.lengthOf(3);
+        })
+        .then(() => db('api_keys').where('id', 1).first())
+        .then(row => {
+          expect(row.last_used_at).to.be.an.instanceOf(Date);
+        });
+    });
+
+    it('responds with 403 for writes without the \'bookmarks:write\' scope', () => {
+      return supertest(app)
+        .delete('/api/bookmarks/1')
+        .set('Authorization', `Bearer ${readKey.key}`)
+        .expect(expectError(403, {
+          error: { code: 'forbidden', message: 'API key is missing the \'bookmarks:write\' scope' }
+        }));
+    });
+
+    it('allows writes with the \'bookmarks:write\' scope', () => {
+      return supertest(app)
+        .delete('/api/bookmarks/1')
+        .set('Authorization', `Bearer ${writeKey.key}`)
+        .expect(204);
+    });
+
+    it('scopes a key owned by a user to that user\'s bookmarks', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${aliceKey.key}`)
+        .expect(200)
+        .expect(res => {
+          expect(res.body.map(bookmark => bookmark.id)).to.eql([1]);
+        });
+    });
+
+    it('responds with 401 for an expired key', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${expiredKey.key}`)
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+
+    it('responds with 401 for a revoked key', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${revokedKey.key}`)
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+
+    it('responds with 401 for an unknown key', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', 'Bearer bmk_unknown')
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+  });
+
+  describe('GET /api/keys', () => {
+    it('responds with 403 without the \'admin\' scope', () => {
+      return supertest(app)
+        .get('/api/keys')
+        .set('Authorization', `Bearer ${writeKey.key}`)
+        .expect(expectError(403, {
+          error: { code: 'forbidden', message: 'API key is missing the \'admin\' scope' }
+        }));
+    });
+
+    it('lists every key without exposing hashes', () => {
+      return supertest(app)
+        .get('/api/keys')
+        .set('Authorization', `Bearer ${adminKey.key}`)
+        .expect(200)
+        .expect(res => {
+          expect(res.body.map(apiKey => apiKey.id)).to.eql([1, 2, 3, 4, 5, 6]);
+          res.body.forEach(apiKey => {
+            expect(apiKey).to.not.have.property('key_hash');
+            expect(apiKey).to.not.have.property('key');
+          });
+        });
+    });
+
+    it('only lists a user\'s own keys', () => {
+      return supertest(app)
+        .get('/api/keys')
+        .set('Authorization', makeAuthHeader(testUsers[0]))
+        .expect(200)
+        .expect(res => {
+          expect(res.body.map(apiKey => apiKey.id)).to.eql([4]);
+        });
+    });
+  });
+
+  describe('POST /api/keys', () => {
+    it('responds with 400 for an unknown scope', () => {
+      return supertest(app)
+        .post('/api/keys')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Integration', scopes: ['everything'] })
+        .expect(expectError(400, makeFieldsError({
+          field: 'scopes',
+          code: 'invalid',
+          message: '\'scopes\' must be a non-empty array of bookmarks:read, bookmarks:write, admin'
+        })));
+    });
+
+    it('responds with 400 for an expiry in the past', () => {
+      return supertest(app)
+        .post('/api/keys')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Integration', scopes: ['bookmarks:read'], expires_at: '2000-01-01T00:00:00Z' })
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: '\'expires_at\' must be a timestamp in the future' }
+        }));
+    });
+
+    it('responds with 403 for a scope the caller does not hold', () => {
+      return supertest(app)
+        .post('/api/keys')
+        .set('Authorization', makeAuthHeader(testUsers[1]))
+        .send({ name: 'Escalate', scopes: ['bookmarks:read', 'admin'] })
+        .expect(expectError(403, {
+          error: { code: 'forbidden', message: 'Cannot create a key with the \'admin\' scope' }
+        }));
+    });
+
+    it('creates a key, returning the plain key once and storing only its hash', () => {
+      return supertest(app)
+        .post('/api/keys')
+        .set('Authorization', makeAuthHeader(testUsers[1]))
+        .send({ name: 'Read only', scopes: ['bookmarks:read'] })
+        .expect(201)
+        .expect(res => {
+          expect(res.body.key).to.match(/^bmk_/);
+          expect(res.body.prefix).to.eql(res.body.key.slice(0, 12));
+          expect(res.body.user_id).to.eql(testUsers[1].id);
+          expect(res.headers.location).to.eql(`/api/keys/${res.body.id}`);
+        })
+        .then(res =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${res.body.key}`)
+            .expect(200, [])
+        );
+    });
+  });
+
+  describe('DELETE /api/keys/:key_id', () => {
+    it('revokes the key so it can no longer authenticate', () => {
+      return supertest(app)
+        .delete('/api/keys/2')
+        .set('Authorization', `Bearer ${adminKey.key}`)
+        .expect(204)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${writeKey.key}`)
+            .expect(401)
+        );
+    });
+
+    it('responds with 404 for another user\'s key', () => {
+      return supertest(app)
+        .delete('/api/keys/2')
+        .set('Authorization', makeAuthHeader(testUsers[0]))
+        .expect(expectError(404, { error: { code: 'not_found', message: 'API Key Not Found' } }));
+    });
+  });
+});
@@ -0,0 +1,22 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+
+function makeApiKey(id, fields = {}) {
+  const key = `bmk_test-key-${id}`;
+  return {
+    key,
+    row: {
+      id,
+      name: `Key ${id}`,
+      prefix: key.slice(0, 12),
+      key_hash: crypto.createHash('sha256').update(key).digest('hex'),
+      scopes: ['bookmarks:read'],
+      user_id: null,
+      ...fields
+    }
+  };
+}
+
+module.exports = {
+  makeApiKey
+};
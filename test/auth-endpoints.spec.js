@@ -0,0 +1,102 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const jwt = require('jsonwebtoken');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { JWT_SECRET } = require('../src/config');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError,
+  makeFieldsError
+} = require('./test-helpers');
+
+describe('Auth Endpoints', function() {
+  let db;
+
+  const testUsers = makeUsersArray();
+  const testUser = testUsers[0];
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  beforeEach('insert users', () => seedUsers(db, testUsers));
+
+  describe('POST /api/auth/login', () => {
+    it('responds with 400 when \'password\' is missing', () => {
+      return supertest(app)
+        .post('/api/auth/login')
+        .send({ username: testUser.username })
+        .expect(expectError(400, makeFieldsError({
+          field: 'password',
+          code: 'required',
+          message: '\'password\' is required'
+        })));
+    });
+
+    it('responds with 401 when the password is wrong', () => {
+      return supertest(app)
+        .post('/api/auth/login')
+        .send({ username: testUser.username, password: 'wrong-password' })
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Incorrect username or password' } }));
+    });
+
+    it('responds with 401 when the user does not exist', () => {
+      return supertest(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: 'wrong-password' })
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Incorrect username or password' } }));
+    });
+
+    it('responds with 200 and a signed JWT for valid credentials', () => {
+      return supertest(app)
+        .post('/api/auth/login')
+        .send({ username: testUser.username, password: testUser.password })
+        .expect(200)
+        .expect(res => {
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET, { algorithms: ['HS256'] });
+          expect(payload.user_id).to.eql(testUser.id);
+          expect(payload.sub).to.eql(testUser.username);
+        });
+    });
+  });
+
+  describe('Bearer token validation', () => {
+    it('accepts a JWT issued to an existing user', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', makeAuthHeader(testUser))
+        .expect(200, []);
+    });
+
+    it('rejects a JWT signed with the wrong secret', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', makeAuthHeader(testUser, 'wrong-secret'))
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+
+    it('rejects a JWT for a user that no longer exists', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', makeAuthHeader({ id: 99, username: 'ghost' }))
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+  });
+});
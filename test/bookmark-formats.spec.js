@@ -0,0 +1,355 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeTagsArray, makeBookmarkTagsArray } = require('./tags.fixtures');
+const { makeFoldersArray } = require('./folders.fixtures');
+const { canonicalizeUrl } = require('../src/bookmarks/canonical-url');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  expectError,
+  makeFieldsError,
+  seedUsers,
+  makeAuthHeader
+} = require('./test-helpers');
+
+const FOLDER_IDS = { 1: 4, 2: null, 3: 2 };
+
+function makeSavedBookmarks() {
+  return makeBookmarksArray().map(bookmark => ({
+    ...bookmark,
+    canonical_url: canonicalizeUrl(bookmark.url),
+    folder_id: FOLDER_IDS[bookmark.id],
+    created_at: new Date(Date.UTC(2020, 0, bookmark.id, 12, 30)),
+    metadata: bookmark.id === 3 ? { site_name: 'MDN Web Docs' } : null,
+    visit_count: bookmark.id === 3 ? 4 : 0,
+    last_visited_at: bookmark.id === 3 ? new Date(Date.UTC(2020, 1, 1)) : null
+  }));
+}
+
+// Restores give everything new ids, so backups are compared by folder path
+function withoutIds({ folders, bookmarks }) {
+  const getPath = id => {
+    const folder = folders.find(candidate => candidate.id === id);
+    return folder ? `${getPath(folder.parent_id)}/${folder.name}` : '';
+  };
+  return {
+    folders: folders.map(folder => getPath(folder.id)).sort(),
+    bookmarks: bookmarks.map(({ id, folder_id, ...bookmark }) => ({ ...bookmark, folder: getPath(folder_id) })),
+  };
+}
+
+describe('Bookmark export and import formats', () => {
+  let db;
+
+  const exportAs = format => supertest(app)
+    .get(`/api/bookmarks/export?format=${format}`)
+    .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+    .expect(200);
+
+  const importAs = (type, body, query = '') => supertest(app)
+    .post(`/api/bookmarks/import${query}`)
+    .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+    .set('Content-Type', type)
+    .send(body);
+
+  const seedBookmarks = () => db.into('folders').insert(makeFoldersArray())
+    .then(() => db.into('bookmarks').insert(makeSavedBookmarks()))
+    .then(() => db.into('tags').insert(makeTagsArray()))
+    .then(() => db.into('bookmark_tags').insert(makeBookmarkTagsArray()));
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  describe('JSON backups', () => {
+    beforeEach('insert bookmarks', seedBookmarks);
+
+    it('exports folders and bookmarks with their ids and timestamps', () => {
+      return exportAs('json')
+        .expect('Content-Type', /application\/json/)
+        .expect('Content-Disposition', 'attachment; filename="bookmarks.json"')
+        .expect(res => {
+          expect(res.body).to.include({ format: 'bookmarks-backup', version: 2 });
+          expect(res.body.folders).to.have.deep.members(makeFoldersArray());
+          expect(res.body.bookmarks.map(bookmark => bookmark.id)).to.eql([2, 3, 1]);
+          expect(res.body.bookmarks[1]).to.eql({
+            id: 3,
+            title: 'MDN',
+            url: 'https://developer.mozilla.org',
+            description: 'The only place to find web documentation',
+            rating: 5,
+            tags: ['docs', 'learning'],
+            folder_id: 2,
+            created_at: '2020-01-03T12:30:00.000Z',
+            metadata: { site_name: 'MDN Web Docs' },
+            visit_count: 4,
+            last_visited_at: '2020-02-01T00:00:00.000Z'
+          });
+        });
+    });
+
+    it('restores an exported backup as it was', () => {
+      let backup;
+      return exportAs('json')
+        .then(res => {
+          backup = res.body;
+          return cleanTables(db);
+        })
+        .then(() => importAs('application/json', backup)
+          .expect(200, { created: 3, skipped: 0, invalid: 0, errors: [] }))
+        .then(() => exportAs('json'))
+        .then(res => {
+          const restored = withoutIds(res.body);
+          const expected = withoutIds(backup);
+          expect(restored.folders).to.eql(expected.folders);
+          expect(restored.bookmarks).to.have.deep.members(expected.bookmarks);
+        })
+        .then(() => supertest(app)
+          .post('/api/bookmarks')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ title: 'Node', url: 'https://nodejs.org', rating: 4 })
+          .expect(201)
+        )
+        .then(res => expect(res.body.id).to.eql(4));
+    });
+
+    it('restores under new ids whatever ids the backup uses', () => {
+      const [alice, bob] = makeUsersArray();
+      let backup;
+      // The fixtures' ids leave the sequences behind
+      const resetSequences = () => Promise.all(['folders', 'bookmarks', 'tags'].map(table => db.raw(
+        'SELECT setval(pg_get_serial_sequence(?, \'id\'), (SELECT max(id) FROM ??))',
+        [table, table]
+      )));
+      return seedUsers(db, [alice, bob])
+        .then(resetSequences)
+        .then(() => exportAs('json'))
+        .then(res => {
+          backup = res.body;
+          backup.bookmarks.push({ id: 2147483647, title: 'Far', url: 'https://far.example.com', rating: 3 });
+          return supertest(app)
+            .post('/api/bookmarks/import')
+            .set('Authorization', makeAuthHeader(bob))
+            .send(backup)
+            .expect(200, { created: 4, skipped: 0, invalid: 0, errors: [] });
+        })
+        .then(() => supertest(app)
+          .get('/api/bookmarks/export?format=json')
+          .set('Authorization', makeAuthHeader(bob))
+          .expect(200))
+        .then(res => {
+          const restored = withoutIds(res.body);
+          expect(restored.folders).to.eql(withoutIds(backup).folders);
+          expect(restored.bookmarks.map(bookmark => [bookmark.title, bookmark.folder])).to.have.deep.members([
+            ['Thinkful', '/Work/Reference/Web'],
+            ['Google', ''],
+            ['MDN', '/Work/Reference'],
+            ['Far', '']
+          ]);
+          expect(Math.max(...res.body.bookmarks.map(bookmark => bookmark.id))).to.be.below(10);
+        })
+        .then(() => supertest(app)
+          .post('/api/bookmarks')
+          .set('Authorization', makeAuthHeader(alice))
+          .send({ title: 'Node', url: 'https://nodejs.org', rating: 4 })
+          .expect(201));
+    });
+
+    it('skips bookmarks already saved and reports invalid ones', () => {
+      return exportAs('json')
+        .then(res => importAs('application/json', {
+          ...res.body,
+          bookmarks: [
+            ...res.body.bookmarks,
+            { id: 7, title: 'Broken', url: 'not a url', rating: 9, folder_id: 8 }
+          ]
+        }))
+        .then(res => {
+          expect(res.status).to.eql(200);
+          expect(res.body).to.include({ created: 0, skipped: 3, invalid: 1 });
+          expect(res.body.errors).to.eql([{
+            index: 3,
+            url: 'not a url',
+            message: '\'url\' must be a valid URL; \'rating\' must be a number between 1 and 5; '
+              + '\'folder_id\' must be the id of a folder in the backup',
+            fields: [
+              { field: 'url', code: 'invalid_format', message: '\'url\' must be a valid URL' },
+              { field: 'rating', code: 'out_of_range', message: '\'rating\' must be a number between 1 and 5' },
+              {
+                field: 'folder_id',
+                code: 'not_found',
+                message: '\'folder_id\' must be the id of a folder in the backup'
+              }
+            ]
+          }]);
+        });
+    });
+
+    it('rejects a backup whose folders do not form a tree', () => {
+      return importAs('application/json', {
+        format: 'bookmarks-backup',
+        version: 1,
+        folders: [
+          { id: 10, name: 'Loop', parent_id: 11 },
+          { id: 11, name: 'Back', parent_id: 10 }
+        ],
+        bookmarks: []
+      })
+        .expect(expectError(400, makeFieldsError(
+          {
+            field: 'folders[0].parent_id',
+            code: 'not_found',
+            message: '\'folders[0].parent_id\' must be the id of another folder in the backup'
+          },
+          {
+            field: 'folders[1].parent_id',
+            code: 'not_found',
+            message: '\'folders[1].parent_id\' must be the id of another folder in the backup'
+          }
+        )));
+    });
+
+    it('rejects a body that is not a backup', () => {
+      return importAs('application/json', { format: 'netscape', bookmarks: [] })
+        .expect(expectError(400, makeFieldsError(
+          { field: 'format', code: 'invalid', message: '\'format\' must be \'bookmarks-backup\'' },
+          { field: 'version', code: 'required', message: '\'version\' is required' },
+          { field: 'folders', code: 'required', message: '\'folders\' is required' }
+        )));
+    });
+  });
+
+  describe('CSV', () => {
+    it('exports a row per bookmark with its folder path', () => {
+      return seedBookmarks()
+        .then(() => exportAs('csv')
+          .expect('Content-Type', /text\/csv/)
+          .expect('Content-Disposition', 'attachment; filename="bookmarks.csv"'))
+        .then(res => {
+          expect(res.text.split('\r\n')).to.eql([
+            'id,title,url,description,rating,tags,folder,created_at',
+            '2,Google,https://www.google.com,Where we find everything else,4,search,,2020-01-02T12:30:00.000Z',
+            '3,MDN,https://developer.mozilla.org,The only place to find web documentation,5,'
+              + '"docs,learning",Work / Reference,2020-01-03T12:30:00.000Z',
+            '1,Thinkful,https://www.thinkful.com,Think outside the classroom,5,learning,'
+              + 'Work / Reference / Web,2020-01-01T12:30:00.000Z',
+            ''
+          ]);
+        });
+    });
+
+    it('imports mapped columns and reports invalid rows', () => {
+      const csv = [
+        'Name,Link,Notes,Stars,Labels,Path',
+        'MDN,https://developer.mozilla.org,"Docs, mostly",5,"docs, web",Work / Reading',
+        'Broken,ftp:/nowhere,,7,,',
+        'Node,https://nodejs.org,,,,'
+      ].join('\n');
+      const columns = '?rating=2&columns[title]=Name&columns[url]=Link&columns[description]=Notes'
+        + '&columns[rating]=Stars&columns[tags]=Labels&columns[folder]=Path';
+
+      return importAs('text/csv', csv, columns)
+        .expect(200, {
+          created: 2,
+          skipped: 0,
+          invalid: 1,
+          errors: [{
+            index: 1,
+            row: 3,
+            url: 'ftp:/nowhere',
+            message: '\'url\' must be a valid URL; \'rating\' must be a number between 1 and 5',
+            fields: [
+              { field: 'url', code: 'invalid_format', message: '\'url\' must be a valid URL' },
+              { field: 'rating', code: 'out_of_range', message: '\'rating\' must be a number between 1 and 5' }
+            ]
+          }]
+        })
+        .then(() => Promise.all([
+          db('folders').orderBy('id'),
+          db('bookmarks').orderBy('id')
+        ]))
+        .then(([folders, bookmarks]) => {
+          expect(folders.map(folder => folder.name)).to.eql(['Work', 'Reading']);
+          expect(bookmarks.map(bookmark => [bookmark.title, bookmark.description, bookmark.rating, bookmark.folder_id]))
+            .to.eql([
+              ['MDN', 'Docs, mostly', '5', folders[1].id],
+              ['Node', null, '2', null]
+            ]);
+        });
+    });
+
+    it('responds with 400 when the URL column is missing', () => {
+      return importAs('text/csv', 'title,link\nMDN,https://developer.mozilla.org\n')
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: 'CSV must have a \'url\' column' }
+        }));
+    });
+
+    it('responds with 400 when columns map an unknown field', () => {
+      return importAs('text/csv', 'url\nhttps://nodejs.org\n', '?columns[id]=Key')
+        .expect(expectError(400, {
+          error: {
+            code: 'invalid_request',
+            message: '\'columns\' may only map title, url, description, rating, tags, folder, created_at to column names'
+          }
+        }));
+    });
+
+    it('streams exports larger than a batch', () => {
+      const bookmarks = Array.from({ length: 1200 }, (_, index) => ({
+        title: `Bookmark ${index}`,
+        url: `https://example.com/${index}`,
+        canonical_url: `https://example.com/${index}`,
+        rating: '3'
+      }));
+      return db.into('bookmarks').insert(bookmarks)
+        .then(() => exportAs('csv'))
+        .then(res => {
+          const rows = res.text.trim().split('\r\n');
+          expect(rows).to.have.length(1201);
+          expect(rows[1200]).to.match(/^1200,Bookmark 1199,/);
+        });
+    });
+  });
+
+  describe('Markdown', () => {
+    it('round trips bookmarks grouped under folder headings', () => {
+      let markdown;
+      return seedBookmarks()
+        .then(() => exportAs('md')
+          .expect('Content-Type', /text\/markdown/)
+          .expect('Content-Disposition', 'attachment; filename="bookmarks.md"'))
+        .then(res => {
+          markdown = res.text;
+          expect(markdown).to.include([
+            '## Work / Reference',
+            '',
+            '- [MDN](https://developer.mozilla.org) - The only place to find web documentation',
+            '  - rating: 5',
+            '  - tags: docs, learning'
+          ].join('\n'));
+          return cleanTables(db);
+        })
+        .then(() => importAs('text/markdown', markdown)
+          .expect(200, { created: 3, skipped: 0, invalid: 0, errors: [] }))
+        .then(() => exportAs('md'))
+        .then(res => expect(res.text).to.eql(markdown));
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/* eslint-disable strict */
+const http = require('http');
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { fetchPage } = require('../src/metadata/fetch-page');
+const { cleanTables, makeFieldsError, expectError } = require('./test-helpers');
+
+const ARTICLE_PAGE = `<!DOCTYPE html>
+<html>
+  <head>
+    <title>
+      An   Article &amp; More
+    </title>
+    <meta name="description" content="What the article is about">
+    <meta property="og:image" content="/images/cover.png">
+    <link rel="shortcut icon" href="/static/favicon.png">
+    <link rel="canonical" href="https://example.com/articles/1">
+  </head>
+  <body><h1>Not the title</h1></body>
+</html>`;
+
+const MALICIOUS_PAGE = `<html><head>
+  <meta property="og:title" content="Naughty <script>alert(&quot;xss&quot;);</script>">
+  <meta name="description" content="Bad image <img src=&quot;x&quot; onerror=&quot;alert(1)&quot;>">
+</head></html>`;
+
+function makeStubServer() {
+  return http.createServer((req, res) => {
+    switch (req.url) {
+    case '/article':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end(ARTICLE_PAGE);
+    case '/moved':
+      return res.writeHead(302, { Location: '/article' }).end();
+    case '/malicious':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end(MALICIOUS_PAGE);
+    case '/untitled':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<p>No head here</p>');
+    case '/image':
+      return res.writeHead(200, { 'Content-Type': 'image/png' }).end('not html');
+    case '/slow':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.write('<html><head>');
+    case '/wordy':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end(`<html><head>
+        <title>${'t'.repeat(600)}</title>
+        <meta name="description" content="${'d'.repeat(6000)}">
+      </head></html>`);
+    case '/huge':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.write('<html><head><title>Huge</title></head><body>');
+      return res.end('x'.repeat(64 * 1024));
+    default:
+      return res.writeHead(404).end();
+    }
+  });
+}
+
+describe('Bookmark metadata', function () {
+  let db;
+  let server;
+  let baseUrl;
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  before('start stub server', done => {
+    server = makeStubServer().listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after('stop stub server', done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  describe('fetchPage', () => {
+    it('follows redirects to the page', () => {
+      return fetchPage(`${baseUrl}/moved`)
+        .then(page => {
+          expect(page.url).to.eql(`${baseUrl}/article`);
+          expect(page.html).to.eql(ARTICLE_PAGE);
+        });
+    });
+
+    it('rejects pages that are not HTML', () => {
+      return fetchPage(`${baseUrl}/image`)
+        .then(
+          () => expect.fail('expected the fetch to fail'),
+          error => expect(error.message).to.eql('Page is not HTML')
+        );
+    });
+
+    it('gives up on pages that take longer than the timeout', () => {
+      return fetchPage(`${baseUrl}/slow`, { timeout: 100 })
+        .then(
+          () => expect.fail('expected the fetch to fail'),
+          error => expect(error.message).to.eql('Timed out after 100ms')
+        );
+    });
+
+    it('stops reading pages at the size limit', () => {
+      return fetchPage(`${baseUrl}/huge`, { maxBytes: 1024 })
+        .then(page => {
+          expect(page.html).to.have.lengthOf(1024);
+          expect(page.html).to.include('<title>Huge</title>');
+        });
+    });
+
+    it('refuses private addresses, whether named or resolved', () => {
+      const privateUrls = [
+        `${baseUrl}/article`,
+        `http://localhost:${server.address().port}/article`,
+        'http://[::1]/',
+        'http://169.254.169.254/latest/meta-data/'
+      ];
+      return Promise.all(privateUrls.map(url => fetchPage(url, { allowPrivateAddresses: false })
+        .then(
+          () => expect.fail(`expected the fetch of ${url} to fail`),
+          error => expect(error.message).to.eql('Address is not allowed')
+        )));
+    });
+  });
+
+  describe('POST /api/bookmarks with only a url', () => {
+    it('fills in the bookmark from the page metadata', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: `${baseUrl}/moved` })
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.include({
+            title: 'An Article & More',
+            url: `${baseUrl}/moved`,
+            description: 'What the article is about',
+            rating: 3
+          });
+          expect(res.body.metadata).to.include({
+            title: 'An Article & More',
+            description: 'What the article is about',
+            favicon_url: `${baseUrl}/static/favicon.png`,
+            canonical_url: 'https://example.com/articles/1',
+            image_url: `${baseUrl}/images/cover.png`
+          });
+        })
+        .then(res =>
+          supertest(app)
+            .get(`/api/bookmarks/${res.body.id}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect(({ body }) => {
+              expect(body.metadata).to.eql(res.body.metadata);
+            })
+        );
+    });
+
+    it('keeps the fields the client did supply', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: `${baseUrl}/article`, description: 'My notes', rating: 5 })
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.include({
+            title: 'An Article & More',
+            description: 'My notes',
+            rating: 5
+          });
+        });
+    });
+
+    it('removes XSS attack content from extracted metadata', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: `${baseUrl}/malicious` })
+        .expect(201)
+        .expect(res => {
+          const expectedTitle = 'Naughty &lt;script&gt;alert("xss");&lt;/script&gt;';
+          const expectedDescription = 'Bad image <img src>';
+          expect(res.body.title).to.eql(expectedTitle);
+          expect(res.body.description).to.eql(expectedDescription);
+          expect(res.body.metadata.title).to.eql(expectedTitle);
+          expect(res.body.metadata.description).to.eql(expectedDescription);
+        });
+    });
+
+    it('cuts the title and description to the lengths the API accepts', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: `${baseUrl}/wordy` })
+        .expect(201)
+        .expect(res => {
+          expect(res.body.title).to.eql('t'.repeat(500));
+          expect(res.body.description).to.eql('d'.repeat(5000));
+        });
+    });
+
+    it('responds with 400 missing \'title\' when the page has no title', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: `${baseUrl}/untitled` })
+        .expect(expectError(400, makeFieldsError({
+          field: 'title',
+          code: 'required',
+          message: '\'title\' is required'
+        })));
+    });
+
+    context('Given a custom page fetcher', () => {
+      before('swap the fetcher', () => {
+        app.set('fetchPage', () => Promise.reject(new Error('Offline')));
+      });
+
+      after('restore the fetcher', () => {
+        app.set('fetchPage', fetchPage);
+      });
+
+      it('responds with 400 missing \'title\' when the page cannot be fetched', () => {
+        return supertest(app)
+          .post('/api/bookmarks')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ url: 'https://test.com', rating: 3 })
+          .expect(expectError(400, makeFieldsError({
+            field: 'title',
+            code: 'required',
+            message: '\'title\' is required'
+          })));
+      });
+    });
+  });
+});
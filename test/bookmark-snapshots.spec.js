@@ -0,0 +1,169 @@
+/* eslint-disable strict */
+const http = require('http');
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { extractArticle } = require('../src/snapshots/extract-article');
+const { fetchPage } = require('../src/metadata/fetch-page');
+const { cleanTables, expectError } = require('./test-helpers');
+
+const ARTICLE_PAGE = `<!DOCTYPE html>
+<html>
+  <head><title>Platypus Facts</title><style>p { color: red; }</style></head>
+  <body>
+    <nav><a href="/">Home</a></nav>
+    <article>
+      <h1>The platypus</h1>
+      <p>The platypus is a   semiaquatic mammal.</p>
+      <script>track('reader');</script>
+      <p>It lays eggs &amp; hunts by electroreception.</p>
+    </article>
+    <footer>Copyright</footer>
+  </body>
+</html>`;
+
+function makeStubServer() {
+  return http.createServer((req, res) => {
+    switch (req.url) {
+    case '/article':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end(ARTICLE_PAGE);
+    case '/empty':
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><body></body></html>');
+    default:
+      return res.writeHead(404).end();
+    }
+  });
+}
+
+describe('Bookmark snapshots', function () {
+  let db;
+  let server;
+  let baseUrl;
+
+  const authorized = request => request.set('Authorization', `Bearer ${process.env.API_TOKEN}`);
+
+  const capture = bookmarkId => authorized(supertest(app).post(`/api/bookmarks/${bookmarkId}/snapshots`));
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  before('start stub server', done => {
+    server = makeStubServer().listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after('stop stub server', done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  afterEach('restore fetchPage', () => app.set('fetchPage', fetchPage));
+
+  beforeEach('insert bookmarks', () => {
+    const paths = { 1: '/article', 2: '/empty', 3: '/missing' };
+    return db.into('bookmarks').insert(makeBookmarksArray().map(bookmark => ({
+      ...bookmark,
+      url: `${baseUrl}${paths[bookmark.id]}`
+    })));
+  });
+
+  describe('extractArticle', () => {
+    it('keeps the article\'s text and drops scripts, styles and navigation', () => {
+      expect(extractArticle(ARTICLE_PAGE)).to.eql([
+        'The platypus',
+        'The platypus is a semiaquatic mammal.',
+        'It lays eggs & hunts by electroreception.'
+      ].join('\n\n'));
+    });
+  });
+
+  describe('POST /api/bookmarks/:bookmark_id/snapshots', () => {
+    it('stores the page\'s readable text compressed', () => {
+      return capture(1)
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.include({
+            bookmark_id: 1,
+            url: `${baseUrl}/article`,
+            title: 'Platypus Facts',
+            text: extractArticle(ARTICLE_PAGE)
+          });
+          expect(Date.parse(res.body.captured_at)).to.be.closeTo(Date.now(), 60 * 1000);
+        })
+        .then(() => db('bookmark_snapshots').where('bookmark_id', 1).first())
+        .then(row => {
+          expect(row.content).to.be.an.instanceof(Buffer);
+          expect(row.content.toString('utf8')).not.to.include('platypus');
+        });
+    });
+
+    it('responds with 502 when the page cannot be fetched', () => {
+      return capture(3)
+        .expect(expectError(502, {
+          error: { code: 'bad_gateway', message: 'Could not fetch the page for a snapshot' }
+        }));
+    });
+
+    it('responds with the same 502 for pages on private addresses', () => {
+      app.set('fetchPage', (url, options) => fetchPage(url, { ...options, allowPrivateAddresses: false }));
+      return capture(1)
+        .expect(expectError(502, {
+          error: { code: 'bad_gateway', message: 'Could not fetch the page for a snapshot' }
+        }));
+    });
+
+    it('responds with 502 when the page has no readable text', () => {
+      return capture(2)
+        .expect(expectError(502, {
+          error: { code: 'bad_gateway', message: 'The page has no readable text' }
+        }));
+    });
+
+    it('responds with 404 for a missing bookmark', () => {
+      return capture(123)
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
+    });
+  });
+
+  describe('GET /api/bookmarks/:bookmark_id/snapshots', () => {
+    it('lists the snapshots newest first', () => {
+      return capture(1).expect(201)
+        .then(() => capture(1).expect(201))
+        .then(() => authorized(supertest(app).get('/api/bookmarks/1/snapshots?limit=1')).expect(200))
+        .then(res => {
+          expect(res.headers['x-total-count']).to.eql('2');
+          expect(res.body).to.have.lengthOf(1);
+          expect(res.body[0].text).to.eql(extractArticle(ARTICLE_PAGE));
+          return db('bookmark_snapshots').max('id as id').first()
+            .then(({ id }) => expect(res.body[0].id).to.eql(id));
+        });
+    });
+  });
+
+  describe('GET /api/bookmarks/search', () => {
+    it('finds bookmarks by the text of their snapshots', () => {
+      return capture(1).expect(201)
+        .then(() => authorized(supertest(app).get('/api/bookmarks/search?q=electroreception')).expect(200))
+        .then(res => {
+          expect(res.body.map(bookmark => bookmark.id)).to.eql([1]);
+        });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/* eslint-disable strict */
+const http = require('http');
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const EventsService = require('../src/events/events-service');
+const { createEventStream } = require('../src/events/event-stream');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError
+} = require('./test-helpers');
+
+function parseStreamEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('id:'))
+    .map(block => {
+      const fields = {};
+      block.split('\n').forEach(line => {
+        const index = line.indexOf(': ');
+        fields[line.slice(0, index)] = line.slice(index + 2);
+      });
+      return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+// Opens the stream on a real socket, since supertest waits for the response
+// to end. Resolves once the headers arrive.
+function openStream(baseUrl, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/api/bookmarks/stream`, { headers }, res => {
+      let text = '';
+      const events = [];
+      const waiters = [];
+      const stream = {
+        res,
+        get events() {
+          return events.slice();
+        },
+        waitForEvents(count) {
+          if (stream.events.length >= count) return Promise.resolve(stream.events);
+          return new Promise(done => waiters.push({ count, done }));
+        },
+        close: () => req.destroy()
+      };
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        // Only whole events are parsed, so each arrives once
+        const blocks = (text + chunk).split('\n\n');
+        text = blocks.pop();
+        events.push(...parseStreamEvents(blocks.join('\n\n')));
+        waiters
+          .filter(waiter => stream.events.length >= waiter.count)
+          .forEach(waiter => waiter.done(stream.events));
+      });
+      res.on('error', () => {});
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Bookmark event stream', function () {
+  let db;
+  let eventStream;
+  let server;
+  let baseUrl;
+  let streams;
+
+  const testUsers = makeUsersArray();
+  const [alice] = testUsers;
+  const tokenHeader = { Authorization: `Bearer ${process.env.API_TOKEN}` };
+  let bookmarkCount = 0;
+
+  const open = headers => openStream(baseUrl, headers).then(stream => {
+    streams.push(stream);
+    return stream;
+  });
+
+  const createBookmark = (authHeader = tokenHeader.Authorization) => supertest(app)
+    .post('/api/bookmarks')
+    .set('Authorization', authHeader)
+    .send({
+      title: 'New bookmark',
+      url: `https://example.com/${++bookmarkCount}`,
+      description: 'Fresh',
+      rating: 4
+    })
+    .expect(201)
+    .then(res => res.body);
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  before('start event stream and server', done => {
+    eventStream = createEventStream(db);
+    app.set('eventStream', eventStream);
+    eventStream.start().then(() => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+  });
+
+  after('stop server and event stream', done => {
+    app.set('eventStream', null);
+    server.close(() => eventStream.stop().then(() => done(), done));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  beforeEach(() => {
+    streams = [];
+    return seedUsers(db, testUsers);
+  });
+
+  afterEach('cleanup', () => {
+    streams.forEach(stream => stream.close());
+    return cleanTables(db);
+  });
+
+  it('pushes created, updated and deleted bookmarks as server-sent events', () => {
+    let stream;
+    let created;
+    return open(tokenHeader)
+      .then(opened => {
+        stream = opened;
+        expect(stream.res.statusCode).to.eql(200);
+        expect(stream.res.headers['content-type']).to.match(/^text\/event-stream/);
+        return createBookmark();
+      })
+      .then(bookmark => {
+        created = bookmark;
+        return supertest(app)
+          .patch(`/api/bookmarks/${bookmark.id}`)
+          .set(tokenHeader)
+          .send({ rating: 2 })
+          .expect(200);
+      })
+      .then(() =>
+        supertest(app)
+          .delete(`/api/bookmarks/${created.id}`)
+          .set(tokenHeader)
+          .expect(204)
+      )
+      .then(() => stream.waitForEvents(3))
+      .then(events => {
+        expect(events.map(event => event.event))
+          .to.eql(['bookmark.created', 'bookmark.updated', 'bookmark.deleted']);
+        expect(events[0].data).to.eql(created);
+        expect(events[1].data).to.eql({ ...created, rating: 2 });
+        expect(events[1].id).to.be.above(events[0].id);
+      });
+  });
+
+  it('replays events missed since the Last-Event-ID before going live', () => {
+    let firstEventId;
+    let stream;
+    return open(tokenHeader)
+      .then(opened => createBookmark().then(() => opened.waitForEvents(1)))
+      .then(([event]) => {
+        firstEventId = event.id;
+        return createBookmark();
+      })
+      .then(() => open({ ...tokenHeader, 'Last-Event-ID': String(firstEventId) }))
+      .then(opened => {
+        stream = opened;
+        return stream.waitForEvents(1);
+      })
+      .then(events => {
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].id).to.be.above(firstEventId);
+        expect(events[0].data.id).to.eql(2);
+        return createBookmark();
+      })
+      .then(() => stream.waitForEvents(2))
+      .then(events => {
+        expect(events.map(event => event.data.id)).to.eql([2, 3]);
+      });
+  });
+
+  it('replays every missed event when there are more than a page of them', () => {
+    const missed = Array.from({ length: 1200 }, (_, index) => ({
+      type: 'bookmark.updated',
+      bookmark_id: 1,
+      payload: { id: 1, rating: index % 5 + 1 }
+    }));
+    let missedIds;
+    return db.into('bookmark_events').insert(missed).returning('id')
+      .then(ids => {
+        missedIds = ids;
+        return open({ ...tokenHeader, 'Last-Event-ID': '0' });
+      })
+      .then(stream => stream.waitForEvents(1200)
+        .then(() => createBookmark())
+        .then(() => stream.waitForEvents(1201)))
+      .then(events => {
+        expect(events).to.have.lengthOf(1201);
+        expect(events.slice(0, 1200).map(event => event.id)).to.eql(missedIds);
+        expect(events[1200].event).to.eql('bookmark.created');
+      });
+  });
+
+  it('only sends users events for their own bookmarks', () => {
+    let stream;
+    return open({ Authorization: makeAuthHeader(alice) })
+      .then(opened => {
+        stream = opened;
+        return createBookmark();
+      })
+      .then(() => createBookmark(makeAuthHeader(alice)))
+      .then(() => stream.waitForEvents(1))
+      .then(events => {
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].data.id).to.eql(2);
+      });
+  });
+
+  it('fans out events recorded by another process', () => {
+    const otherDb = knex({ client: 'pg', connection: process.env.TEST_DB_URL });
+    return open(tokenHeader)
+      .then(stream => otherDb
+        .insert({ title: 'Elsewhere', url: 'https://example.com/elsewhere', rating: 3 })
+        .into('bookmarks')
+        .returning('*')
+        .then(([bookmark]) => EventsService
+          .recordBookmarkEvent(otherDb, EventsService.EVENT_TYPES.CREATED, bookmark))
+        .then(() => stream.waitForEvents(1))
+      )
+      .then(([event]) => {
+        expect(event.event).to.eql('bookmark.created');
+        expect(event.data.title).to.eql('Elsewhere');
+      })
+      .finally(() => otherDb.destroy());
+  });
+
+  it('responds with 400 when the Last-Event-ID is not an event id', () => {
+    return supertest(app)
+      .get('/api/bookmarks/stream')
+      .set(tokenHeader)
+      .set('Last-Event-ID', 'abc')
+      .expect(expectError(400, { error: { code: 'invalid_request', message: '\'Last-Event-ID\' must be an event id' } }));
+  });
+});
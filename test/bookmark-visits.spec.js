@@ -0,0 +1,146 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeTagsArray, makeBookmarkTagsArray } = require('./tags.fixtures');
+const { cleanTables, expectError } = require('./test-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Bookmark visits', () => {
+  let db;
+
+  const authorized = request => request.set('Authorization', `Bearer ${process.env.API_TOKEN}`);
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  beforeEach('insert bookmarks', () => {
+    const visits = {
+      1: { visit_count: 2, last_visited_at: new Date(Date.now() - 90 * DAY) },
+      2: { visit_count: 7, last_visited_at: new Date(Date.now() - DAY) },
+      3: { visit_count: 0, last_visited_at: null },
+    };
+    return db.into('bookmarks')
+      .insert(makeBookmarksArray().map(bookmark => ({
+        ...bookmark,
+        ...visits[bookmark.id],
+        created_at: new Date(Date.now() - 100 * DAY)
+      })))
+      .then(() => db.into('tags').insert(makeTagsArray()))
+      .then(() => db.into('bookmark_tags').insert(makeBookmarkTagsArray()));
+  });
+
+  describe('POST /api/bookmarks/:bookmark_id/visit', () => {
+    it('counts the visit without changing the bookmark\'s version', () => {
+      return authorized(supertest(app).post('/api/bookmarks/3/visit'))
+        .expect(200)
+        .expect(res => {
+          expect(res.body).to.include({ id: 3, visit_count: 1 });
+          expect(Date.parse(res.body.last_visited_at)).to.be.closeTo(Date.now(), 60 * 1000);
+        })
+        .then(() => Promise.all([
+          db('bookmarks').where('id', 3).first('version'),
+          db('bookmark_revisions').where('bookmark_id', 3)
+        ]))
+        .then(([bookmark, revisions]) => {
+          expect(bookmark.version).to.eql(1);
+          expect(revisions).to.have.lengthOf(0);
+        });
+    });
+
+    it('responds with 404 for a missing bookmark', () => {
+      return authorized(supertest(app).post('/api/bookmarks/123/visit'))
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
+    });
+  });
+
+  describe('GET /go/:bookmark_id', () => {
+    it('counts the visit and redirects to the bookmark', () => {
+      return authorized(supertest(app).get('/go/1'))
+        .expect(302)
+        .expect('Location', 'https://www.thinkful.com')
+        .then(() => db('bookmarks').where('id', 1).first('visit_count'))
+        .then(bookmark => expect(bookmark.visit_count).to.eql(3));
+    });
+
+    it('responds with 401 without credentials', () => {
+      return supertest(app)
+        .get('/go/1')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/bookmarks', () => {
+    it('puts the most visited first with sort=popular', () => {
+      return authorized(supertest(app).get('/api/bookmarks?sort=popular'))
+        .expect(200)
+        .expect(res => {
+          expect(res.body.map(bookmark => bookmark.id)).to.eql([2, 1, 3]);
+        });
+    });
+
+    it('lists bookmarks not visited in the last N days with stale', () => {
+      return authorized(supertest(app).get('/api/bookmarks?stale=30'))
+        .expect(200)
+        .expect(res => {
+          expect(res.body.map(bookmark => bookmark.id)).to.eql([1, 3]);
+        });
+    });
+
+    it('responds with 400 when stale is not a number of days', () => {
+      return authorized(supertest(app).get('/api/bookmarks?stale=soon'))
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: '\'stale\' must be a number of days' }
+        }));
+    });
+  });
+
+  describe('GET /api/bookmarks/stats', () => {
+    it('counts bookmarks by rating, tag and domain', () => {
+      return authorized(supertest(app).get('/api/bookmarks/stats'))
+        .expect(200, {
+          total: 3,
+          visits: 9,
+          ratings: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 },
+          tags: [
+            { name: 'learning', count: 2 },
+            { name: 'docs', count: 1 },
+            { name: 'search', count: 1 }
+          ],
+          domains: [
+            { domain: 'developer.mozilla.org', count: 1 },
+            { domain: 'www.google.com', count: 1 },
+            { domain: 'www.thinkful.com', count: 1 }
+          ]
+        });
+    });
+  });
+
+  describe('POST /api/bookmarks/duplicates/merge', () => {
+    it('adds the merged bookmarks\' visits to the one kept', () => {
+      return authorized(supertest(app).post('/api/bookmarks/duplicates/merge'))
+        .send({ target_id: 3, source_ids: [1, 2] })
+        .expect(200)
+        .expect(res => {
+          expect(res.body.visit_count).to.eql(9);
+          expect(Date.parse(res.body.last_visited_at)).to.be.closeTo(Date.now() - DAY, 60 * 1000);
+        });
+    });
+  });
+});
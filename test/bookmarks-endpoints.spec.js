@@ -4,7 +4,25 @@ const { expect } = require('chai');
 const knex = require('knex');
 const supertest = require('supertest');
 const app = require('../src/app');
-const { makeBookmarksArray, makeMaliciousBookmark } = require('./bookmarks.fixtures');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const {
+  makeBookmarksArray,
+  makeExpectedBookmark,
+  makeMaliciousBookmark,
+  makeNetscapeBookmarkFile
+} = require('./bookmarks.fixtures');
+const { makeTagsArray, makeBookmarkTagsArray } = require('./tags.fixtures');
+const { makeFoldersArray } = require('./folders.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const { canonicalizeUrl } = require('../src/bookmarks/canonical-url');
+const { backfillCanonicalUrls } = require('../src/bookmarks/backfill-canonical-urls');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  makeFieldsError,
+  expectError
+} = require('./test-helpers');
 
 describe('Bookmarks Endpoints', function() {
   let db; 
@@ -15,13 +33,14 @@ describe('Bookmarks Endpoints', function() {
       connection: process.env.TEST_DB_URL
     });
     app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
   });
 
   after('disconnect from db', () => db.destroy());
 
-  before('clean the table', () => db('bookmarks').truncate());
+  before('clean the table', () => cleanTables(db));
 
-  afterEach('cleanup', () => db('bookmarks').truncate());
+  afterEach('cleanup', () => cleanTables(db));
 
   describe('Unauthorized requests', () => {
     const testBookmarks = makeBookmarksArray();
@@ -35,28 +54,28 @@ describe('Bookmarks Endpoints', function() {
     it('responds with 401 Unauthorized for GET /api/bookmarks', () => {
       return supertest(app)
         .get('/api/bookmarks')
-        .expect(401, { error: 'Unauthorized request' });
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
     });
 
     it('responds with 401 Unauthorized for POST /api/bookmarks', () => {
       return supertest(app)
         .post('/api/bookmarks')
         .send({ title: 'test-title', url: 'http://some.thing.com', rating: 1 })
-        .expect(401, { error: 'Unauthorized request' });
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
     });
 
     it('responds with 401 Unauthorized for GET /api/bookmarks/:id', () => {
       const secondBookmark = testBookmarks[1];
       return supertest(app)
         .get(`/api/bookmarks/${secondBookmark.id}`)
-        .expect(401, { error: 'Unauthorized request' });
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
     });
 
     it('responds with 401 Unauthorized for DELETE /api/bookmarks/:id', () => {
       const aBookmark = testBookmarks[1];
       return supertest(app)
         .delete(`/api/bookmarks/${aBookmark.id}`)
-        .expect(401, { error: 'Unauthorized request' });
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
     });
 
     it('responds with 401 Unauthorized for PATCH /api/bookmarks/:id', () => {
@@ -64,7 +83,63 @@ describe('Bookmarks Endpoints', function() {
       return supertest(app)
         .patch(`/api/bookmarks/${aBookmark.id}`)
         .send({ title: 'updated-title' })
-        .expect(401, { error: 'Unauthorized request' });
+        .expect(expectError(401, { error: { code: 'unauthorized', message: 'Unauthorized request' } }));
+    });
+  });
+
+  describe('Requests authenticated as a user', () => {
+    const testUsers = makeUsersArray();
+    const [alice, bob] = testUsers;
+    const testBookmarks = makeBookmarksArray();
+
+    beforeEach('insert bookmarks owned by users', () => {
+      return seedUsers(db, testUsers)
+        .then(() => db.into('bookmarks').insert(testBookmarks))
+        .then(() => db('bookmarks').whereIn('id', [1, 2]).update({ user_id: alice.id }))
+        .then(() => db('bookmarks').where('id', 3).update({ user_id: bob.id }))
+        .then(() => db.raw(
+          'SELECT setval(pg_get_serial_sequence(\'bookmarks\', \'id\'), (SELECT max(id) FROM bookmarks))'
+        ));
+    });
+
+    it('GET /api/bookmarks only lists the user\'s own bookmarks', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', makeAuthHeader(alice))
+        .expect(200, testBookmarks.slice(0, 2).map(makeExpectedBookmark));
+    });
+
+    it('GET /api/bookmarks/search only searches the user\'s own bookmarks', () => {
+      return supertest(app)
+        .get('/api/bookmarks/search?q=documentation')
+        .set('Authorization', makeAuthHeader(alice))
+        .expect(200, []);
+    });
+
+    it('POST /api/bookmarks assigns the new bookmark to the user', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', makeAuthHeader(bob))
+        .send({ title: 'Bob\'s', url: 'https://bob.example.com', rating: 3 })
+        .expect(201)
+        .then(res => db('bookmarks').where('id', res.body.id).first())
+        .then(row => expect(row.user_id).to.eql(bob.id));
+    });
+
+    ['get', 'patch', 'delete'].forEach(method => {
+      it(`${method.toUpperCase()} /api/bookmarks/:id responds with 404 for another user's bookmark`, () => {
+        return supertest(app)[method]('/api/bookmarks/3')
+          .set('Authorization', makeAuthHeader(alice))
+          .send({ title: 'Hijacked' })
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
+      });
+    });
+
+    it('the static API token still sees every user\'s bookmarks', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(200, testBookmarks.map(makeExpectedBookmark));
     });
   });
 
@@ -89,7 +164,184 @@ describe('Bookmarks Endpoints', function() {
         return supertest(app)
           .get('/api/bookmarks')
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .expect(200, testBookmarks);
+          .expect('X-Total-Count', String(testBookmarks.length))
+          .expect(200, testBookmarks.map(makeExpectedBookmark));
+      });
+
+      it('paginates with limit and offset, linking to the next and previous pages', () => {
+        return supertest(app)
+          .get('/api/bookmarks?limit=1&offset=1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, [makeExpectedBookmark(testBookmarks[1])])
+          .expect('X-Total-Count', String(testBookmarks.length))
+          .expect(res => {
+            expect(res.headers.link).to.eql(
+              '</api/bookmarks?limit=1&offset=2>; rel="next", ' +
+              '</api/bookmarks?limit=1&offset=0>; rel="prev"'
+            );
+          });
+      });
+
+      it('responds with the first 25 bookmarks and a link to the rest by default', () => {
+        const moreBookmarks = Array.from({ length: 30 }, (_, index) => ({
+          id: testBookmarks.length + index + 1,
+          title: `Bookmark ${index}`,
+          url: `https://example.com/${index}`,
+          rating: 3
+        }));
+        return db.into('bookmarks').insert(moreBookmarks)
+          .then(() => supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect('X-Total-Count', '33')
+            .expect(res => {
+              expect(res.body).to.have.lengthOf(25);
+              expect(res.headers.link).to.eql('</api/bookmarks?offset=25>; rel="next"');
+            }));
+      });
+
+      it('sorts by the given field and order', () => {
+        const expectedBookmarks = testBookmarks
+          .map(makeExpectedBookmark)
+          .sort((a, b) => b.title.localeCompare(a.title));
+        return supertest(app)
+          .get('/api/bookmarks?sort=title&order=desc')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, expectedBookmarks);
+      });
+
+      it('filters by rating range', () => {
+        const expectedBookmarks = testBookmarks
+          .filter(bookmark => bookmark.rating >= 4 && bookmark.rating <= 4)
+          .map(makeExpectedBookmark);
+        return supertest(app)
+          .get('/api/bookmarks?min_rating=4&max_rating=4')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect('X-Total-Count', String(expectedBookmarks.length))
+          .expect(200, expectedBookmarks);
+      });
+
+      it('filters by URL host, including subdomains', () => {
+        const expectedBookmarks = testBookmarks
+          .filter(bookmark => bookmark.url.includes('mozilla.org'))
+          .map(makeExpectedBookmark);
+        return supertest(app)
+          .get('/api/bookmarks?host=mozilla.org')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, expectedBookmarks);
+      });
+    });
+
+    context('Given there are tagged bookmarks in the database', () => {
+      const testBookmarks = makeBookmarksArray();
+
+      beforeEach('insert tagged bookmarks', () => {
+        return db.into('bookmarks').insert(testBookmarks)
+          .then(() => db.into('tags').insert(makeTagsArray()))
+          .then(() => db.into('bookmark_tags').insert(makeBookmarkTagsArray()));
+      });
+
+      it('responds with the tags of each bookmark', () => {
+        return supertest(app)
+          .get('/api/bookmarks')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.tags)).to.eql([
+              ['learning'],
+              ['search'],
+              ['docs', 'learning']
+            ]);
+          });
+      });
+
+      it('filters by bookmarks carrying all of the given tags by default', () => {
+        return supertest(app)
+          .get('/api/bookmarks?tag=learning&tag=DOCS')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([3]);
+          });
+      });
+
+      it('filters by bookmarks carrying any of the given tags', () => {
+        return supertest(app)
+          .get('/api/bookmarks?tag=search&tag=docs&tag_mode=any')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect('X-Total-Count', '2')
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([2, 3]);
+          });
+      });
+
+      it('keeps repeated tag parameters in the page links', () => {
+        return supertest(app)
+          .get('/api/bookmarks?tag=search&tag=docs&tag_mode=any&limit=1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .then(res => {
+            const next = '/api/bookmarks?tag=search&tag=docs&tag_mode=any&limit=1&offset=1';
+            expect(res.headers.link).to.eql(`<${next}>; rel="next"`);
+            return supertest(app)
+              .get(next)
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(200)
+              .expect('X-Total-Count', '2');
+          })
+          .then(res => expect(res.body.map(bookmark => bookmark.id)).to.eql([3]));
+      });
+    });
+
+    context('Given there are bookmarks in folders', () => {
+      const testBookmarks = makeBookmarksArray();
+
+      beforeEach('insert bookmarks into folders', () => {
+        return db.into('folders').insert(makeFoldersArray())
+          .then(() => db.into('bookmarks').insert(testBookmarks))
+          .then(() => db('bookmarks').whereIn('id', [1, 3]).update({ folder_id: 2 }));
+      });
+
+      it('filters by folder_id', () => {
+        return supertest(app)
+          .get('/api/bookmarks?folder_id=2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([1, 3]);
+            expect(res.body[0].folder_id).to.eql(2);
+          });
+      });
+    });
+
+    context('Given invalid query parameters', () => {
+      it('responds with 400 when \'limit\' is out of range', () => {
+        return supertest(app)
+          .get('/api/bookmarks?limit=0')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: '\'limit\' must be a number between 1 and 100' }
+          }));
+      });
+
+      it('responds with 400 when \'sort\' is not a sortable field', () => {
+        return supertest(app)
+          .get('/api/bookmarks?sort=url')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: '\'sort\' must be one of title, rating, created_at, popular' }
+          }));
+      });
+
+      it('responds with 400 when \'min_rating\' exceeds \'max_rating\'', () => {
+        return supertest(app)
+          .get('/api/bookmarks?min_rating=5&max_rating=2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: '\'min_rating\' must not be greater than \'max_rating\'' }
+          }));
       });
     });
 
@@ -115,6 +367,459 @@ describe('Bookmarks Endpoints', function() {
     });
   });
 
+  describe('GET /api/bookmarks/search', () => {
+    context('Given there are bookmarks in the database', () => {
+      const testBookmarks = makeBookmarksArray();
+
+      beforeEach('insert bookmarks', () => {
+        return db
+          .into('bookmarks')
+          .insert(testBookmarks);
+      });
+
+      it('responds with matching bookmarks ranked by relevance', () => {
+        return supertest(app)
+          .get('/api/bookmarks/search?q=documentation')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect('X-Total-Count', '1')
+          .expect(res => {
+            expect(res.body).to.have.lengthOf(1);
+            expect(res.body[0]).to.include(testBookmarks[2]);
+            expect(res.body[0].snippet).to.include('<mark>documentation</mark>');
+          });
+      });
+
+      it('matches stemmed words in the description', () => {
+        return supertest(app)
+          .get('/api/bookmarks/search?q=thinking')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([1]);
+          });
+      });
+
+      it('matches words in the URL', () => {
+        return supertest(app)
+          .get('/api/bookmarks/search?q=mozilla')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([3]);
+          });
+      });
+
+      it('supports prefix queries', () => {
+        return supertest(app)
+          .get('/api/bookmarks/search?q=doc*')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([3]);
+          });
+      });
+
+      it('supports phrase queries', () => {
+        return supertest(app)
+          .get(`/api/bookmarks/search?q=${encodeURIComponent('"find everything"')}`)
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([2]);
+          });
+      });
+    });
+
+    it('responds with 400 when \'q\' is missing', () => {
+      return supertest(app)
+        .get('/api/bookmarks/search')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: '\'q\' must contain at least one word to search for' }
+        }));
+    });
+  });
+
+  describe('POST /api/bookmarks/bulk', () => {
+    const testBookmarks = makeBookmarksArray();
+
+    beforeEach('insert bookmarks', () => {
+      return db.into('bookmarks').insert(testBookmarks)
+        .then(() => db.raw(
+          'SELECT setval(pg_get_serial_sequence(\'bookmarks\', \'id\'), (SELECT max(id) FROM bookmarks))'
+        ));
+    });
+
+    it('responds with 400 when \'operations\' is empty', () => {
+      return supertest(app)
+        .post('/api/bookmarks/bulk')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ operations: [] })
+        .expect(expectError(400, makeFieldsError({
+          field: 'operations',
+          code: 'too_short',
+          message: '\'operations\' must be an array of 1 to 1000 operations'
+        })));
+    });
+
+    it('applies create, update and delete operations atomically', () => {
+      return supertest(app)
+        .post('/api/bookmarks/bulk')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({
+          operations: [
+            { op: 'create', bookmark: { title: 'New', url: 'https://new.example.com', rating: 2 } },
+            { op: 'update', id: 1, bookmark: { rating: 1 } },
+            { op: 'delete', id: 2 }
+          ]
+        })
+        .expect(200)
+        .expect(res => {
+          expect(res.body.mode).to.eql('atomic');
+          expect(res.body.committed).to.be.true;
+          expect(res.body.results.map(result => [result.op, result.status, result.id]))
+            .to.eql([['create', 201, 4], ['update', 200, 1], ['delete', 204, 2]]);
+          expect(res.body.results[1].bookmark).to.eql(makeExpectedBookmark({
+            ...testBookmarks[0],
+            rating: 1
+          }));
+        })
+        .then(() => db('bookmarks').whereNull('deleted_at').orderBy('id').pluck('id'))
+        .then(ids => expect(ids).to.eql([1, 3, 4]));
+    });
+
+    it('rolls back every operation in atomic mode when one fails', () => {
+      return supertest(app)
+        .post('/api/bookmarks/bulk')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({
+          operations: [
+            { op: 'delete', id: 1 },
+            { op: 'create', bookmark: { title: 'No url', rating: 2 } },
+            { op: 'delete', id: 2 }
+          ]
+        })
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: 'Operation 1 failed; no changes were applied' },
+          mode: 'atomic',
+          committed: false,
+          results: [
+            { index: 0, op: 'delete', id: 1, status: 204 },
+            {
+              index: 1,
+              op: 'create',
+              status: 400,
+              ...makeFieldsError({ field: 'url', code: 'required', message: '\'url\' is required' })
+            }
+          ]
+        }))
+        .then(() => db('bookmarks').orderBy('id').pluck('id'))
+        .then(ids => expect(ids).to.eql([1, 2, 3]));
+    });
+
+    it('reports per-item results in best effort mode', () => {
+      return supertest(app)
+        .post('/api/bookmarks/bulk')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({
+          mode: 'best_effort',
+          operations: [
+            { op: 'delete', id: 1 },
+            { op: 'update', id: 2, bookmark: { url: 'htp://invalid-url' } },
+            { op: 'delete', id: 99 },
+            { op: 'archive', id: 3 },
+            { op: 'update', id: 3, bookmark: { title: 'Still MDN' } }
+          ]
+        })
+        .expect(200)
+        .expect(res => {
+          expect(res.body.committed).to.be.true;
+          expect(res.body.results.map(({ bookmark, ...result }) => result)).to.eql([
+            { index: 0, op: 'delete', id: 1, status: 204 },
+            {
+              index: 1,
+              op: 'update',
+              id: 2,
+              status: 400,
+              ...makeFieldsError({ field: 'url', code: 'invalid_format', message: '\'url\' must be a valid URL' })
+            },
+            { index: 2, op: 'delete', id: 99, status: 404, error: { code: 'not_found', message: 'Bookmark Not Found' } },
+            {
+              index: 3,
+              op: 'archive',
+              id: 3,
+              status: 400,
+              error: { code: 'invalid_request', message: '\'op\' must be one of create, update, delete' }
+            },
+            { index: 4, op: 'update', id: 3, status: 200 }
+          ]);
+        })
+        .then(() => db('bookmarks').whereNull('deleted_at').orderBy('id'))
+        .then(rows => {
+          expect(rows.map(row => row.id)).to.eql([2, 3]);
+          expect(rows[1].title).to.eql('Still MDN');
+        });
+    });
+  });
+
+  describe('POST /api/bookmarks/import', () => {
+    it('responds with 400 when the body is not a bookmark file', () => {
+      return supertest(app)
+        .post('/api/bookmarks/import')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('Content-Type', 'text/plain')
+        .send('not a bookmark file')
+        .expect(expectError(400, {
+          error: {
+            code: 'invalid_request',
+            message: 'Request body must be a bookmark file sent as text/html, text/csv or text/markdown, or a JSON backup'
+          }
+        }));
+    });
+
+    it('creates folders and bookmarks, reporting skipped and invalid entries', () => {
+      return supertest(app)
+        .post('/api/bookmarks/import?rating=4')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('Content-Type', 'text/html')
+        .send(makeNetscapeBookmarkFile())
+        .expect(200, {
+          created: 2,
+          skipped: 1,
+          invalid: 1,
+          errors: [
+            {
+              index: 1,
+              url: 'javascript:alert(1)',
+              message: '\'url\' must be a valid URL',
+              fields: [{ field: 'url', code: 'invalid_format', message: '\'url\' must be a valid URL' }]
+            }
+          ]
+        })
+        .then(() => Promise.all([
+          db('folders').orderBy('id'),
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        ]))
+        .then(([folders, res]) => {
+          expect(folders.map(folder => [folder.name, folder.parent_id]))
+            .to.eql([['Work & Study', null], ['Empty', folders[0].id]]);
+          expect(res.body).to.eql([
+            {
+              id: 1,
+              title: 'MDN',
+              url: 'https://developer.mozilla.org',
+              description: 'The only place to find web documentation',
+              rating: 4,
+              tags: ['docs', 'web'],
+              folder_id: folders[0].id,
+              visit_count: 0,
+              last_visited_at: null,
+              health: null,
+              metadata: null
+            },
+            makeExpectedBookmark({
+              id: 2,
+              title: 'Thinkful',
+              url: 'https://www.thinkful.com',
+              description: '',
+              rating: 4
+            })
+          ]);
+        });
+    });
+
+    it('skips bookmarks whose URL is already saved', () => {
+      const savedBookmarks = makeBookmarksArray()
+        .map(bookmark => ({ ...bookmark, canonical_url: canonicalizeUrl(bookmark.url) }));
+      return db.into('bookmarks').insert(savedBookmarks)
+        .then(() => db.raw(
+          'SELECT setval(pg_get_serial_sequence(\'bookmarks\', \'id\'), (SELECT max(id) FROM bookmarks))'
+        ))
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks/import')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .set('Content-Type', 'text/html')
+            .send(makeNetscapeBookmarkFile())
+            .expect(200)
+            .expect(res => {
+              expect(res.body).to.include({ created: 0, skipped: 3, invalid: 1 });
+            })
+        );
+    });
+  });
+
+  describe('GET /api/bookmarks/export', () => {
+    it('responds with 400 for an unsupported format', () => {
+      return supertest(app)
+        .get('/api/bookmarks/export?format=pdf')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, { error: { code: 'invalid_request', message: '\'format\' must be one of html, json, csv, md' } }));
+    });
+
+    it('round trips an imported bookmark file', () => {
+      return supertest(app)
+        .post('/api/bookmarks/import')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('Content-Type', 'text/html')
+        .send(makeNetscapeBookmarkFile())
+        .expect(200)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/export?format=html')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect('Content-Type', /text\/html/)
+            .expect('Content-Disposition', 'attachment; filename="bookmarks.html"')
+        )
+        .then(res => {
+          expect(res.text).to.include('<DT><H3>Work &amp; Study</H3>');
+          expect(res.text).to.include(
+            '<DT><A HREF="https://developer.mozilla.org" ADD_DATE="1600000100" TAGS="docs,web">MDN</A>'
+          );
+          expect(res.text).to.include('<DD>The only place to find web documentation');
+          return db.raw('TRUNCATE bookmarks, folders RESTART IDENTITY CASCADE')
+            .then(() =>
+              supertest(app)
+                .post('/api/bookmarks/import')
+                .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+                .set('Content-Type', 'text/html')
+                .send(res.text)
+                .expect(200)
+                .expect(importRes => {
+                  expect(importRes.body).to.include({ created: 2, skipped: 0, invalid: 0 });
+                })
+            );
+        });
+    });
+  });
+
+  describe('Duplicate bookmarks', () => {
+    const postBookmark = (bookmark, query = '') => supertest(app)
+      .post(`/api/bookmarks${query}`)
+      .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+      .send({ rating: 3, ...bookmark });
+
+    const postDuplicates = () => postBookmark({
+      title: 'Google', url: 'https://www.google.com', tags: ['search']
+    })
+      .then(() => postBookmark({
+        title: 'Google again',
+        url: 'HTTPS://WWW.Google.com:443/?utm_source=newsletter#top',
+        description: 'Search engine',
+        tags: ['web']
+      }, '?allow_duplicate=true'))
+      .then(() => postBookmark({ title: 'Example', url: 'https://example.com' }));
+
+    it('POST /api/bookmarks responds with 409 when an equivalent URL is already saved', () => {
+      return postBookmark({ title: 'Google', url: 'https://www.google.com/' })
+        .then(() =>
+          postBookmark({ title: 'Google', url: 'HTTPS://WWW.Google.com/?utm_source=x&fbclid=y#a' })
+            .expect(expectError(409, {
+              error: { code: 'conflict', message: 'A bookmark with this URL already exists', bookmark_id: 1 }
+            }))
+        );
+    });
+
+    it('PATCH /api/bookmarks/:id keeps the canonical URL in sync', () => {
+      return postBookmark({ title: 'Google', url: 'https://www.google.com' })
+        .then(() => supertest(app)
+          .patch('/api/bookmarks/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ url: 'https://example.com/page/' })
+          .expect(200))
+        .then(() => postBookmark({ title: 'Example', url: 'https://EXAMPLE.com/page' }).expect(409))
+        .then(() => postBookmark({ title: 'Google', url: 'https://www.google.com' }).expect(201));
+    });
+
+    it('backfills canonical URLs the way they are computed on insert', () => {
+      const olderBookmarks = [
+        { url: 'https://example.com/search?q=a%20b&flag&utm_source=x' },
+        { url: 'https://EXAMPLE.com/docs/./guide/../intro/' },
+      ];
+      return db.into('bookmarks')
+        .insert(olderBookmarks.map((bookmark, index) => ({ ...bookmark, title: `Old ${index}`, rating: 3 })))
+        .then(() => backfillCanonicalUrls(db, { batchSize: 1 }))
+        .then(updated => {
+          expect(updated).to.eql(2);
+          return db('bookmarks').orderBy('id').select('url', 'canonical_url');
+        })
+        .then(rows => {
+          rows.forEach(row => expect(row.canonical_url).to.eql(canonicalizeUrl(row.url)));
+          return Promise.all(olderBookmarks.map(({ url }) => postBookmark({ title: 'Again', url }).expect(409)));
+        })
+        .then(() => backfillCanonicalUrls(db))
+        .then(updated => expect(updated).to.eql(0));
+    });
+
+    it('GET /api/bookmarks/duplicates responds with clusters of equivalent bookmarks', () => {
+      return postDuplicates()
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/duplicates')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect(res => {
+              expect(res.body).to.have.lengthOf(1);
+              expect(res.body[0].canonical_url).to.eql('https://www.google.com');
+              expect(res.body[0].bookmarks.map(bookmark => bookmark.id)).to.eql([1, 2]);
+            })
+        );
+    });
+
+    it('POST /api/bookmarks/duplicates/merge merges tags and removes the sources', () => {
+      return postDuplicates()
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks/duplicates/merge')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send({ target_id: 1, source_ids: [2] })
+            .expect(200)
+            .expect(res => {
+              expect(res.body).to.include({
+                id: 1,
+                url: 'https://www.google.com',
+                description: 'Search engine'
+              });
+              expect(res.body.tags).to.eql(['search', 'web']);
+            })
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/2')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(404)
+        );
+    });
+
+    it('POST /api/bookmarks/duplicates/merge responds with 400 for bookmarks with different URLs', () => {
+      return postDuplicates()
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks/duplicates/merge')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send({ target_id: 1, source_ids: [3] })
+            .expect(expectError(400, {
+              error: { code: 'invalid_request', message: 'Only bookmarks with the same URL can be merged' }
+            }))
+        );
+    });
+
+    it('POST /api/bookmarks/duplicates/merge responds with 404 for a missing bookmark', () => {
+      return postDuplicates()
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks/duplicates/merge')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send({ target_id: 1, source_ids: [99] })
+            .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }))
+        );
+    });
+  });
+
   describe('GET /api/bookmarks/:bookmark_id', () => {
     context('Given no bookmarks', () => {
       it('responds with 404', () => {
@@ -122,7 +827,7 @@ describe('Bookmarks Endpoints', function() {
         return supertest(app)
           .get(`/api/bookmarks/${articleId}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .expect(404, { error: { message: 'Bookmark Not Found' } });
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
       });
     });
 
@@ -135,7 +840,7 @@ describe('Bookmarks Endpoints', function() {
       });
       it('responds with 200 and the specified bookmark', () => {
         const bookmarkId = 2;
-        const expectedBookmark = testBookmarks[bookmarkId - 1];
+        const expectedBookmark = makeExpectedBookmark(testBookmarks[bookmarkId - 1]);
         return supertest(app)
           .get(`/api/bookmarks/${bookmarkId}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
@@ -167,7 +872,7 @@ describe('Bookmarks Endpoints', function() {
   });
 
   describe('POST /api/bookmarks', () => {
-    ['title', 'url', 'rating'].forEach(field => {
+    ['url', 'rating'].forEach(field => {
       const newBookmark = {
         title: 'Test-Title',
         url: 'https://test.com',
@@ -180,25 +885,66 @@ describe('Bookmarks Endpoints', function() {
           .post('/api/bookmarks')
           .send(newBookmark)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .expect(400, {
-            error: { message: `'${field}' is required` }
-          });
+          .expect(expectError(400, makeFieldsError({ field, code: 'required', message: `'${field}' is required` })));
       });
     });
 
-    it('responds with 400 invalid \'rating\' if not between 0 and 5', () => {
-      const newBookmarkInvalidRating = {
-        title: 'test-title',
-        url: 'https://test.com',
-        rating: 'invalid',
-      };
+    [['invalid', 'invalid_type'], [0, 'out_of_range'], [6, 'out_of_range']].forEach(([rating, code]) => {
+      it(`responds with 400 invalid 'rating' ${JSON.stringify(rating)} if not between 1 and 5`, () => {
+        return supertest(app)
+          .post('/api/bookmarks')
+          .send({ title: 'test-title', url: 'https://test.com', rating })
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(400, makeFieldsError({
+            field: 'rating',
+            code,
+            message: '\'rating\' must be a number between 1 and 5'
+          })));
+      });
+    });
+
+    it('responds with 400 listing every invalid field at once', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .send({
+          title: 'x'.repeat(501),
+          url: 'htp://invalid-url',
+          description: 'x'.repeat(5001),
+          rating: 0,
+          folder_id: null,
+          id: 12
+        })
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, makeFieldsError(
+          { field: 'title', code: 'too_long', message: '\'title\' must be at most 500 characters' },
+          { field: 'url', code: 'invalid_format', message: '\'url\' must be a valid URL' },
+          { field: 'description', code: 'too_long', message: '\'description\' must be at most 5000 characters' },
+          { field: 'rating', code: 'out_of_range', message: '\'rating\' must be a number between 1 and 5' },
+          { field: 'id', code: 'unknown_field', message: '\'id\' is not a recognized field' }
+        )));
+    });
+
+    it('responds with 400 when \'title\' is blank or null', () => {
       return supertest(app)
         .post('/api/bookmarks')
-        .send(newBookmarkInvalidRating)
+        .send({ title: '  ', url: 'https://test.com', rating: 1 })
         .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-        .expect(400, {
-          error: { message: '\'rating\' must be a number between 0 and 5' }
-        });
+        .expect(expectError(400, makeFieldsError({
+          field: 'title',
+          code: 'too_short',
+          message: '\'title\' must not be empty'
+        })))
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks')
+            .send({ title: null, url: 'https://test.com', rating: 1 })
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(expectError(400, makeFieldsError({
+              field: 'title',
+              code: 'not_nullable',
+              message: '\'title\' cannot be null'
+            })))
+        );
     });
 
     it('responds with 400 invalid \'url\' if not a valid URL', () => {
@@ -211,9 +957,11 @@ describe('Bookmarks Endpoints', function() {
         .post('/api/bookmarks')
         .send(newBookmarkInvalidUrl)
         .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-        .expect(400, {
-          error: { message: '\'url\' must be a valid URL' }
-        });
+        .expect(expectError(400, makeFieldsError({
+          field: 'url',
+          code: 'invalid_format',
+          message: '\'url\' must be a valid URL'
+        })));
     });
 
     it('creates a bookmark, responding with 201 and the new bookmark', function () {
@@ -245,8 +993,88 @@ describe('Bookmarks Endpoints', function() {
         );
     });
 
+    it('creates a bookmark with tags, creating tags that do not exist yet', () => {
+      const newBookmark = {
+        title: 'Tagged Bookmark',
+        url: 'https://www.tagged.com',
+        rating: 4,
+        tags: ['Reading', ' news ', 'reading']
+      };
+      return supertest(app)
+        .post('/api/bookmarks')
+        .send(newBookmark)
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(201)
+        .expect(res => {
+          expect(res.body.tags).to.eql(['news', 'Reading']);
+        })
+        .then(() =>
+          supertest(app)
+            .get('/api/tags')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(res => {
+              expect(res.body.map(tag => tag.name)).to.eql(['news', 'Reading']);
+            })
+        );
+    });
+
+    it('responds with 400 when \'tags\' is not an array of names', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .send({ title: 'test-title', url: 'https://test.com', rating: 1, tags: 'news' })
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, makeFieldsError({
+          field: 'tags',
+          code: 'invalid_type',
+          message: '\'tags\' must be an array of tag names'
+        })));
+    });
+
+    it('responds with 400 when \'folder_id\' does not reference a folder', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .send({ title: 'test-title', url: 'https://test.com', rating: 1, folder_id: 99 })
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, makeFieldsError({
+          field: 'folder_id',
+          code: 'not_found',
+          message: '\'folder_id\' must reference an existing folder'
+        })));
+    });
+
+    context('Given there are folders in the database', () => {
+      beforeEach('insert folders', () => db.into('folders').insert(makeFoldersArray()));
+
+      it('creates a bookmark inside the given folder', () => {
+        return supertest(app)
+          .post('/api/bookmarks')
+          .send({ title: 'test-title', url: 'https://test.com', rating: 1, folder_id: 3 })
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(201)
+          .expect(res => {
+            expect(res.body.folder_id).to.eql(3);
+          });
+      });
+    });
+
+    it('removes XSS attack content from tags', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .send({
+          title: 'test-title',
+          url: 'https://test.com',
+          rating: 1,
+          tags: ['<script>alert("xss");</script>']
+        })
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(201)
+        .expect(res => {
+          expect(res.body.tags).to.eql(['&lt;script&gt;alert("xss");&lt;/script&gt;']);
+        });
+    });
+
     it('removes XSS attack content', () => {
-      const { maliciousBookmark, expectedBookmark } = makeMaliciousBookmark();
+      const { maliciousBookmark: { id, ...maliciousBookmark }, expectedBookmark } = makeMaliciousBookmark();
       return supertest(app)
         .post('/api/bookmarks')
         .send(maliciousBookmark)
@@ -259,6 +1087,131 @@ describe('Bookmarks Endpoints', function() {
     });
   });
 
+  describe('Bookmark revisions', () => {
+    const testUsers = makeUsersArray();
+    const [alice] = testUsers;
+
+    const createAndEdit = (authHeader = `Bearer ${process.env.API_TOKEN}`) => supertest(app)
+      .post('/api/bookmarks')
+      .set('Authorization', authHeader)
+      .send({ title: 'Original', url: 'https://www.original.com', rating: 3, tags: ['news'] })
+      .expect(201)
+      .then(() => supertest(app)
+        .patch('/api/bookmarks/1')
+        .set('Authorization', authHeader)
+        .send({ title: 'Edited', rating: 5, tags: ['news', 'daily'] })
+        .expect(200));
+
+    const getHistory = (authHeader = `Bearer ${process.env.API_TOKEN}`) => supertest(app)
+      .get('/api/bookmarks/1/history')
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    it('GET /api/bookmarks/:id/history lists the changes newest first', () => {
+      return createAndEdit()
+        .then(() => getHistory())
+        .then(res => {
+          expect(res.headers['x-total-count']).to.eql('2');
+          const [update, create] = res.body;
+          expect(update).to.include({ id: 2, action: 'update' });
+          expect(update.actor).to.eql({ type: 'token', user_id: null, key_id: null });
+          expect(update.changed_fields).to.eql(['title', 'rating', 'tags']);
+          expect(update.old_values).to.eql({ title: 'Original', rating: 3, tags: ['news'] });
+          expect(update.new_values).to.eql({ title: 'Edited', rating: 5, tags: ['daily', 'news'] });
+          expect(create).to.include({ id: 1, action: 'create' });
+          expect(create.changed_fields).to.eql(['title', 'url', 'rating', 'tags']);
+          expect(create.new_values).to.include({ title: 'Original', url: 'https://www.original.com' });
+        });
+    });
+
+    it('records the user who made each change', () => {
+      return seedUsers(db, testUsers)
+        .then(() => createAndEdit(makeAuthHeader(alice)))
+        .then(() => getHistory(makeAuthHeader(alice)))
+        .then(res => {
+          res.body.forEach(revision => {
+            expect(revision.actor).to.eql({ type: 'user', user_id: alice.id, key_id: null });
+          });
+        });
+    });
+
+    it('records moving a bookmark to the trash and restoring it', () => {
+      return createAndEdit()
+        .then(() => supertest(app)
+          .delete('/api/bookmarks/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(204))
+        .then(() => supertest(app)
+          .post('/api/trash/1/restore')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200))
+        .then(() => getHistory())
+        .then(res => {
+          expect(res.body.map(revision => revision.action))
+            .to.eql(['restore', 'delete', 'update', 'create']);
+          expect(res.body[1].changed_fields).to.eql(['deleted_at']);
+          expect(res.body[1].old_values).to.eql({ deleted_at: null });
+        });
+    });
+
+    it('removes XSS attack content from recorded values', () => {
+      const { maliciousBookmark, expectedBookmark } = makeMaliciousBookmark();
+      return db.into('bookmarks').insert(makeBookmarksArray())
+        .then(() => supertest(app)
+          .patch('/api/bookmarks/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ title: maliciousBookmark.title, description: maliciousBookmark.description })
+          .expect(200))
+        .then(() => getHistory())
+        .then(res => {
+          expect(res.body[0].new_values).to.eql({
+            title: expectedBookmark.title,
+            description: expectedBookmark.description
+          });
+        });
+    });
+
+    it('POST /api/bookmarks/:id/revert/:revision_id puts back the values a revision replaced', () => {
+      return createAndEdit()
+        .then(() => supertest(app)
+          .post('/api/bookmarks/1/revert/2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body).to.include({ id: 1, title: 'Original', rating: 3 });
+          expect(res.body.tags).to.eql(['news']);
+          return getHistory();
+        })
+        .then(res => {
+          expect(res.body[0]).to.include({ id: 3, action: 'revert' });
+          expect(res.body[0].new_values).to.eql({ title: 'Original', rating: 3, tags: ['news'] });
+        });
+    });
+
+    it('POST /api/bookmarks/:id/revert/:revision_id responds with 400 for a create revision', () => {
+      return createAndEdit()
+        .then(() => supertest(app)
+          .post('/api/bookmarks/1/revert/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: 'Only update and revert revisions can be reverted' }
+          })));
+    });
+
+    it('POST /api/bookmarks/:id/revert/:revision_id responds with 404 for another bookmark\'s revision', () => {
+      return createAndEdit()
+        .then(() => supertest(app)
+          .post('/api/bookmarks')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ title: 'Other', url: 'https://www.other.com', rating: 1 })
+          .expect(201))
+        .then(() => supertest(app)
+          .post('/api/bookmarks/2/revert/2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Revision Not Found' } })));
+    });
+  });
+
   describe('DELETE /api/bookmarks/:bookmark_id', () => {
     context('Given no bookmarks', () => {
       it('responds with 404', () => {
@@ -266,7 +1219,7 @@ describe('Bookmarks Endpoints', function() {
         return supertest(app)
           .delete(`/api/bookmarks/${bookmarkId}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .expect(404, { error: { message: 'Bookmark Not Found' } });
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
       });
     });
 
@@ -281,7 +1234,9 @@ describe('Bookmarks Endpoints', function() {
 
       it('responds with 204 and removes the bookmark', () => {
         const idToRemove = 2;
-        const expectedBookmarks = testBookmarks.filter(bookmark => bookmark.id !== idToRemove);
+        const expectedBookmarks = testBookmarks
+          .filter(bookmark => bookmark.id !== idToRemove)
+          .map(makeExpectedBookmark);
         return supertest(app)
           .delete(`/api/bookmarks/${idToRemove}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
@@ -296,14 +1251,14 @@ describe('Bookmarks Endpoints', function() {
     });
   });
 
-  describe.only('PATCH /api/bookmarks/:bookmark_id', () => {
+  describe('PATCH /api/bookmarks/:bookmark_id', () => {
     context('Given no bookmarks', () => {
       it('responds with 404', () => {
         const bookmarkId = 123456;
         return supertest(app)
           .delete(`/api/bookmarks/${bookmarkId}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .expect(404, { error: { message: 'Bookmark Not Found' } });
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
       });
     });
 
@@ -316,7 +1271,7 @@ describe('Bookmarks Endpoints', function() {
           .insert(testBookmarks);
       });
 
-      it('responds with 204 and updates the bookmark', () => {
+      it('responds with 200 and the updated bookmark', () => {
         const idToUpdate = 2;
         const updateBookmark = {
           title: 'Updated Bookmark Title',
@@ -324,16 +1279,16 @@ describe('Bookmarks Endpoints', function() {
           url: 'https://www.updated.com',
           rating: 3   
         };
-        const expectedBookmark = {
+        const expectedBookmark = makeExpectedBookmark({
           ...testBookmarks[idToUpdate - 1],
           ...updateBookmark
-        };
+        });
 
         return supertest(app)
           .patch(`/api/bookmarks/${idToUpdate}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
           .send(updateBookmark)
-          .expect(204)
+          .expect(200, expectedBookmark)
           .then(res => 
             supertest(app)
               .get(`/api/bookmarks/${idToUpdate}`)
@@ -342,37 +1297,107 @@ describe('Bookmarks Endpoints', function() {
           );
       });
 
+      it('responds with 200 and replaces the bookmark\'s tags', () => {
+        const idToUpdate = 2;
+        return supertest(app)
+          .patch(`/api/bookmarks/${idToUpdate}`)
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ tags: ['search', 'engines'] })
+          .expect(200)
+          .then(() =>
+            supertest(app)
+              .patch(`/api/bookmarks/${idToUpdate}`)
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .send({ tags: ['engines'] })
+              .expect(200)
+          )
+          .then(() =>
+            supertest(app)
+              .get(`/api/bookmarks/${idToUpdate}`)
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(makeExpectedBookmark({
+                ...testBookmarks[idToUpdate - 1],
+                tags: ['engines']
+              }))
+          );
+      });
+
+      it('responds with 200 and moves the bookmark out of its folder with a null \'folder_id\'', () => {
+        const idToUpdate = 2;
+        return db.into('folders').insert(makeFoldersArray())
+          .then(() => db('bookmarks').where('id', idToUpdate).update({ folder_id: 1 }))
+          .then(() =>
+            supertest(app)
+              .patch(`/api/bookmarks/${idToUpdate}`)
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .send({ folder_id: null })
+              .expect(200)
+          )
+          .then(() =>
+            supertest(app)
+              .get(`/api/bookmarks/${idToUpdate}`)
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(makeExpectedBookmark(testBookmarks[idToUpdate - 1]))
+          );
+      });
+
       it('responds with 400 when no required fields supplied', () => {
         const idToUpdate = 2;
         return supertest(app)
           .patch(`/api/bookmarks/${idToUpdate}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .send({ irrelevantField: 'foo' })
-          .expect(400, {
-            error: {
-              message: 'Request body must contain either \'title\', \'url\', \'description\', or \'rating\''
-            }
+          .send({})
+          .expect(expectError(400, makeFieldsError({
+            field: null,
+            code: 'empty',
+            message: 'Request body must contain either \'title\', \'url\', \'description\', \'rating\', \'tags\', or \'folder_id\''
+          })));
+      });
+
+      it('responds with 400 when given fields it does not recognize', () => {
+        const idToUpdate = 2;
+        return supertest(app)
+          .patch(`/api/bookmarks/${idToUpdate}`)
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ title: 'Updated', irrelevantField: 'foo' })
+          .expect(expectError(400, makeFieldsError({
+            field: 'irrelevantField',
+            code: 'unknown_field',
+            message: '\'irrelevantField\' is not a recognized field'
+          })));
+      });
+
+      it('clears optional fields set to null', () => {
+        const idToUpdate = 2;
+        return supertest(app)
+          .patch(`/api/bookmarks/${idToUpdate}`)
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ description: null })
+          .expect(200)
+          .expect(res => {
+            expect(res.body.description).to.eql('');
+          })
+          .then(() => db('bookmarks').where('id', idToUpdate).first())
+          .then(row => {
+            expect(row.description).to.be.null;
           });
       });
 
-      it('responds with 204 when updating only a subset of fields given', () => {
+      it('responds with 200 when updating only a subset of fields given', () => {
         const idToUpdate = 2;
         const updateBookmark = {
           title: 'Updated Bookmark Title'
         };
-        const expectedBookmark = {
+        const expectedBookmark = makeExpectedBookmark({
           ...testBookmarks[idToUpdate - 1],
           ...updateBookmark
-        };
+        });
 
         return supertest(app)
           .patch(`/api/bookmarks/${idToUpdate}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
-          .send({
-            ...updateBookmark,
-            fieldToIgnore: 'should be in the GET response'
-          })
-          .expect(204)
+          .send(updateBookmark)
+          .expect(200, expectedBookmark)
           .then(res => 
             supertest(app)
               .get(`/api/bookmarks/${idToUpdate}`)  
@@ -381,20 +1406,20 @@ describe('Bookmarks Endpoints', function() {
           );
       });
 
-      it('responds with 400 invalid \'rating\' if not between 0 and 5', () => {
+      it('responds with 400 invalid \'rating\' if not between 1 and 5', () => {
         const idToUpdate = 2;
         const updateInvalidRating = {
-          rating: 'invalid'
+          rating: 0
         };
         return supertest(app)
           .patch(`/api/bookmarks/${idToUpdate}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
           .send(updateInvalidRating)
-          .expect(400, {
-            error: {
-              message: '\'rating\' must be a number between 0 and 5'
-            }
-          });
+          .expect(expectError(400, makeFieldsError({
+            field: 'rating',
+            code: 'out_of_range',
+            message: '\'rating\' must be a number between 1 and 5'
+          })));
       });
 
       it('responds with 400 invalid \'url\' if not a valid URL', () => {
@@ -406,13 +1431,109 @@ describe('Bookmarks Endpoints', function() {
           .patch(`/api/bookmarks/${idToUpdate}`)
           .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
           .send(updateInvalidUrl)
-          .expect(400, {
-            error: {
-              message: '\'url\' must be a valid URL'
-            }
-          });
+          .expect(expectError(400, makeFieldsError({
+            field: 'url',
+            code: 'invalid_format',
+            message: '\'url\' must be a valid URL'
+          })));
       });
 
     });
   });
+
+  describe('Conditional requests', () => {
+    const testBookmarks = makeBookmarksArray();
+    const idToUpdate = 2;
+    const preconditionFailed = {
+      error: { code: 'precondition_failed', message: 'Bookmark has been modified since it was last fetched' }
+    };
+
+    beforeEach('insert bookmarks', () => {
+      return db.into('bookmarks').insert(testBookmarks);
+    });
+
+    it('GET /api/bookmarks/:id responds with an ETag and 304 when it still matches', () => {
+      return supertest(app)
+        .get(`/api/bookmarks/${idToUpdate}`)
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(200)
+        .expect('ETag', '"1"')
+        .then(() =>
+          supertest(app)
+            .get(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .set('If-None-Match', '"1"')
+            .expect(304)
+        );
+    });
+
+    it('PATCH /api/bookmarks/:id responds with 412 when If-Match is stale', () => {
+      return supertest(app)
+        .patch(`/api/bookmarks/${idToUpdate}`)
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'First edit' })
+        .expect(200)
+        .expect('ETag', '"2"')
+        .then(() =>
+          supertest(app)
+            .patch(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .set('If-Match', '"1"')
+            .send({ title: 'Second edit' })
+            .expect(expectError(412, preconditionFailed))
+        )
+        .then(() =>
+          supertest(app)
+            .get(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(res => expect(res.body.title).to.eql('First edit'))
+        );
+    });
+
+    it('PATCH /api/bookmarks/:id accepts If-Match: *', () => {
+      return supertest(app)
+        .patch(`/api/bookmarks/${idToUpdate}`)
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('If-Match', '*')
+        .send({ rating: 1 })
+        .expect(200);
+    });
+
+    it('DELETE /api/bookmarks/:id responds with 412 when If-Match is stale', () => {
+      return db('bookmarks').where('id', idToUpdate).update({ version: 5 })
+        .then(() =>
+          supertest(app)
+            .delete(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .set('If-Match', '"4"')
+            .expect(expectError(412, preconditionFailed))
+        )
+        .then(() =>
+          supertest(app)
+            .delete(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .set('If-Match', '"4", "5"')
+            .expect(204)
+        );
+    });
+
+    it('renaming a tag changes the ETag of the bookmarks carrying it', () => {
+      return db.into('tags').insert(makeTagsArray())
+        .then(() => db.into('bookmark_tags').insert(makeBookmarkTagsArray()))
+        .then(() =>
+          supertest(app)
+            .patch('/api/tags/1')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send({ name: 'renamed' })
+            .expect(200)
+        )
+        .then(() =>
+          supertest(app)
+            .get(`/api/bookmarks/${idToUpdate}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect('ETag', '"2"')
+        );
+    });
+  });
 });
\ No newline at end of file
@@ -27,6 +27,18 @@ function makeBookmarksArray() {
   ];
 }
 
+function makeExpectedBookmark(bookmark) {
+  return {
+    tags: [],
+    folder_id: null,
+    visit_count: 0,
+    last_visited_at: null,
+    health: null,
+    metadata: null,
+    ...bookmark
+  };
+}
+
 function makeMaliciousBookmark() {
   const maliciousBookmark = {
     id: 911,
@@ -46,7 +58,30 @@ function makeMaliciousBookmark() {
   };
 }
 
+function makeNetscapeBookmarkFile() {
+  return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1600000000">Work &amp; Study</H3>
+    <DL><p>
+        <DT><A HREF="https://developer.mozilla.org" ADD_DATE="1600000100" TAGS="docs,web">MDN</A>
+        <DD>The only place to find web documentation
+        <DT><H3>Empty</H3>
+        <DL><p>
+        </DL><p>
+        <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+    </DL><p>
+    <DT><A HREF="https://www.thinkful.com">Thinkful</A>
+    <DT><A HREF="https://www.thinkful.com">Thinkful again</A>
+</DL><p>
+`;
+}
+
 module.exports = { 
   makeBookmarksArray, 
-  makeMaliciousBookmark
+  makeExpectedBookmark,
+  makeMaliciousBookmark,
+  makeNetscapeBookmarkFile
 };
\ No newline at end of file
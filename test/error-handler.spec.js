@@ -0,0 +1,161 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const express = require('express');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const assignRequestId = require('../src/request-id');
+const { errorHandler } = require('../src/error-handler');
+const { NotFoundError, ConflictError, ValidationError } = require('../src/errors');
+const { cleanTables, expectError } = require('./test-helpers');
+
+// Serves whatever error the test hands it through the real error handling
+function makeErrorApp(error) {
+  const errorApp = express();
+  errorApp.use(assignRequestId);
+  errorApp.get('/', (req, res, next) => next(error));
+  errorApp.use(errorHandler);
+  return errorApp;
+}
+
+describe('Error handling', function () {
+  let db;
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  describe('Typed errors', () => {
+    it('responds with the status, code and details of the error', () => {
+      return supertest(makeErrorApp(new ConflictError('Taken', { bookmark_id: 7 })))
+        .get('/')
+        .expect(expectError(409, {
+          error: { code: 'conflict', message: 'Taken', bookmark_id: 7 }
+        }));
+    });
+
+    it('lists the fields of a validation error', () => {
+      const fields = [{ field: 'title', code: 'required', message: '\'title\' is required' }];
+      return supertest(makeErrorApp(new ValidationError('\'title\' is required', fields)))
+        .get('/')
+        .expect(expectError(400, {
+          error: { code: 'validation_failed', message: '\'title\' is required', fields }
+        }));
+    });
+
+    it('responds with 404 by default', () => {
+      return supertest(makeErrorApp(new NotFoundError()))
+        .get('/')
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Not Found' } }));
+    });
+  });
+
+  describe('Postgres errors', () => {
+    const pgError = (code, message) => Object.assign(new Error(message), { code });
+
+    it('translates unique violations to 409', () => {
+      return supertest(makeErrorApp(pgError('23505', 'duplicate key value violates unique constraint')))
+        .get('/')
+        .expect(expectError(409, {
+          error: { code: 'conflict', message: 'A record with these values already exists' }
+        }));
+    });
+
+    it('translates invalid enum and integer input to 400', () => {
+      return supertest(makeErrorApp(pgError('22P02', 'invalid input value for enum star_rating: "0"')))
+        .get('/')
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: 'A value in the request has an invalid format' }
+        }));
+    });
+
+    it('responds with 400 for GET /api/bookmarks/:id with an id that is not a number', () => {
+      return supertest(app)
+        .get('/api/bookmarks/abc')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: 'A value in the request has an invalid format' }
+        }));
+    });
+  });
+
+  describe('Unexpected errors', () => {
+    it('responds with 500 without exposing the error itself', () => {
+      const error = Object.assign(new Error('connection refused'), { secret: 'hunter2' });
+      return supertest(makeErrorApp(error))
+        .get('/')
+        .expect(expectError(500, {
+          error: { code: 'internal_error', message: 'connection refused' }
+        }));
+    });
+  });
+
+  describe('Request bodies', () => {
+    it('responds with 400 when the body is not valid JSON', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('Content-Type', 'application/json')
+        .send('{"title":')
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: 'Request body is not valid JSON' }
+        }));
+    });
+
+    it('responds with 413 when the body is too large', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ title: 'x'.repeat(200 * 1024), url: 'https://example.com', rating: 3 })
+        .expect(expectError(413, {
+          error: { code: 'payload_too_large', message: 'Request body is too large' }
+        }));
+    });
+  });
+
+  describe('Request ids', () => {
+    it('responds with 404 and a request id for unknown routes', () => {
+      return supertest(app)
+        .get('/api/nothing-here')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(404, {
+          error: { code: 'not_found', message: 'Cannot GET /api/nothing-here' }
+        }));
+    });
+
+    it('keeps a well-formed X-Request-Id sent by the client', () => {
+      return supertest(app)
+        .get('/api/bookmarks/999')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('X-Request-Id', 'proxy-1234')
+        .expect(404)
+        .expect('X-Request-Id', 'proxy-1234')
+        .expect(res => {
+          expect(res.body.error.request_id).to.eql('proxy-1234');
+        });
+    });
+
+    it('replaces a malformed X-Request-Id', () => {
+      return supertest(app)
+        .get('/')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .set('X-Request-Id', 'not a valid id / at all')
+        .expect(200)
+        .expect(res => {
+          expect(res.headers['x-request-id']).to.match(/^[0-9a-f-]{36}$/);
+        });
+    });
+  });
+});
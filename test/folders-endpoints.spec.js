@@ -0,0 +1,277 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeFoldersArray } = require('./folders.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  expectError,
+  makeFieldsError,
+  seedUsers,
+  makeAuthHeader
+} = require('./test-helpers');
+
+describe('Folders Endpoints', function() {
+  let db;
+
+  const testFolders = makeFoldersArray();
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  function insertFoldersWithBookmarks() {
+    return db.into('folders').insert(testFolders)
+      .then(() => db.into('bookmarks').insert(makeBookmarksArray()))
+      .then(() => db('bookmarks').where('id', 1).update({ folder_id: 1 }))
+      .then(() => db('bookmarks').where('id', 3).update({ folder_id: 4 }));
+  }
+
+  describe('GET /api/folders', () => {
+    context('Given there are folders in the database', () => {
+      beforeEach('insert folders', insertFoldersWithBookmarks);
+
+      it('responds with 200 and all folders with their bookmark counts', () => {
+        return supertest(app)
+          .get('/api/folders')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, [
+            { id: 3, name: 'Personal', parent_id: null, bookmark_count: 0 },
+            { id: 2, name: 'Reference', parent_id: 1, bookmark_count: 0 },
+            { id: 4, name: 'Web', parent_id: 2, bookmark_count: 1 },
+            { id: 1, name: 'Work', parent_id: null, bookmark_count: 1 }
+          ]);
+      });
+    });
+  });
+
+  describe('Folders belonging to users', () => {
+    const [alice, bob] = makeUsersArray();
+
+    // Alice owns the Work tree and bookmarks 1 and 3; Bob owns Personal
+    beforeEach('insert users\' folders', () => seedUsers(db, [alice, bob])
+      .then(insertFoldersWithBookmarks)
+      .then(() => db('folders').whereIn('id', [1, 2, 4]).update({ user_id: alice.id }))
+      .then(() => db('folders').where('id', 3).update({ user_id: bob.id }))
+      .then(() => db('bookmarks').whereIn('id', [1, 3]).update({ user_id: alice.id }))
+      .then(() => db.raw(
+        'SELECT setval(pg_get_serial_sequence(\'folders\', \'id\'), (SELECT max(id) FROM folders))'
+      )));
+
+    it('lists only the user\'s own folders', () => {
+      return supertest(app)
+        .get('/api/folders')
+        .set('Authorization', makeAuthHeader(bob))
+        .expect(200, [{ id: 3, name: 'Personal', parent_id: null, bookmark_count: 0 }]);
+    });
+
+    it('responds with 404 for another user\'s folder', () => {
+      return supertest(app)
+        .get('/api/folders/1')
+        .set('Authorization', makeAuthHeader(bob))
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Folder Not Found' } }));
+    });
+
+    it('creates folders owned by the user', () => {
+      return supertest(app)
+        .post('/api/folders')
+        .set('Authorization', makeAuthHeader(bob))
+        .send({ name: 'Recipes', parent_id: 3 })
+        .expect(201)
+        .then(res => db('folders').where('id', res.body.id).first())
+        .then(folder => expect(folder.user_id).to.eql(bob.id));
+    });
+
+    it('refuses to file a bookmark in another user\'s folder', () => {
+      return supertest(app)
+        .post('/api/bookmarks')
+        .set('Authorization', makeAuthHeader(bob))
+        .send({ title: 'Node', url: 'https://nodejs.org', rating: 4, folder_id: 1 })
+        .expect(expectError(400, makeFieldsError({
+          field: 'folder_id',
+          code: 'not_found',
+          message: '\'folder_id\' must reference an existing folder'
+        })));
+    });
+
+    it('exports only the user\'s own folders', () => {
+      return supertest(app)
+        .get('/api/bookmarks/export?format=json')
+        .set('Authorization', makeAuthHeader(bob))
+        .expect(200)
+        .expect(res => {
+          expect(JSON.parse(res.text).folders.map(folder => folder.id)).to.eql([3]);
+        });
+    });
+  });
+
+  describe('GET /api/folders/tree', () => {
+    context('Given there are folders in the database', () => {
+      beforeEach('insert folders', insertFoldersWithBookmarks);
+
+      it('responds with 200 and the nested folder hierarchy', () => {
+        return supertest(app)
+          .get('/api/folders/tree')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, [
+            { id: 3, name: 'Personal', parent_id: null, bookmark_count: 0, children: [] },
+            {
+              id: 1, name: 'Work', parent_id: null, bookmark_count: 1, children: [
+                {
+                  id: 2, name: 'Reference', parent_id: 1, bookmark_count: 0, children: [
+                    { id: 4, name: 'Web', parent_id: 2, bookmark_count: 1, children: [] }
+                  ]
+                }
+              ]
+            }
+          ]);
+      });
+    });
+  });
+
+  describe('POST /api/folders', () => {
+    it('creates a top level folder, responding with 201 and the new folder', () => {
+      return supertest(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Recipes' })
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.eql({ id: res.body.id, name: 'Recipes', parent_id: null, bookmark_count: 0 });
+          expect(res.headers.location).to.eql(`/api/folders/${res.body.id}`);
+        });
+    });
+
+    it('removes XSS attack content from the folder name', () => {
+      return supertest(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Naughty <script>alert("xss");</script>' })
+        .expect(201)
+        .expect(res => {
+          expect(res.body.name).to.eql('Naughty &lt;script&gt;alert("xss");&lt;/script&gt;');
+        });
+    });
+
+    it('responds with 400 when the parent folder does not exist', () => {
+      return supertest(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Orphan', parent_id: 99 })
+        .expect(expectError(400, { error: { code: 'invalid_request', message: '\'parent_id\' must reference an existing folder' } }));
+    });
+  });
+
+  describe('PATCH /api/folders/:folder_id', () => {
+    it('responds with 404 when the folder does not exist', () => {
+      return supertest(app)
+        .patch('/api/folders/123456')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'Renamed' })
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Folder Not Found' } }));
+    });
+
+    context('Given there are folders in the database', () => {
+      beforeEach('insert folders', insertFoldersWithBookmarks);
+
+      it('moves the folder under a new parent', () => {
+        return supertest(app)
+          .patch('/api/folders/2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ parent_id: 3 })
+          .expect(200, { id: 2, name: 'Reference', parent_id: 3, bookmark_count: 0 });
+      });
+
+      it('moves the folder to the top level with a null \'parent_id\'', () => {
+        return supertest(app)
+          .patch('/api/folders/4')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ parent_id: null })
+          .expect(200, { id: 4, name: 'Web', parent_id: null, bookmark_count: 1 });
+      });
+
+      it('responds with 400 when moving a folder into one of its subfolders', () => {
+        return supertest(app)
+          .patch('/api/folders/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ parent_id: 4 })
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: 'A folder cannot be moved into itself or one of its subfolders' }
+          }));
+      });
+    });
+  });
+
+  describe('DELETE /api/folders/:folder_id', () => {
+    context('Given there are folders in the database', () => {
+      beforeEach('insert folders', insertFoldersWithBookmarks);
+
+      it('responds with 204 and removes an empty folder', () => {
+        return supertest(app)
+          .delete('/api/folders/3')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(204)
+          .then(() =>
+            supertest(app)
+              .get('/api/folders/3')
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(404)
+          );
+      });
+
+      it('responds with 409 when the folder is not empty', () => {
+        return supertest(app)
+          .delete('/api/folders/1')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(expectError(409, {
+            error: { code: 'conflict', message: 'Folder is not empty; pass \'children=delete\' or \'children=move\'' }
+          }));
+      });
+
+      it('deletes subfolders and moves their bookmarks to the trash with \'children=delete\'', () => {
+        return supertest(app)
+          .delete('/api/folders/1?children=delete')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(204)
+          .then(() => Promise.all([
+            db('folders').pluck('id'),
+            db('bookmarks').whereNull('deleted_at').pluck('id'),
+            db('bookmarks').whereNotNull('deleted_at').orderBy('id').pluck('id')
+          ]))
+          .then(([folderIds, bookmarkIds, trashedIds]) => {
+            expect(folderIds).to.eql([3]);
+            expect(bookmarkIds).to.eql([2]);
+            expect(trashedIds).to.eql([1, 3]);
+          });
+      });
+
+      it('moves subfolders and bookmarks to the parent with \'children=move\'', () => {
+        return supertest(app)
+          .delete('/api/folders/2?children=move')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(204)
+          .then(() =>
+            supertest(app)
+              .get('/api/folders/4')
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(200, { id: 4, name: 'Web', parent_id: 1, bookmark_count: 1 })
+          );
+      });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+/* eslint-disable strict */
+
+function makeFoldersArray() {
+  return [
+    { id: 1, name: 'Work', parent_id: null },
+    { id: 2, name: 'Reference', parent_id: 1 },
+    { id: 3, name: 'Personal', parent_id: null },
+    { id: 4, name: 'Web', parent_id: 2 }
+  ];
+}
+
+module.exports = {
+  makeFoldersArray
+};
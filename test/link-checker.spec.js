@@ -0,0 +1,197 @@
+/* eslint-disable strict */
+const http = require('http');
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { createLinkChecker } = require('../src/link-checks/link-checker');
+const { fetchLink } = require('../src/link-checks/fetch-link');
+const { cleanTables, expectError } = require('./test-helpers');
+
+function makeStubServer(requests) {
+  return http.createServer((req, res) => {
+    requests.push({ method: req.method, path: req.url, at: Date.now() });
+    switch (req.url) {
+    case '/ok':
+      return res.writeHead(200).end('ok');
+    case '/moved':
+      return res.writeHead(301, { Location: '/ok' }).end();
+    case '/missing':
+      return res.writeHead(404).end();
+    case '/no-head':
+      return res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+    default:
+      return res.writeHead(500).end();
+    }
+  });
+}
+
+describe('Link checker', function () {
+  let db;
+  let server;
+  let baseUrl;
+  let requests;
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  before('start stub server', done => {
+    requests = [];
+    server = makeStubServer(requests).listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after('stop stub server', done => server.close(done));
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => {
+    requests.length = 0;
+    return cleanTables(db);
+  });
+
+  const insertBookmarks = paths => db.into('bookmarks').insert(paths.map((path, index) => ({
+    title: `Bookmark ${index + 1}`,
+    url: path.startsWith('http') ? path : `${baseUrl}${path}`,
+    rating: 3
+  })));
+
+  it('records the status, redirect target and response time of each link', () => {
+    return insertBookmarks(['/ok', '/moved', '/missing', '/no-head'])
+      .then(() => createLinkChecker(db, { hostDelay: 0 }).runOnce())
+      .then(checked => {
+        expect(checked).to.eql(4);
+        return db.from('link_checks').select('*').orderBy('bookmark_id');
+      })
+      .then(checks => {
+        expect(checks.map(check => check.status))
+          .to.eql(['ok', 'redirected', 'broken', 'ok']);
+        expect(checks.map(check => check.status_code)).to.eql([200, 200, 404, 200]);
+        expect(checks[1].redirect_url).to.eql(`${baseUrl}/ok`);
+        checks.forEach(check => {
+          expect(check.response_time_ms).to.be.a('number');
+          expect(check.last_checked_at).to.be.an.instanceOf(Date);
+        });
+      });
+  });
+
+  it('falls back to GET when HEAD is not supported', () => {
+    return insertBookmarks(['/no-head'])
+      .then(() => createLinkChecker(db, { hostDelay: 0 }).runOnce())
+      .then(() => {
+        expect(requests.map(request => request.method)).to.eql(['HEAD', 'GET']);
+      });
+  });
+
+  it('marks links that cannot be reached as broken', () => {
+    return insertBookmarks(['http://127.0.0.1:1/unreachable'])
+      .then(() => createLinkChecker(db, { hostDelay: 0 }).runOnce())
+      .then(() => db.from('link_checks').first())
+      .then(check => {
+        expect(check.status).to.eql('broken');
+        expect(check.status_code).to.be.null;
+        expect(check.error).to.be.a('string');
+      });
+  });
+
+  it('refuses links on private addresses without requesting them', () => {
+    const checker = createLinkChecker(db, {
+      hostDelay: 0,
+      fetchLink: url => fetchLink(url, { allowPrivateAddresses: false })
+    });
+    return insertBookmarks(['/ok'])
+      .then(() => checker.runOnce())
+      .then(() => db.from('link_checks').first())
+      .then(check => {
+        expect(check).to.include({ status: 'broken', status_code: null, error: 'Address is not allowed' });
+        expect(requests).to.be.empty;
+      });
+  });
+
+  it('spaces out requests to the same host', () => {
+    const hostDelay = 100;
+    return insertBookmarks(['/ok', '/ok'])
+      .then(() => createLinkChecker(db, { hostDelay }).runOnce())
+      .then(() => {
+        expect(requests[1].at - requests[0].at).to.be.at.least(hostDelay);
+      });
+  });
+
+  it('skips links checked recently and accepts a custom fetcher', () => {
+    const checkedUrls = [];
+    const fetchLink = url => {
+      checkedUrls.push(url);
+      return Promise.resolve({
+        status_code: 200, redirect_url: null, response_time_ms: 1, error: null
+      });
+    };
+    const checker = createLinkChecker(db, { hostDelay: 0, fetchLink });
+
+    return insertBookmarks(['/ok'])
+      .then(() => checker.runOnce())
+      .then(() => checker.runOnce())
+      .then(checked => {
+        expect(checked).to.eql(0);
+        expect(checkedUrls).to.eql([`${baseUrl}/ok`]);
+        expect(requests).to.be.empty;
+      });
+  });
+
+  describe('GET /api/bookmarks', () => {
+    beforeEach('check links', () => {
+      return insertBookmarks(['/ok', '/missing', '/moved', '/unchecked'])
+        .then(() => createLinkChecker(db, { hostDelay: 0, batchSize: 3 }).runOnce());
+    });
+
+    it('includes the health of each bookmark', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(200)
+        .expect(res => {
+          expect(res.body[1].health).to.include({
+            status: 'broken',
+            status_code: 404,
+            redirect_url: null,
+            error: null
+          });
+          expect(res.body[1].health).to.have.all.keys(
+            'status', 'status_code', 'redirect_url', 'response_time_ms', 'error', 'last_checked_at'
+          );
+          expect(res.body[3].health).to.be.null;
+        });
+    });
+
+    ['broken', 'redirected', 'unchecked'].forEach((status, index) => {
+      it(`filters by status=${status}`, () => {
+        return supertest(app)
+          .get(`/api/bookmarks?status=${status}`)
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200)
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([index + 2]);
+          });
+      });
+    });
+
+    it('responds with 400 for an unknown status', () => {
+      return supertest(app)
+        .get('/api/bookmarks?status=dead')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: '\'status\' must be one of ok, redirected, broken, unchecked' }
+        }));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const openapiDocument = require('../src/openapi/openapi-document');
+const { toOpenApiPath, validateRequestBody } = require('../src/openapi/validate-request-body');
+const { cleanTables, expectError, makeFieldsError } = require('./test-helpers');
+
+// Express keeps a mounted router's path only as a regexp, like
+// /^\/api\/bookmarks\/?(?=\/|$)/i
+const getMountPath = layer => layer.regexp.source
+  .replace('^', '')
+  .replace('\\/?(?=\\/|$)', '')
+  .replace(/\\\//g, '/');
+
+function listRoutes(stack, prefix = '') {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => ({
+          method,
+          path: toOpenApiPath(prefix + layer.route.path),
+          route: layer.route
+        }));
+    }
+    if (layer.name === 'router') {
+      return listRoutes(layer.handle.stack, prefix + getMountPath(layer));
+    }
+    return [];
+  });
+}
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+describe('OpenAPI document', () => {
+  const routes = listRoutes(app._router.stack);
+
+  it('GET /api/openapi.json serves the document without authentication', () => {
+    return supertest(app)
+      .get('/api/openapi.json')
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .expect(res => {
+        expect(res.body.openapi).to.eql('3.0.3');
+        expect(res.body.paths).to.have.property('/api/bookmarks/{bookmark_id}');
+        expect(res.body.components.schemas).to.have.property('Error');
+      });
+  });
+
+  it('GET /api/docs serves a page that loads the document', () => {
+    return supertest(app)
+      .get('/api/docs')
+      .expect(200)
+      .expect('Content-Type', /html/)
+      .expect('Content-Security-Policy', /script-src 'self' 'sha256-[^']+'; style-src/)
+      .expect(res => {
+        expect(res.text).to.include('src="docs/swagger-ui/swagger-ui-bundle.js"');
+        expect(res.text).to.include('url: \'openapi.json\'');
+      });
+  });
+
+  it('GET /api/docs/swagger-ui serves Swagger UI from the app', () => {
+    return supertest(app)
+      .get('/api/docs/swagger-ui/swagger-ui-bundle.js')
+      .expect(200)
+      .expect('Content-Type', /javascript/)
+      .then(() => supertest(app)
+        .get('/api/docs/swagger-ui/swagger-ui.css')
+        .expect(200)
+        .expect('Content-Type', /css/));
+  });
+
+  it('documents every route the app registers', () => {
+    expect(routes).to.have.length.above(40);
+    routes.forEach(({ method, path }) => {
+      expect(openapiDocument.paths, `${method.toUpperCase()} ${path}`).to.have.property(path);
+      expect(openapiDocument.paths[path], `${method.toUpperCase()} ${path}`).to.have.property(method);
+    });
+  });
+
+  it('only documents routes the app registers', () => {
+    const registered = routes.map(({ method, path }) => `${method} ${path}`);
+    Object.entries(openapiDocument.paths).forEach(([path, pathItem]) => {
+      Object.keys(pathItem)
+        .filter(key => METHODS.includes(key))
+        .forEach(method => expect(registered).to.include(`${method} ${path}`));
+    });
+  });
+
+  it('validates the body of every route documented with a JSON body', () => {
+    routes
+      .filter(({ method, path }) => {
+        const { requestBody } = openapiDocument.paths[path][method];
+        return requestBody && requestBody.content['application/json'];
+      })
+      .forEach(({ method, path, route }) => {
+        const handlers = route.stack
+          .filter(layer => layer.method === method)
+          .map(layer => layer.handle);
+        expect(handlers, `${method.toUpperCase()} ${path}`).to.include(validateRequestBody);
+      });
+  });
+
+  describe('request body validation', () => {
+    let db;
+
+    before('make knex instance', () => {
+      db = knex({
+        client: 'pg',
+        connection: process.env.TEST_DB_URL
+      });
+      app.set('db', db);
+      app.set('bookmarkStorage', createPostgresStorage(db));
+    });
+
+    after('disconnect from db', () => db.destroy());
+
+    afterEach('cleanup', () => cleanTables(db));
+
+    it('rejects fields the document does not describe', () => {
+      return supertest(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'docs', colour: 'blue' })
+        .expect(expectError(400, makeFieldsError({
+          field: 'colour',
+          code: 'unknown_field',
+          message: '\'colour\' is not a recognized field'
+        })));
+    });
+
+    it('reports every field that breaks the document at once', () => {
+      return supertest(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ parent_id: 'root' })
+        .expect(expectError(400, makeFieldsError(
+          { field: 'name', code: 'required', message: '\'name\' is required' },
+          { field: 'parent_id', code: 'invalid_type', message: '\'parent_id\' must be a folder id or null' }
+        )));
+    });
+
+    it('accepts bodies that match the document', () => {
+      return supertest(app)
+        .post('/api/bookmarks/duplicates/merge')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ target_id: 1, source_ids: [2] })
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { RATE_LIMITS } = require('../src/config');
+const { createMemoryStore } = require('../src/rate-limit/memory-store');
+const { createPostgresStore } = require('../src/rate-limit/postgres-store');
+const { makeApiKey } = require('./api-keys.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError
+} = require('./test-helpers');
+
+const TOKEN_AUTH = `Bearer ${process.env.API_TOKEN}`;
+
+describe('Rate limiting', function () {
+  let db;
+
+  const testUsers = makeUsersArray();
+  const [alice] = testUsers;
+  const apiKey = makeApiKey(1, { scopes: ['bookmarks:read'] });
+
+  const readLimit = { capacity: RATE_LIMITS.read.capacity, refillRate: RATE_LIMITS.read.perMinute / 60 };
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  afterEach('remove the store', () => app.set('rateLimitStore', null));
+
+  beforeEach('insert users and keys', () =>
+    seedUsers(db, testUsers)
+      .then(() => db.into('api_keys').insert(apiKey.row))
+  );
+
+  it('does not limit requests without a store', () => {
+    return supertest(app)
+      .get('/api/bookmarks')
+      .set('Authorization', TOKEN_AUTH)
+      .expect(200)
+      .expect(res => expect(res.headers).not.to.have.property('ratelimit-limit'));
+  });
+
+  context('with the memory store', () => {
+    let store;
+
+    beforeEach('set the store', () => {
+      store = createMemoryStore();
+      app.set('rateLimitStore', store);
+    });
+
+    function drain(key, limit) {
+      const takes = [];
+      for (let i = 0; i < limit.capacity; i++) {
+        takes.push(store.consume(key, limit));
+      }
+      return Promise.all(takes);
+    }
+
+    it('reports the remaining requests in RateLimit headers', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', TOKEN_AUTH)
+        .expect(200)
+        .expect('RateLimit-Limit', String(readLimit.capacity))
+        .expect('RateLimit-Remaining', String(readLimit.capacity - 1))
+        .expect('RateLimit-Reset', '1');
+    });
+
+    it('responds 429 with Retry-After once the bucket is empty', () => {
+      return drain('read:token', readLimit)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', TOKEN_AUTH)
+            .expect('RateLimit-Remaining', '0')
+            .expect('Retry-After', '1')
+            .expect(expectError(429, {
+              error: { code: 'rate_limited', message: 'Rate limit exceeded; retry after 1s' }
+            }))
+        );
+    });
+
+    it('keeps writes allowed when reads are exhausted', () => {
+      return drain('read:token', readLimit)
+        .then(() =>
+          supertest(app)
+            .post('/api/tags')
+            .set('Authorization', TOKEN_AUTH)
+            .send({ name: 'limited' })
+            .expect(201)
+            .expect('RateLimit-Limit', String(RATE_LIMITS.write.capacity))
+        );
+    });
+
+    it('gives every user and API key a bucket of its own', () => {
+      return drain('read:token', readLimit)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', makeAuthHeader(alice))
+            .expect(200)
+            .expect('RateLimit-Remaining', String(readLimit.capacity - 1))
+        )
+        .then(() => drain(`read:user:${alice.id}`, readLimit))
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', makeAuthHeader(alice))
+            .expect(429)
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${apiKey.key}`)
+            .expect(200)
+        )
+        .then(() => drain(`read:key:${apiKey.row.id}`, readLimit))
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', `Bearer ${apiKey.key}`)
+            .expect(429)
+        );
+    });
+
+    it('limits logins by client IP', () => {
+      const login = () => supertest(app)
+        .post('/api/auth/login')
+        .send({ username: alice.username, password: 'wrong password' });
+
+      let attempts = Promise.resolve();
+      for (let i = 0; i < RATE_LIMITS.auth.capacity; i++) {
+        attempts = attempts.then(() => login().expect(401));
+      }
+      return attempts
+        .then(() => login().expect(429).expect('Retry-After', /^\d+$/));
+    });
+
+    it('limits requests by client IP before checking credentials', () => {
+      const clientLimit = {
+        capacity: RATE_LIMITS.client.capacity,
+        refillRate: RATE_LIMITS.client.perMinute / 60
+      };
+      return drain('client:ip:::ffff:127.0.0.1', clientLimit)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', 'Bearer guessed-credential')
+            .expect(429)
+        );
+    });
+
+    it('refills buckets over time', () => {
+      let now = Date.now();
+      store = createMemoryStore({ now: () => now });
+      const limit = { capacity: 2, refillRate: 1 };
+
+      return store.consume('key', limit)
+        .then(() => store.consume('key', limit))
+        .then(() => store.consume('key', limit))
+        .then(bucket => expect(bucket).to.eql({ allowed: false, tokens: 0 }))
+        .then(() => {
+          now += 1500;
+          return store.consume('key', limit);
+        })
+        .then(bucket => expect(bucket).to.eql({ allowed: true, tokens: 0.5 }));
+    });
+  });
+
+  context('with the Postgres store', () => {
+    beforeEach('set the store', () => {
+      app.set('rateLimitStore', createPostgresStore(db));
+    });
+
+    it('creates a full bucket on the first request', () => {
+      return supertest(app)
+        .get('/api/bookmarks')
+        .set('Authorization', TOKEN_AUTH)
+        .expect(200)
+        .expect('RateLimit-Remaining', String(readLimit.capacity - 1))
+        .then(() => db('rate_limit_buckets').where('key', 'read:token').select('key', 'tokens', 'allowed'))
+        .then(rows => {
+          expect(rows).to.eql([{ key: 'read:token', tokens: readLimit.capacity - 1, allowed: true }]);
+        });
+    });
+
+    it('responds 429 once the bucket is empty', () => {
+      return db
+        .into('rate_limit_buckets')
+        .insert({ key: 'read:token', tokens: 0, allowed: false })
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', TOKEN_AUTH)
+            .expect('Retry-After', '1')
+            .expect(expectError(429, {
+              error: { code: 'rate_limited', message: 'Rate limit exceeded; retry after 1s' }
+            }))
+        );
+    });
+
+    it('refills the bucket with the time passed since the last request', () => {
+      return db
+        .into('rate_limit_buckets')
+        .insert({
+          key: 'read:token',
+          tokens: 0,
+          allowed: false,
+          updated_at: db.raw('now() - interval \'1 minute\'')
+        })
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks')
+            .set('Authorization', TOKEN_AUTH)
+            .expect(200)
+            .expect('RateLimit-Remaining', String(readLimit.capacity - 1))
+        );
+    });
+
+    it('deletes buckets untouched for an hour', () => {
+      let now = Date.now();
+      const store = createPostgresStore(db, { now: () => now });
+      return db
+        .into('rate_limit_buckets')
+        .insert([
+          { key: 'stale', tokens: 0, allowed: false, updated_at: db.raw('now() - interval \'2 hours\'') },
+          { key: 'recent', tokens: 0, allowed: false, updated_at: db.raw('now() - interval \'5 minutes\'') }
+        ])
+        .then(() => store.consume('key', readLimit))
+        .then(() => db('rate_limit_buckets').orderBy('key').pluck('key'))
+        .then(keys => expect(keys).to.eql(['key', 'recent', 'stale']))
+        .then(() => {
+          now += 2 * 60 * 1000;
+          return store.consume('key', readLimit);
+        })
+        .then(() => db('rate_limit_buckets').orderBy('key').pluck('key'))
+        .then(keys => expect(keys).to.eql(['key', 'recent']));
+    });
+
+    it('never lets concurrent requests take more tokens than the bucket holds', () => {
+      const store = createPostgresStore(db);
+      const limit = { capacity: 3, refillRate: 0.001 };
+      const takes = [];
+      for (let i = 0; i < 6; i++) {
+        takes.push(store.consume('concurrent', limit));
+      }
+      return Promise.all(takes).then(buckets => {
+        expect(buckets.filter(bucket => bucket.allowed)).to.have.lengthOf(3);
+      });
+    });
+  });
+});
@@ -1,7 +1,12 @@
 'use strict';
 
+// The stub servers the tests fetch from listen on 127.0.0.1; the address
+// guard's own tests turn the guard back on per request
+process.env.ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
 const { expect } = require('chai');
 const supertest = require('supertest');
 
 global.expect = expect;
-global.supertest = supertest;
\ No newline at end of file
+global.supertest = supertest;
@@ -0,0 +1,249 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray, makeMaliciousBookmark } = require('./bookmarks.fixtures');
+const { makeTagsArray, makeBookmarkTagsArray } = require('./tags.fixtures');
+const { makeFoldersArray } = require('./folders.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const SharesService = require('../src/shares/shares-service');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError,
+  makeFieldsError
+} = require('./test-helpers');
+
+describe('Share Links Endpoints', function() {
+  let db;
+
+  const testUsers = makeUsersArray();
+  const alice = testUsers[0];
+
+  const createShare = body => supertest(app)
+    .post('/api/shares')
+    .set('Authorization', makeAuthHeader(alice))
+    .send(body)
+    .expect(201);
+
+  const insertShare = (token, fields) => db.into('share_links').insert({
+    prefix: token.slice(0, 12),
+    token_hash: SharesService.hashToken(token),
+    user_id: alice.id,
+    ...fields
+  });
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  beforeEach('insert users, folders and bookmarks', () => {
+    return seedUsers(db, testUsers)
+      .then(() => db.into('folders').insert(makeFoldersArray().map(folder => ({ ...folder, user_id: alice.id }))))
+      .then(() => db.into('bookmarks').insert(makeBookmarksArray().map(bookmark => ({
+        ...bookmark,
+        user_id: bookmark.id === 2 ? testUsers[1].id : alice.id,
+        folder_id: bookmark.id === 3 ? 2 : null
+      }))))
+      .then(() => db.into('tags').insert(makeTagsArray()))
+      .then(() => db.into('bookmark_tags').insert(makeBookmarkTagsArray()));
+  });
+
+  describe('POST /api/shares', () => {
+    it('creates a link to a bookmark, returning its token once', () => {
+      return createShare({ bookmark_id: 1 })
+        .expect(res => {
+          expect(res.headers.location).to.eql(`/api/shares/${res.body.id}`);
+          expect(res.body).to.include({ bookmark_id: 1, tag: null, folder_id: null, view_count: 0 });
+          expect(res.body.token).to.match(/^shr_/);
+          expect(res.body.prefix).to.eql(res.body.token.slice(0, 12));
+          expect(res.body.url).to.match(new RegExp(`/s/${res.body.token}$`));
+        })
+        .then(res => db('share_links').where('id', res.body.id).first()
+          .then(row => expect(row.token_hash).to.eql(SharesService.hashToken(res.body.token))));
+    });
+
+    it('responds with 400 unless it shares a bookmark or a collection', () => {
+      return supertest(app)
+        .post('/api/shares')
+        .set('Authorization', makeAuthHeader(alice))
+        .send({ bookmark_id: 1, tag: 'docs' })
+        .expect(expectError(400, makeFieldsError({
+          field: null,
+          code: 'invalid',
+          message: 'Request body must contain either \'bookmark_id\', or \'tag\' and/or \'folder_id\''
+        })));
+    });
+
+    it('responds with 400 for someone else\'s bookmark', () => {
+      return supertest(app)
+        .post('/api/shares')
+        .set('Authorization', makeAuthHeader(alice))
+        .send({ bookmark_id: 2 })
+        .expect(expectError(400, makeFieldsError({
+          field: 'bookmark_id',
+          code: 'not_found',
+          message: '\'bookmark_id\' must reference an existing bookmark'
+        })));
+    });
+
+    it('responds with 400 for an expiry in the past', () => {
+      return supertest(app)
+        .post('/api/shares')
+        .set('Authorization', makeAuthHeader(alice))
+        .send({ tag: 'docs', expires_at: '2020-01-01T00:00:00Z' })
+        .expect(expectError(400, makeFieldsError({
+          field: 'expires_at',
+          code: 'invalid',
+          message: '\'expires_at\' must be a timestamp in the future'
+        })));
+    });
+  });
+
+  describe('GET /s/:token', () => {
+    it('shows a shared bookmark without authentication and counts the view', () => {
+      return createShare({ bookmark_id: 3 })
+        .then(created => supertest(app)
+          .get(`/s/${created.body.token}`)
+          .expect(200)
+          .expect('Cache-Control', 'no-store')
+          .expect(res => {
+            expect(res.body).to.eql({
+              type: 'bookmark',
+              title: 'MDN',
+              bookmarks: [{
+                title: 'MDN',
+                url: 'https://developer.mozilla.org',
+                description: 'The only place to find web documentation',
+                tags: ['docs', 'learning'],
+                created_at: res.body.bookmarks[0].created_at
+              }],
+              expires_at: null
+            });
+          })
+          .then(() => supertest(app)
+            .get(`/api/shares/${created.body.id}`)
+            .set('Authorization', makeAuthHeader(alice))
+            .expect(200))
+        )
+        .then(res => {
+          expect(res.body.view_count).to.eql(1);
+          expect(res.body.last_viewed_at).to.be.a('string');
+        });
+    });
+
+    it('shares the owner\'s bookmarks with a tag in a folder', () => {
+      return createShare({ tag: 'learning', folder_id: 2 })
+        .then(created => supertest(app)
+          .get(`/s/${created.body.token}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body.type).to.eql('collection');
+          expect(res.body.title).to.eql('Bookmarks tagged \'learning\' in Reference');
+          expect(res.body.bookmarks.map(bookmark => bookmark.title)).to.eql(['MDN']);
+        });
+    });
+
+    it('never shows another user\'s bookmarks in a collection', () => {
+      return createShare({ tag: 'search' })
+        .then(created => supertest(app)
+          .get(`/s/${created.body.token}`)
+          .expect(200))
+        .then(res => expect(res.body.bookmarks).to.eql([]));
+    });
+
+    it('shows only unowned bookmarks through links made with the API token', () => {
+      return db.into('bookmarks')
+        .insert({ id: 4, title: 'Unowned', url: 'https://example.com', rating: 3, user_id: null })
+        .then(() => db.into('bookmark_tags').insert({ bookmark_id: 4, tag_id: 3 }))
+        .then(() => supertest(app)
+          .post('/api/shares')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ tag: 'learning' })
+          .expect(201))
+        .then(created => supertest(app)
+          .get(`/s/${created.body.token}`)
+          .expect(200))
+        .then(res => {
+          expect(res.body.bookmarks.map(bookmark => bookmark.title)).to.eql(['Unowned']);
+        });
+    });
+
+    it('renders an escaped HTML page for browsers', () => {
+      const { maliciousBookmark } = makeMaliciousBookmark();
+      return db.into('bookmarks').insert({ ...maliciousBookmark, user_id: alice.id })
+        .then(() => createShare({ bookmark_id: maliciousBookmark.id }))
+        .then(created => supertest(app)
+          .get(`/s/${created.body.token}`)
+          .set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8')
+          .expect(200)
+          .expect('Content-Type', /text\/html/))
+        .then(res => {
+          expect(res.text).to.include('&lt;script&gt;alert(&quot;xss&quot;);&lt;/script&gt;');
+          expect(res.text).not.to.include('<script>');
+        });
+    });
+
+    it('responds with 404 for unknown, expired and revoked links', () => {
+      return Promise.all([
+        insertShare('shr_expired-token', { tag: 'docs', expires_at: new Date(Date.now() - 1000) }),
+        insertShare('shr_revoked-token', { tag: 'docs', revoked_at: new Date() })
+      ])
+        .then(() => Promise.all(['shr_unknown-token', 'shr_expired-token', 'shr_revoked-token']
+          .map(token => supertest(app)
+            .get(`/s/${token}`)
+            .expect(expectError(404, { error: { code: 'not_found', message: 'Share Link Not Found' } })))
+        ))
+        .then(() => db('share_links').sum('view_count as views').first())
+        .then(({ views }) => expect(Number(views)).to.eql(0));
+    });
+
+    it('responds with 404 once a shared bookmark is trashed, without counting the view', () => {
+      return createShare({ bookmark_id: 1 })
+        .then(created => supertest(app)
+          .delete('/api/bookmarks/1')
+          .set('Authorization', makeAuthHeader(alice))
+          .expect(204)
+          .then(() => supertest(app)
+            .get(`/s/${created.body.token}`)
+            .expect(404))
+          .then(() => db('share_links').where('id', created.body.id).first('view_count')))
+        .then(share => expect(share.view_count).to.eql(0));
+    });
+  });
+
+  describe('DELETE /api/shares/:share_id', () => {
+    it('revokes the link', () => {
+      return createShare({ tag: 'docs' })
+        .then(created => supertest(app)
+          .delete(`/api/shares/${created.body.id}`)
+          .set('Authorization', makeAuthHeader(alice))
+          .expect(204)
+          .then(() => supertest(app)
+            .get(`/s/${created.body.token}`)
+            .expect(404)));
+    });
+
+    it('responds with 404 for another user\'s link', () => {
+      return createShare({ tag: 'docs' })
+        .then(created => supertest(app)
+          .delete(`/api/shares/${created.body.id}`)
+          .set('Authorization', makeAuthHeader(testUsers[1]))
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Share Link Not Found' } })));
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createMemoryStorage } = require('../src/storage/memory-storage');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { cleanTables, makeFieldsError, expectError } = require('./test-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const BOOKMARKS = [
+  { title: 'Banana bread', url: 'https://www.example.com/banana', rating: 4, tags: ['Baking'] },
+  { title: 'Apple pie', url: 'https://recipes.example.org/apple', rating: 5, tags: ['baking', 'Fruit'] },
+  { title: 'Cherry tart', url: 'https://www.tarts.net/cherry', rating: 2, tags: [] },
+  { title: 'Éclairs', url: 'https://www.example.com/eclairs', rating: 5, tags: ['fruit'] },
+];
+
+// The same cases against every storage, so the API behaves the same whether
+// or not it runs with Postgres. Only the Postgres run connects to a database,
+// so `npm run test:memory` needs none.
+const STORAGES = {
+  Memory: {
+    connect: () => null,
+    makeStorage: () => createMemoryStorage(),
+  },
+  Postgres: {
+    connect: () => knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    }),
+    makeStorage: db => createPostgresStorage(db),
+  },
+};
+
+const authorized = request => request.set('Authorization', `Bearer ${process.env.API_TOKEN}`);
+
+const getTitles = query => authorized(supertest(app).get(`/api/bookmarks${query}`))
+  .expect(200)
+  .then(res => res.body.map(bookmark => bookmark.title));
+
+const insertBookmarks = (storage, bookmarks) => bookmarks.reduce(
+  (inserted, bookmark) => inserted.then(() => storage.insertBookmark(bookmark)),
+  Promise.resolve()
+);
+
+describe('Storage contract', () => {
+  Object.entries(STORAGES).forEach(([name, { connect, makeStorage }]) => {
+    describe(`${name} storage`, () => {
+      let db;
+
+      before('connect', () => {
+        db = connect();
+      });
+
+      after('clean up', () => db && cleanTables(db).then(() => db.destroy()));
+
+      beforeEach('make the storage', () => {
+        const storage = makeStorage(db);
+        app.set('db', db);
+        app.set('bookmarkStorage', storage);
+        return (db ? cleanTables(db) : Promise.resolve())
+          .then(() => insertBookmarks(storage, BOOKMARKS));
+      });
+
+      it('pages through the bookmarks with a total count', () => {
+        return authorized(supertest(app).get('/api/bookmarks?limit=2&offset=1'))
+          .expect(200)
+          .expect('X-Total-Count', '4')
+          .expect(res => {
+            expect(res.body.map(bookmark => bookmark.id)).to.eql([2, 3]);
+            expect(res.body[0]).to.include({
+              title: 'Apple pie',
+              url: 'https://recipes.example.org/apple',
+              rating: 5,
+              folder_id: null,
+              visit_count: 0,
+              last_visited_at: null
+            });
+            expect(res.body[0].tags).to.eql(['Baking', 'Fruit']);
+          });
+      });
+
+      // Titles follow the database's collation, which the memory storage
+      // approximates with the locale's order; these sort alike in both
+      it('sorts titles', () => {
+        return getTitles('?sort=title')
+          .then(titles => expect(titles).to.eql(['Apple pie', 'Banana bread', 'Cherry tart', 'Éclairs']))
+          .then(() => getTitles('?sort=title&order=desc'))
+          .then(titles => expect(titles).to.eql(['Éclairs', 'Cherry tart', 'Banana bread', 'Apple pie']));
+      });
+
+      it('filters by rating, tag and host', () => {
+        return getTitles('?min_rating=5&sort=rating')
+          .then(titles => expect(titles).to.eql(['Apple pie', 'Éclairs']))
+          .then(() => getTitles('?tag=FRUIT&tag=baking&tag_mode=all'))
+          .then(titles => expect(titles).to.eql(['Apple pie']))
+          .then(() => getTitles('?host=example.com'))
+          .then(titles => expect(titles).to.eql(['Banana bread', 'Éclairs']));
+      });
+
+      it('puts visited bookmarks first with sort=popular', () => {
+        return authorized(supertest(app).get('/go/3'))
+          .expect(302)
+          .expect('Location', 'https://www.tarts.net/cherry')
+          .then(() => getTitles('?sort=popular&order=desc'))
+          .then(titles => expect(titles[0]).to.eql('Cherry tart'));
+      });
+
+      it('matches tags regardless of case when creating a bookmark', () => {
+        return authorized(supertest(app).post('/api/bookmarks'))
+          .send({ title: 'Plum jam', url: 'https://jam.example.net', rating: 3, tags: ['FRUIT', 'Jam'] })
+          .expect(201)
+          .expect('Location', '/api/bookmarks/5')
+          .expect(res => expect(res.body.tags).to.eql(['Fruit', 'Jam']));
+      });
+
+      it('responds with 409 for a URL that is already bookmarked', () => {
+        return authorized(supertest(app).post('/api/bookmarks'))
+          .send({ title: 'Again', url: 'https://WWW.example.com/banana?utm_source=x', rating: 3 })
+          .expect(expectError(409, {
+            error: {
+              code: 'conflict',
+              message: 'A bookmark with this URL already exists',
+              bookmark_id: 1
+            }
+          }));
+      });
+
+      it('responds with 400 for a folder that does not exist', () => {
+        return authorized(supertest(app).post('/api/bookmarks'))
+          .send({ title: 'Plum jam', url: 'https://jam.example.net', rating: 3, folder_id: 1 })
+          .expect(expectError(400, makeFieldsError({
+            field: 'folder_id',
+            code: 'not_found',
+            message: '\'folder_id\' must reference an existing folder'
+          })));
+      });
+
+      it('refuses writes from a stale version and moves deleted bookmarks out of sight', () => {
+        return authorized(supertest(app).patch('/api/bookmarks/1'))
+          .set('If-Match', '"1"')
+          .send({ rating: 3 })
+          .expect(200)
+          .expect('ETag', '"2"')
+          .then(() => authorized(supertest(app).patch('/api/bookmarks/1'))
+            .set('If-Match', '"1"')
+            .send({ rating: 1 })
+            .expect(412))
+          .then(() => authorized(supertest(app).delete('/api/bookmarks/1'))
+            .set('If-Match', '"2"')
+            .expect(204))
+          .then(() => authorized(supertest(app).get('/api/bookmarks/1'))
+            .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } })))
+          .then(() => authorized(supertest(app).get('/api/bookmarks')).expect(200))
+          .then(res => expect(res.headers['x-total-count']).to.eql('3'));
+      });
+
+      it('responds with 400 for ids that are not integers', () => {
+        return authorized(supertest(app).get('/api/bookmarks/abc'))
+          .expect(expectError(400, {
+            error: { code: 'invalid_request', message: 'A value in the request has an invalid format' }
+          }))
+          .then(() => authorized(supertest(app).get('/api/bookmarks/99999999999'))
+            .expect(expectError(400, {
+              error: { code: 'invalid_request', message: 'A number in the request is out of range' }
+            })));
+      });
+    });
+  });
+});
+
+describe('Memory storage without a database', () => {
+  let storage;
+  let clock;
+
+  before('run without a database', () => app.set('db', null));
+
+  beforeEach('make the storage', () => {
+    clock = Date.parse('2021-01-01T00:00:00Z');
+    storage = createMemoryStorage({ now: () => clock });
+    app.set('bookmarkStorage', storage);
+    return insertBookmarks(storage, BOOKMARKS);
+  });
+
+  it('lists bookmarks not visited in the last N days with stale', () => {
+    return authorized(supertest(app).post('/api/bookmarks/2/visit'))
+      .expect(200)
+      .then(() => {
+        clock += 10 * DAY;
+        return authorized(supertest(app).get('/api/bookmarks?stale=5&sort=popular')).expect(200);
+      })
+      .then(res => expect(res.body.map(bookmark => bookmark.id)).to.eql([2, 4, 3, 1]))
+      .then(() => authorized(supertest(app).get('/api/bookmarks?stale=20')).expect(200))
+      .then(res => expect(res.body).to.eql([]));
+  });
+
+  it('responds with 503 for features that need a database', () => {
+    const unavailable = {
+      error: { code: 'service_unavailable', message: 'This feature needs a database; set DB_URL to enable it' }
+    };
+    return Promise.all([
+      authorized(supertest(app).get('/api/bookmarks/search?q=pie')),
+      authorized(supertest(app).get('/api/bookmarks/1/history')),
+      authorized(supertest(app).get('/api/tags')),
+    ].map(request => request.expect(expectError(503, unavailable))));
+  });
+
+  it('accepts only the API token as a credential', () => {
+    return supertest(app)
+      .get('/api/bookmarks')
+      .set('Authorization', 'Bearer some-jwt')
+      .expect(401);
+  });
+});
@@ -0,0 +1,266 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeTagsArray, makeBookmarkTagsArray } = require('./tags.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  expectError,
+  makeFieldsError,
+  seedUsers,
+  makeAuthHeader
+} = require('./test-helpers');
+
+describe('Tags Endpoints', function() {
+  let db;
+
+  const testBookmarks = makeBookmarksArray();
+  const testTags = makeTagsArray();
+  const testBookmarkTags = makeBookmarkTagsArray();
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  function insertTaggedBookmarks() {
+    return db.into('bookmarks').insert(testBookmarks)
+      .then(() => db.into('tags').insert(testTags))
+      .then(() => db.into('bookmark_tags').insert(testBookmarkTags));
+  }
+
+  describe('GET /api/tags', () => {
+    context('Given there are tags in the database', () => {
+      beforeEach('insert tagged bookmarks', insertTaggedBookmarks);
+
+      it('responds with 200 and all tags with their bookmark counts', () => {
+        return supertest(app)
+          .get('/api/tags')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(200, [
+            { id: 2, name: 'docs', bookmark_count: 1 },
+            { id: 3, name: 'learning', bookmark_count: 2 },
+            { id: 1, name: 'search', bookmark_count: 1 }
+          ]);
+      });
+    });
+  });
+
+  describe('Tags belonging to users', () => {
+    const [alice, bob] = makeUsersArray();
+
+    // Alice owns bookmarks 1 and 3 and their 'docs' and 'learning' tags; Bob
+    // owns bookmark 2 and its 'search' tag
+    beforeEach('insert users\' tags', () => seedUsers(db, [alice, bob])
+      .then(insertTaggedBookmarks)
+      .then(() => db('bookmarks').whereIn('id', [1, 3]).update({ user_id: alice.id }))
+      .then(() => db('bookmarks').where('id', 2).update({ user_id: bob.id }))
+      .then(() => db('tags').whereIn('id', [2, 3]).update({ user_id: alice.id }))
+      .then(() => db('tags').where('id', 1).update({ user_id: bob.id }))
+      .then(() => db.raw(
+        'SELECT setval(pg_get_serial_sequence(\'tags\', \'id\'), (SELECT max(id) FROM tags))'
+      )));
+
+    it('lists only the user\'s own tags', () => {
+      return supertest(app)
+        .get('/api/tags')
+        .set('Authorization', makeAuthHeader(alice))
+        .expect(200, [
+          { id: 2, name: 'docs', bookmark_count: 1 },
+          { id: 3, name: 'learning', bookmark_count: 2 }
+        ]);
+    });
+
+    it('responds with 404 to reads and writes of another user\'s tag', () => {
+      const notFound = expectError(404, { error: { code: 'not_found', message: 'Tag Not Found' } });
+      return Promise.all([
+        supertest(app).get('/api/tags/2'),
+        supertest(app).patch('/api/tags/2').send({ name: 'pwned' }),
+        supertest(app).delete('/api/tags/2'),
+        supertest(app).post('/api/tags/2/merge').send({ source_ids: [1] }),
+        supertest(app).post('/api/tags/1/merge').send({ source_ids: [2] }),
+      ].map(request => request.set('Authorization', makeAuthHeader(bob)).expect(notFound)))
+        .then(() => db('tags').where('id', 2).first())
+        .then(tag => expect(tag.name).to.eql('docs'));
+    });
+
+    it('gives each user their own tag of a name', () => {
+      return supertest(app)
+        .post('/api/tags')
+        .set('Authorization', makeAuthHeader(bob))
+        .send({ name: 'Docs' })
+        .expect(201)
+        .then(res => db('tags').where('id', res.body.id).first())
+        .then(tag => expect(tag.user_id).to.eql(bob.id))
+        .then(() => supertest(app)
+          .patch('/api/bookmarks/2')
+          .set('Authorization', makeAuthHeader(bob))
+          .send({ tags: ['docs', 'learning'] })
+          .expect(200))
+        .then(() => db('tags').where('user_id', bob.id).orderBy('id'))
+        .then(tags => expect(tags.map(tag => tag.name)).to.eql(['search', 'Docs', 'learning']))
+        .then(() => supertest(app)
+          .get('/api/tags/3')
+          .set('Authorization', makeAuthHeader(alice))
+          .expect(200, { id: 3, name: 'learning', bookmark_count: 2 }));
+    });
+  });
+
+  describe('POST /api/tags', () => {
+    it('creates a tag, responding with 201 and the new tag', () => {
+      return supertest(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: '  reading ' })
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.eql({ id: res.body.id, name: 'reading', bookmark_count: 0 });
+          expect(res.headers.location).to.eql(`/api/tags/${res.body.id}`);
+        });
+    });
+
+    it('removes XSS attack content from the tag name', () => {
+      return supertest(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: '<script>alert("xss");</script>' })
+        .expect(201)
+        .expect(res => {
+          expect(res.body.name).to.eql('&lt;script&gt;alert("xss");&lt;/script&gt;');
+        });
+    });
+
+    it('responds with 400 when \'name\' is missing', () => {
+      return supertest(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({})
+        .expect(expectError(400, makeFieldsError({
+          field: 'name',
+          code: 'required',
+          message: '\'name\' is required'
+        })));
+    });
+
+    context('Given the tag already exists', () => {
+      beforeEach('insert tagged bookmarks', insertTaggedBookmarks);
+
+      it('responds with 409 regardless of case', () => {
+        return supertest(app)
+          .post('/api/tags')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ name: 'DOCS' })
+          .expect(expectError(409, { error: { code: 'conflict', message: 'Tag \'DOCS\' already exists' } }));
+      });
+    });
+  });
+
+  describe('PATCH /api/tags/:tag_id', () => {
+    it('responds with 404 when the tag does not exist', () => {
+      return supertest(app)
+        .patch('/api/tags/123456')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ name: 'renamed' })
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Tag Not Found' } }));
+    });
+
+    context('Given there are tags in the database', () => {
+      beforeEach('insert tagged bookmarks', insertTaggedBookmarks);
+
+      it('renames the tag on every bookmark that carries it', () => {
+        return supertest(app)
+          .patch('/api/tags/2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ name: 'documentation' })
+          .expect(200, { id: 2, name: 'documentation', bookmark_count: 1 })
+          .then(() =>
+            supertest(app)
+              .get('/api/bookmarks/3')
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(res => {
+                expect(res.body.tags).to.eql(['documentation', 'learning']);
+              })
+          );
+      });
+
+      it('responds with 409 when renaming to another tag\'s name', () => {
+        return supertest(app)
+          .patch('/api/tags/2')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ name: 'Search' })
+          .expect(expectError(409, { error: { code: 'conflict', message: 'Tag \'Search\' already exists' } }));
+      });
+    });
+  });
+
+  describe('DELETE /api/tags/:tag_id', () => {
+    context('Given there are tags in the database', () => {
+      beforeEach('insert tagged bookmarks', insertTaggedBookmarks);
+
+      it('responds with 204 and removes the tag from its bookmarks', () => {
+        return supertest(app)
+          .delete('/api/tags/3')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .expect(204)
+          .then(() =>
+            supertest(app)
+              .get('/api/bookmarks/3')
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(res => {
+                expect(res.body.tags).to.eql(['docs']);
+              })
+          );
+      });
+    });
+  });
+
+  describe('POST /api/tags/:tag_id/merge', () => {
+    context('Given there are tags in the database', () => {
+      beforeEach('insert tagged bookmarks', insertTaggedBookmarks);
+
+      it('moves the source tags\' bookmarks onto the target and deletes the sources', () => {
+        return supertest(app)
+          .post('/api/tags/3/merge')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ source_ids: [1, 2] })
+          .expect(200, { id: 3, name: 'learning', bookmark_count: 3 })
+          .then(() =>
+            supertest(app)
+              .get('/api/tags')
+              .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+              .expect(200, [{ id: 3, name: 'learning', bookmark_count: 3 }])
+          );
+      });
+
+      it('responds with 400 when merging a tag into itself', () => {
+        return supertest(app)
+          .post('/api/tags/3/merge')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ source_ids: [3] })
+          .expect(expectError(400, { error: { code: 'invalid_request', message: 'A tag cannot be merged into itself' } }));
+      });
+
+      it('responds with 404 when a source tag does not exist', () => {
+        return supertest(app)
+          .post('/api/tags/3/merge')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send({ source_ids: [1, 99] })
+          .expect(expectError(404, { error: { code: 'not_found', message: 'Tag Not Found' } }));
+      });
+    });
+  });
+});
@@ -0,0 +1,23 @@
+/* eslint-disable strict */
+
+function makeTagsArray() {
+  return [
+    { id: 1, name: 'search' },
+    { id: 2, name: 'docs' },
+    { id: 3, name: 'learning' }
+  ];
+}
+
+function makeBookmarkTagsArray() {
+  return [
+    { bookmark_id: 1, tag_id: 3 },
+    { bookmark_id: 2, tag_id: 1 },
+    { bookmark_id: 3, tag_id: 2 },
+    { bookmark_id: 3, tag_id: 3 }
+  ];
+}
+
+module.exports = {
+  makeTagsArray,
+  makeBookmarkTagsArray
+};
@@ -0,0 +1,71 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../src/config');
+
+function cleanTables(db) {
+  return db.raw(
+    `TRUNCATE
+      bookmarks,
+      tags,
+      bookmark_tags,
+      folders,
+      users,
+      api_keys,
+      link_checks,
+      bookmark_revisions,
+      bookmark_events,
+      webhooks,
+      webhook_deliveries,
+      rate_limit_buckets,
+      share_links,
+      bookmark_snapshots
+      RESTART IDENTITY CASCADE`
+  );
+}
+
+function seedUsers(db, users) {
+  const preppedUsers = users.map(user => ({
+    ...user,
+    password: bcrypt.hashSync(user.password, 1)
+  }));
+  return db.into('users').insert(preppedUsers);
+}
+
+function makeAuthHeader(user, secret = JWT_SECRET) {
+  const token = jwt.sign({ user_id: user.id }, secret, {
+    subject: user.username,
+    algorithm: 'HS256',
+  });
+  return `Bearer ${token}`;
+}
+
+function makeFieldsError(...fields) {
+  return {
+    error: {
+      code: 'validation_failed',
+      message: fields.map(field => field.message).join('; '),
+      fields
+    }
+  };
+}
+
+// Checks an error response's status and body, and that the body carries the
+// same request id as the X-Request-Id header
+function expectError(status, body) {
+  return res => {
+    expect(res.status).to.eql(status);
+    const { request_id, ...error } = res.body.error;
+    expect(request_id).to.be.a('string').that.eqls(res.headers['x-request-id']);
+    expect({ ...res.body, error }).to.eql(body);
+  };
+}
+
+module.exports = {
+  cleanTables,
+  expectError,
+  makeFieldsError,
+  seedUsers,
+  makeAuthHeader
+};
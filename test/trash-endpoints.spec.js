@@ -0,0 +1,187 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { createTrashPurger } = require('../src/trash/trash-purger');
+const { makeBookmarksArray, makeExpectedBookmark } = require('./bookmarks.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError
+} = require('./test-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Trash Endpoints', function () {
+  let db;
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the table', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  const testBookmarks = makeBookmarksArray();
+
+  beforeEach('insert bookmarks', () => {
+    return db.into('bookmarks').insert(testBookmarks);
+  });
+
+  const deleteBookmark = id => supertest(app)
+    .delete(`/api/bookmarks/${id}`)
+    .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+    .expect(204);
+
+  describe('DELETE /api/bookmarks/:bookmark_id', () => {
+    it('moves the bookmark to the trash instead of removing it', () => {
+      return deleteBookmark(2)
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/2')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(404)
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/search?q=google')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200, [])
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/trash')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect('X-Total-Count', '1')
+            .expect(res => {
+              expect(res.body).to.have.lengthOf(1);
+              const { deleted_at, ...bookmark } = res.body[0];
+              expect(bookmark).to.eql(makeExpectedBookmark(testBookmarks[1]));
+              expect(new Date(deleted_at).getTime()).to.be.closeTo(Date.now(), 5000);
+            })
+        );
+    });
+  });
+
+  describe('GET /api/trash', () => {
+    it('lists the most recently deleted bookmarks first', () => {
+      return deleteBookmark(1)
+        .then(() => deleteBookmark(3))
+        .then(() =>
+          supertest(app)
+            .get('/api/trash')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+            .expect(res => {
+              expect(res.body.map(bookmark => bookmark.id)).to.eql([3, 1]);
+            })
+        );
+    });
+
+    it('only lists the user\'s own deleted bookmarks', () => {
+      const testUsers = makeUsersArray();
+      const [alice, bob] = testUsers;
+      return seedUsers(db, testUsers)
+        .then(() => db('bookmarks').whereIn('id', [1, 2]).update({ user_id: alice.id }))
+        .then(() => db('bookmarks').where('id', 3).update({ user_id: bob.id }))
+        .then(() => db('bookmarks').update({ deleted_at: db.fn.now() }))
+        .then(() =>
+          supertest(app)
+            .get('/api/trash')
+            .set('Authorization', makeAuthHeader(bob))
+            .expect(200)
+            .expect(res => {
+              expect(res.body.map(bookmark => bookmark.id)).to.eql([3]);
+            })
+        );
+    });
+  });
+
+  describe('POST /api/trash/:bookmark_id/restore', () => {
+    it('responds with 404 for a bookmark that is not in the trash', () => {
+      return supertest(app)
+        .post('/api/trash/2/restore')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(expectError(404, { error: { code: 'not_found', message: 'Bookmark Not Found' } }));
+    });
+
+    it('restores the bookmark, responding with 200 and the bookmark', () => {
+      const expectedBookmark = makeExpectedBookmark(testBookmarks[1]);
+      return deleteBookmark(2)
+        .then(() =>
+          supertest(app)
+            .post('/api/trash/2/restore')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200, expectedBookmark)
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/bookmarks/2')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200, expectedBookmark)
+        );
+    });
+  });
+
+  describe('DELETE /api/trash/:bookmark_id', () => {
+    it('responds with 404 for a bookmark that is not in the trash', () => {
+      return supertest(app)
+        .delete('/api/trash/2')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .expect(404);
+    });
+
+    it('permanently removes the bookmark', () => {
+      return deleteBookmark(2)
+        .then(() =>
+          supertest(app)
+            .delete('/api/trash/2')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(204)
+        )
+        .then(() => db('bookmarks').where('id', 2).first())
+        .then(row => expect(row).to.be.undefined);
+    });
+  });
+
+  describe('DELETE /api/trash', () => {
+    it('permanently removes every bookmark in the trash', () => {
+      return deleteBookmark(1)
+        .then(() => deleteBookmark(2))
+        .then(() =>
+          supertest(app)
+            .delete('/api/trash')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(204)
+        )
+        .then(() => db('bookmarks').pluck('id'))
+        .then(ids => expect(ids).to.eql([3]));
+    });
+  });
+
+  describe('Trash purger', () => {
+    it('removes bookmarks deleted longer ago than the retention period', () => {
+      return db('bookmarks').where('id', 1).update({ deleted_at: new Date(Date.now() - 31 * DAY) })
+        .then(() => db('bookmarks').where('id', 2).update({ deleted_at: new Date(Date.now() - 29 * DAY) }))
+        .then(() => createTrashPurger(db, { retentionDays: 30 }).runOnce())
+        .then(count => {
+          expect(count).to.eql(1);
+          return db('bookmarks').orderBy('id').pluck('id');
+        })
+        .then(ids => expect(ids).to.eql([2, 3]));
+    });
+  });
+});
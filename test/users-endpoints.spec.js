@@ -0,0 +1,94 @@
+/* eslint-disable strict */
+const { expect } = require('chai');
+const knex = require('knex');
+const bcrypt = require('bcryptjs');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { makeUsersArray } = require('./users.fixtures');
+const { cleanTables, seedUsers, expectError, makeFieldsError } = require('./test-helpers');
+
+describe('Users Endpoints', function() {
+  let db;
+
+  const testUsers = makeUsersArray();
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+  });
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => cleanTables(db));
+
+  describe('POST /api/users', () => {
+    ['username', 'password'].forEach(field => {
+      it(`responds with 400 missing '${field}' if not supplied`, () => {
+        const registerBody = { username: 'carol', password: 'carol-password' };
+        delete registerBody[field];
+        return supertest(app)
+          .post('/api/users')
+          .send(registerBody)
+          .expect(expectError(400, makeFieldsError({
+            field,
+            code: 'required',
+            message: `'${field}' is required`
+          })));
+      });
+    });
+
+    it('responds with 400 when the password is too short', () => {
+      return supertest(app)
+        .post('/api/users')
+        .send({ username: 'carol', password: 'short' })
+        .expect(expectError(400, makeFieldsError({
+          field: 'password',
+          code: 'too_short',
+          message: '\'password\' must be at least 8 characters'
+        })));
+    });
+
+    it('responds with 400 when the password starts or ends with spaces', () => {
+      return supertest(app)
+        .post('/api/users')
+        .send({ username: 'carol', password: ' carol-password ' })
+        .expect(expectError(400, {
+          error: { code: 'invalid_request', message: '\'password\' must not start or end with spaces' }
+        }));
+    });
+
+    context('Given the username is already taken', () => {
+      beforeEach('insert users', () => seedUsers(db, testUsers));
+
+      it('responds with 400 \'Username already taken\'', () => {
+        return supertest(app)
+          .post('/api/users')
+          .send({ username: testUsers[0].username, password: 'another-password' })
+          .expect(expectError(400, { error: { code: 'invalid_request', message: 'Username already taken' } }));
+      });
+    });
+
+    it('creates a user with a hashed password, responding with 201', () => {
+      const newUser = { username: 'carol', password: 'carol-password' };
+      return supertest(app)
+        .post('/api/users')
+        .send(newUser)
+        .expect(201)
+        .expect(res => {
+          expect(res.body).to.have.property('id');
+          expect(res.body.username).to.eql(newUser.username);
+          expect(res.body).to.not.have.property('password');
+        })
+        .then(res =>
+          db('users').where({ id: res.body.id }).first()
+            .then(row => bcrypt.compare(newUser.password, row.password))
+            .then(matches => expect(matches).to.be.true)
+        );
+    });
+  });
+});
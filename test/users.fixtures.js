@@ -0,0 +1,12 @@
+/* eslint-disable strict */
+
+function makeUsersArray() {
+  return [
+    { id: 1, username: 'alice', password: 'alice-password' },
+    { id: 2, username: 'bob', password: 'bob-password' }
+  ];
+}
+
+module.exports = {
+  makeUsersArray
+};
@@ -0,0 +1,393 @@
+/* eslint-disable strict */
+const crypto = require('crypto');
+const http = require('http');
+const { expect } = require('chai');
+const knex = require('knex');
+const supertest = require('supertest');
+const app = require('../src/app');
+const { createPostgresStorage } = require('../src/storage/postgres-storage');
+const { createWebhookDeliverer } = require('../src/webhooks/webhook-deliverer');
+const { postWebhook } = require('../src/webhooks/post-webhook');
+const { getWebhookAddressError } = require('../src/webhooks/webhook-validator');
+const { makeBookmarksArray } = require('./bookmarks.fixtures');
+const { makeUsersArray } = require('./users.fixtures');
+const {
+  cleanTables,
+  seedUsers,
+  makeAuthHeader,
+  expectError,
+  makeFieldsError
+} = require('./test-helpers');
+
+const SECRET = 'a-very-secret-signing-key';
+
+function makeStubServer(requests) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/fail' ? 500 : 200).end();
+    });
+  });
+}
+
+describe('Webhooks Endpoints', function () {
+  let db;
+  let server;
+  let baseUrl;
+  let requests;
+
+  const testUsers = makeUsersArray();
+  const [alice, bob] = testUsers;
+
+  before('make knex instance', () => {
+    db = knex({
+      client: 'pg',
+      connection: process.env.TEST_DB_URL
+    });
+    app.set('db', db);
+    app.set('bookmarkStorage', createPostgresStorage(db));
+  });
+
+  before('start stub server', done => {
+    requests = [];
+    server = makeStubServer(requests).listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after('stop stub server', done => server.close(done));
+
+  after('disconnect from db', () => db.destroy());
+
+  before('clean the tables', () => cleanTables(db));
+
+  afterEach('cleanup', () => {
+    requests.length = 0;
+    return cleanTables(db);
+  });
+
+  beforeEach('insert users and bookmarks', () => {
+    return seedUsers(db, testUsers)
+      .then(() => db.into('bookmarks').insert(makeBookmarksArray()))
+      .then(() => db.raw(
+        'SELECT setval(pg_get_serial_sequence(\'bookmarks\', \'id\'), (SELECT max(id) FROM bookmarks))'
+      ));
+  });
+
+  const createWebhook = (fields, authHeader = `Bearer ${process.env.API_TOKEN}`) => supertest(app)
+    .post('/api/webhooks')
+    .set('Authorization', authHeader)
+    .send({ events: ['bookmark.created'], ...fields })
+    .expect(201)
+    .then(res => res.body);
+
+  describe('POST /api/webhooks', () => {
+    it('creates a webhook and returns its secret only once', () => {
+      return supertest(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+        .send({ url: 'https://example.com/hook', events: ['bookmark.created', 'bookmark.deleted'] })
+        .expect(201)
+        .expect(res => {
+          expect(res.body.url).to.eql('https://example.com/hook');
+          expect(res.body.events).to.eql(['bookmark.created', 'bookmark.deleted']);
+          expect(res.body.secret).to.match(/^whsec_/);
+          expect(res.headers.location).to.eql(`/api/webhooks/${res.body.id}`);
+        })
+        .then(res =>
+          supertest(app)
+            .get(`/api/webhooks/${res.body.id}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200)
+        )
+        .then(res => {
+          expect(res.body).to.not.have.property('secret');
+        });
+    });
+
+    it('uses the secret supplied by the client', () => {
+      return createWebhook({ url: 'https://example.com/hook', secret: SECRET })
+        .then(webhook => {
+          expect(webhook.secret).to.eql(SECRET);
+        });
+    });
+
+    const invalidBodies = [
+      [{ events: ['bookmark.created'] }, 'url', 'required', '\'url\' is required'],
+      [{ url: 'https://example.com/hook' }, 'events', 'required', '\'events\' is required'],
+      [
+        { url: 'not a url', events: ['bookmark.created'] },
+        'url',
+        'invalid_format',
+        '\'url\' must be a valid URL'
+      ],
+      [
+        { url: 'https://example.com/hook', events: ['bookmark.visited'] },
+        'events',
+        'invalid',
+        '\'events\' must be a non-empty array of bookmark.created, bookmark.updated, bookmark.deleted'
+      ],
+      [
+        { url: 'https://example.com/hook', events: ['bookmark.created'], secret: 'short' },
+        'secret',
+        'too_short',
+        '\'secret\' must be at least 16 characters'
+      ],
+    ];
+
+    invalidBodies.forEach(([body, field, code, message]) => {
+      it(`responds with 400 '${message}'`, () => {
+        return supertest(app)
+          .post('/api/webhooks')
+          .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+          .send(body)
+          .expect(expectError(400, makeFieldsError({ field, code, message })));
+      });
+    });
+  });
+
+  describe('getWebhookAddressError', () => {
+    it('turns away URLs on private addresses', () => {
+      return getWebhookAddressError('http://169.254.169.254/hook', { allowPrivateAddresses: false })
+        .then(error => expect(error).to.eql(makeFieldsError({
+          field: 'url',
+          code: 'invalid',
+          message: '\'url\' must not point to a private address'
+        })));
+    });
+  });
+
+  describe('GET and DELETE /api/webhooks/:webhook_id', () => {
+    it('only lets users see their own webhooks', () => {
+      return createWebhook({ url: 'https://example.com/alice' }, makeAuthHeader(alice))
+        .then(webhook =>
+          supertest(app)
+            .get(`/api/webhooks/${webhook.id}`)
+            .set('Authorization', makeAuthHeader(bob))
+            .expect(expectError(404, { error: { code: 'not_found', message: 'Webhook Not Found' } }))
+        )
+        .then(() =>
+          supertest(app)
+            .get('/api/webhooks')
+            .set('Authorization', makeAuthHeader(alice))
+            .expect(200)
+        )
+        .then(res => {
+          expect(res.body.map(webhook => webhook.url)).to.eql(['https://example.com/alice']);
+        });
+    });
+
+    it('deletes the webhook', () => {
+      return createWebhook({ url: 'https://example.com/hook' })
+        .then(webhook =>
+          supertest(app)
+            .delete(`/api/webhooks/${webhook.id}`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(204)
+            .then(() =>
+              supertest(app)
+                .get(`/api/webhooks/${webhook.id}`)
+                .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+                .expect(404)
+            )
+        );
+    });
+  });
+
+  describe('Bookmark events', () => {
+    const newBookmark = {
+      title: 'New bookmark',
+      url: 'https://example.com/new',
+      description: 'Fresh',
+      rating: 4
+    };
+
+    it('queues a delivery for each webhook subscribed to the event', () => {
+      return Promise.all([
+        createWebhook({ url: 'https://example.com/created' }),
+        createWebhook({ url: 'https://example.com/all', events: ['bookmark.created', 'bookmark.updated', 'bookmark.deleted'] }),
+      ])
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send(newBookmark)
+            .expect(201)
+        )
+        .then(() =>
+          supertest(app)
+            .patch('/api/bookmarks/1')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .send({ rating: 1 })
+            .expect(200)
+        )
+        .then(() =>
+          supertest(app)
+            .delete('/api/bookmarks/2')
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(204)
+        )
+        .then(() => db
+          .from('webhook_deliveries')
+          .join('webhooks', 'webhooks.id', 'webhook_deliveries.webhook_id')
+          .join('bookmark_events', 'bookmark_events.id', 'webhook_deliveries.event_id')
+          .select('webhooks.url', 'bookmark_events.type', 'bookmark_events.bookmark_id')
+          .orderBy('webhook_deliveries.id')
+        )
+        .then(deliveries => {
+          expect(deliveries).to.eql([
+            { url: 'https://example.com/created', type: 'bookmark.created', bookmark_id: 4 },
+            { url: 'https://example.com/all', type: 'bookmark.created', bookmark_id: 4 },
+            { url: 'https://example.com/all', type: 'bookmark.updated', bookmark_id: 1 },
+            { url: 'https://example.com/all', type: 'bookmark.deleted', bookmark_id: 2 },
+          ]);
+        });
+    });
+
+    it('does not send users events for bookmarks they do not own', () => {
+      return createWebhook({ url: 'https://example.com/bob' }, makeAuthHeader(bob))
+        .then(() =>
+          supertest(app)
+            .post('/api/bookmarks')
+            .set('Authorization', makeAuthHeader(alice))
+            .send(newBookmark)
+            .expect(201)
+        )
+        .then(() => db('webhook_deliveries').count('* as count').first())
+        .then(({ count }) => {
+          expect(Number(count)).to.eql(0);
+        });
+    });
+  });
+
+  describe('Webhook deliverer', () => {
+    const createBookmark = () => supertest(app)
+      .post('/api/bookmarks')
+      .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+      .send({ title: 'New bookmark', url: 'https://example.com/new', rating: 4 })
+      .expect(201);
+
+    it('posts the event as signed JSON and logs the delivery', () => {
+      let webhook;
+      return createWebhook({ url: `${baseUrl}/ok`, secret: SECRET })
+        .then(created => {
+          webhook = created;
+          return createBookmark();
+        })
+        .then(() => createWebhookDeliverer(db).runOnce())
+        .then(attempted => {
+          expect(attempted).to.eql(1);
+          expect(requests).to.have.lengthOf(1);
+
+          const [{ headers, body }] = requests;
+          const signature = crypto.createHmac('sha256', SECRET)
+            .update(`${headers['x-webhook-timestamp']}.${body}`)
+            .digest('hex');
+          expect(headers['content-type']).to.eql('application/json');
+          expect(headers['x-webhook-event']).to.eql('bookmark.created');
+          expect(headers['x-webhook-signature']).to.eql(`sha256=${signature}`);
+
+          const payload = JSON.parse(body);
+          expect(payload.type).to.eql('bookmark.created');
+          expect(payload.data.bookmark).to.include({
+            id: 4,
+            title: 'New bookmark',
+            url: 'https://example.com/new',
+            rating: 4
+          });
+
+          return supertest(app)
+            .get(`/api/webhooks/${webhook.id}/deliveries`)
+            .set('Authorization', `Bearer ${process.env.API_TOKEN}`)
+            .expect(200);
+        })
+        .then(res => {
+          expect(res.body).to.have.lengthOf(1);
+          expect(res.body[0]).to.include({
+            event_type: 'bookmark.created',
+            status: 'delivered',
+            attempts: 1,
+            response_status: 200,
+            error: null,
+            next_attempt_at: null
+          });
+        })
+        .then(() => createWebhookDeliverer(db).runOnce())
+        .then(attempted => {
+          expect(attempted).to.eql(0);
+        });
+    });
+
+    it('refuses to deliver to private addresses', () => {
+      const deliverer = createWebhookDeliverer(db, {
+        postWebhook: (url, options) => postWebhook(url, { ...options, allowPrivateAddresses: false })
+      });
+      return createWebhook({ url: `${baseUrl}/ok` })
+        .then(createBookmark)
+        .then(() => deliverer.runOnce())
+        .then(() => db('webhook_deliveries').first())
+        .then(delivery => {
+          expect(delivery).to.include({ attempts: 1, response_status: null, error: 'Address is not allowed' });
+          expect(requests).to.be.empty;
+        });
+    });
+
+    it('retries failed deliveries with exponential backoff until they run out of attempts', () => {
+      const retryDelay = 60 * 1000;
+      const deliverer = createWebhookDeliverer(db, { retryDelay, maxAttempts: 3 });
+      const getDelivery = () => db('webhook_deliveries').first();
+      const makeDue = () => db('webhook_deliveries').update({ next_attempt_at: db.fn.now() });
+
+      return createWebhook({ url: `${baseUrl}/fail` })
+        .then(createBookmark)
+        .then(() => deliverer.runOnce())
+        .then(getDelivery)
+        .then(delivery => {
+          expect(delivery).to.include({
+            status: 'pending',
+            attempts: 1,
+            response_status: 500,
+            error: 'Responded with status 500'
+          });
+          expect(delivery.next_attempt_at.getTime())
+            .to.be.closeTo(delivery.last_attempt_at.getTime() + retryDelay, 1000);
+        })
+        .then(() => deliverer.runOnce())
+        .then(attempted => {
+          expect(attempted).to.eql(0);
+        })
+        .then(makeDue)
+        .then(() => deliverer.runOnce())
+        .then(getDelivery)
+        .then(delivery => {
+          expect(delivery.attempts).to.eql(2);
+          expect(delivery.next_attempt_at.getTime())
+            .to.be.closeTo(delivery.last_attempt_at.getTime() + 2 * retryDelay, 1000);
+        })
+        .then(makeDue)
+        .then(() => deliverer.runOnce())
+        .then(getDelivery)
+        .then(delivery => {
+          expect(delivery).to.include({ status: 'failed', attempts: 3, next_attempt_at: null });
+          expect(requests).to.have.lengthOf(3);
+        });
+    });
+
+    it('records network errors as failed attempts', () => {
+      return createWebhook({ url: 'http://127.0.0.1:1/unreachable' })
+        .then(createBookmark)
+        .then(() => createWebhookDeliverer(db).runOnce())
+        .then(() => db('webhook_deliveries').first())
+        .then(delivery => {
+          expect(delivery.status).to.eql('pending');
+          expect(delivery.response_status).to.be.null;
+          expect(delivery.error).to.be.a('string').that.is.not.empty;
+        });
+    });
+  });
+});